@@ -0,0 +1,102 @@
+/**
+ * Mock Sync Server
+ * A stand-in for the sync service during development: keeps one ordered
+ * list of operations in memory, optionally mirrored to a JSON file.
+ *
+ *   npm run sync-server               # http://localhost:8787
+ *   PORT=9000 SYNC_DATA=sync.json npm run sync-server
+ *
+ * Then enter the URL as the sync server in the app's settings. The cursor is
+ * the number of operations a client has seen; operations already stored
+ * (same stamp) are ignored, so retried pushes are safe.
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || null;
+
+const operations = DATA_FILE && existsSync(DATA_FILE)
+  ? JSON.parse(readFileSync(DATA_FILE, 'utf8'))
+  : [];
+const stamps = new Set(operations.map(operation => operation.stamp));
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function isOperation(operation) {
+  return operation && typeof operation.stamp === 'string' &&
+    typeof operation.type === 'string' && typeof operation.habitId === 'string';
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (url.pathname !== '/operations') {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const since = Math.max(0, parseInt(url.searchParams.get('since')) || 0);
+    send(res, 200, { operations: operations.slice(since), cursor: operations.length });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    let incoming;
+    try {
+      incoming = JSON.parse(await readBody(req)).operations;
+      if (!Array.isArray(incoming) || !incoming.every(isOperation)) {
+        throw new Error('Expected { operations: [...] }');
+      }
+    } catch (error) {
+      send(res, 400, { error: error.message });
+      return;
+    }
+
+    let accepted = 0;
+    incoming.forEach(operation => {
+      if (stamps.has(operation.stamp)) return;
+      stamps.add(operation.stamp);
+      operations.push(operation);
+      accepted++;
+    });
+
+    if (DATA_FILE && accepted > 0) {
+      writeFileSync(DATA_FILE, JSON.stringify(operations));
+    }
+    send(res, 200, { accepted, cursor: operations.length });
+    return;
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT}`);
+});
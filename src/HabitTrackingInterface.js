@@ -3,18 +3,34 @@
  * Orchestrates the entire habit tracking experience
  */
 
-import { HabitTracker } from './core/AtomicHabits.js';
+import { HabitTracker, Schedule } from './core/AtomicHabits.js';
 import { AnimationSystem } from './animations/AnimationSystem.js';
 import { UIComponents } from './components/UIComponents.js';
+import { todayKey, parseDateKey } from './core/DateKeys.js';
+import {
+  exportTrackerJSON,
+  getExportFilename,
+  parseTrackerJSON,
+  planMerge,
+  resolveMerge
+} from './data/JsonTransfer.js';
+import { exportCompletionsCSV } from './data/CsvExport.js';
+import { exportHabitsICS } from './data/IcsExport.js';
+import { readHabitFiles, createHabitFromDraft } from './importers/importHabitFiles.js';
+import { ReminderScheduler } from './notifications/ReminderScheduler.js';
+import { SyncEngine } from './sync/SyncEngine.js';
+import { RestSyncRemote } from './sync/RestSyncRemote.js';
 
 export class HabitTrackingInterface {
-  constructor() {
-    this.habitTracker = new HabitTracker();
+  constructor(habitTracker = new HabitTracker()) {
+    this.habitTracker = habitTracker;
     this.animationSystem = new AnimationSystem();
-    this.uiComponents = new UIComponents(this.animationSystem);
+    this.uiComponents = new UIComponents(this.animationSystem, this.habitTracker);
     
     this.currentView = 'today';
     this.isLoading = false;
+    this.unsubscribers = [];
+    this.cardUnsubscribers = new Map(); // list id -> unsubscribe functions of its cards
     
     this.init();
   }
@@ -24,8 +40,86 @@ export class HabitTrackingInterface {
     this.showLoading();
     await this.setupDOM();
     this.bindEvents();
+    this.subscribeToStore();
+    await this.habitTracker.ready;
     this.loadInitialData();
     this.hideLoading();
+    this.startReminders();
+    this.startDailyChecks();
+    this.startSync();
+  }
+
+  // Resume paused habits whose day has come and log contract breaches, now
+  // and whenever the app comes back into view, which is when a day has
+  // usually passed
+  startDailyChecks() {
+    this.runDailyChecksOnShow = () => {
+      if (document.visibilityState === 'visible') this.runDailyChecks();
+    };
+    document.addEventListener('visibilitychange', this.runDailyChecksOnShow);
+    this.runDailyChecks();
+  }
+
+  runDailyChecks() {
+    this.habitTracker.resumeDueHabits();
+    this.habitTracker.checkContracts();
+  }
+
+  // Breaches stay on screen until acknowledged
+  showContractBreach({ contract, habit, breaches }) {
+    const days = breaches.length === 1 ? 'a day' : `${breaches.length} days`;
+    const broken = habit.isAvoidance() ? `you slipped on ${days}` : `you missed ${days} you'd scheduled`;
+    this.showSuccessMessage(`📜 "${habit.name}" contract broken — ${broken}. ${contract.consequences}`.trim(), {
+      label: 'View',
+      onClick: () => this.uiComponents.openContractDialog(habit)
+    }, { persist: true });
+  }
+
+  // Sync with the configured server, if any; restarts when it changes
+  startSync() {
+    const { syncUrl } = this.habitTracker.settings;
+    if (this.syncEngine?.remote.url === syncUrl.replace(/\/+$/, '')) return;
+
+    this.syncEngine?.stop();
+    this.syncEngine = null;
+    if (!syncUrl) return;
+
+    this.syncEngine = new SyncEngine(this.habitTracker, { remote: new RestSyncRemote(syncUrl) });
+    this.syncEngine.on('status', (status) => this.updateSyncStatus(status));
+    this.syncEngine.start();
+  }
+
+  updateSyncStatus(status) {
+    const element = document.getElementById('sync-status');
+    if (element) element.textContent = this.describeSyncStatus(status);
+  }
+
+  describeSyncStatus({ status, lastSyncedAt }) {
+    const labels = {
+      syncing: 'Syncing…',
+      offline: 'Offline — changes will sync when you reconnect',
+      error: "Couldn't reach the sync server; retrying"
+    };
+    return labels[status] || (lastSyncedAt
+      ? `Last synced ${new Date(lastSyncedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : 'Not synced yet');
+  }
+
+  // Deliver habit reminders while the app is open
+  startReminders() {
+    this.reminderScheduler = new ReminderScheduler(this.habitTracker, {
+      onReminder: (reminder) => this.showReminder(reminder)
+    });
+    this.reminderScheduler.start();
+  }
+
+  // In-app reminder for when the page is in view
+  showReminder({ habit }) {
+    const cue = habit.cue ? ` — ${habit.cue}` : '';
+    this.showSuccessMessage(`⏰ ${habit.name}${cue}`, {
+      label: 'Snooze',
+      onClick: () => this.reminderScheduler.snooze(habit.id)
+    });
   }
 
   // Setup DOM structure
@@ -41,6 +135,8 @@ export class HabitTrackingInterface {
               <button class="view-toggle" data-view="today">Today</button>
               <button class="view-toggle" data-view="all">All</button>
               <button class="view-toggle" data-view="stats">Stats</button>
+              <button class="view-toggle" data-view="identity">Identity</button>
+              <button class="view-toggle data-menu-toggle" aria-label="Import and export">⋯</button>
             </div>
           </div>
         </header>
@@ -55,6 +151,7 @@ export class HabitTrackingInterface {
                 <h2>Today's Habits</h2>
                 <p class="section-subtitle">Build your atomic habits, one day at a time</p>
               </div>
+              <div class="routines-list" id="routines-list"></div>
               <div class="habits-list" id="habits-list"></div>
               <div class="empty-state" id="empty-state" style="display: none;">
                 <div class="empty-icon">🌱</div>
@@ -73,6 +170,15 @@ export class HabitTrackingInterface {
           <div class="view-container" id="stats-view" style="display: none;">
             <div class="stats-dashboard" id="stats-dashboard"></div>
           </div>
+
+          <div class="view-container" id="identity-view" style="display: none;">
+            <div class="section-header">
+              <h2>Who You're Becoming</h2>
+              <p class="section-subtitle">Every action is a vote for the type of person you wish to become</p>
+            </div>
+            <div class="identities-list" id="identities-list"></div>
+            <button class="btn btn-secondary new-identity">+ New Identity</button>
+          </div>
         </main>
 
         <div class="fab-container" id="fab-container"></div>
@@ -88,21 +194,19 @@ export class HabitTrackingInterface {
   // Bind event listeners
   bindEvents() {
     // View toggle buttons
-    document.querySelectorAll('.view-toggle').forEach(button => {
+    document.querySelectorAll('.view-toggle[data-view]').forEach(button => {
       button.addEventListener('click', (e) => {
         const view = e.target.dataset.view;
         this.switchView(view);
       });
     });
 
-    // Habit completion events
-    document.addEventListener('habitCompleted', (e) => {
-      this.handleHabitCompleted(e.detail.habit);
+    document.querySelector('.data-menu-toggle').addEventListener('click', () => {
+      this.openDataMenu();
     });
 
-    // Habit creation events
-    document.addEventListener('habitCreated', (e) => {
-      this.handleHabitCreated(e.detail.habitData);
+    document.querySelector('.new-identity').addEventListener('click', () => {
+      this.uiComponents.openIdentityEditor();
     });
 
     // Create first habit button
@@ -121,6 +225,43 @@ export class HabitTrackingInterface {
     });
   }
 
+  // Subscribe to habit store changes
+  subscribeToStore() {
+    const tracker = this.habitTracker;
+
+    this.unsubscribers = [
+      tracker.on('habit:added', (e) => this.handleHabitAdded(e)),
+      tracker.on('habit:updated', (e) => this.handleHabitUpdated(e)),
+      tracker.on('habit:deleted', (e) => this.handleHabitDeleted(e)),
+      tracker.on('habit:completed', (e) => this.handleHabitCompleted(e)),
+      tracker.on('habit:uncompleted', (e) => this.handleHabitUncompleted(e)),
+      tracker.on('habit:slipped', (e) => this.handleHabitSlipped(e)),
+      tracker.on('habit:resumed', (e) => this.handleHabitResumed(e)),
+      tracker.on('routine:added', ({ routine }) => this.handleRoutineChanged(`Routine "${routine.name}" created`)),
+      tracker.on('routine:updated', ({ routine }) => this.handleRoutineChanged(`Routine "${routine.name}" updated`)),
+      tracker.on('routine:deleted', ({ routine }) => this.handleRoutineChanged(`Routine "${routine.name}" deleted`)),
+      tracker.on('identity:added', () => this.handleIdentityChanged('Identity created')),
+      tracker.on('identity:updated', () => this.handleIdentityChanged('Identity updated')),
+      tracker.on('identity:deleted', () => this.handleIdentityChanged('Identity deleted')),
+      tracker.on('contract:signed', ({ contract }) => this.handleContractChanged(contract, 'signed')),
+      tracker.on('contract:ended', ({ contract }) => this.handleContractChanged(contract, 'ended')),
+      tracker.on('contract:breached', (e) => this.showContractBreach(e)),
+      tracker.on('settings:updated', () => {
+        this.startSync();
+        this.refreshCurrentView();
+        this.updateProgressDashboard();
+      }),
+      tracker.on('habits:replaced', () => {
+        this.refreshCurrentView();
+        this.updateProgressDashboard();
+      }),
+      tracker.on('habits:synced', () => {
+        this.refreshCurrentView();
+        this.updateProgressDashboard();
+      })
+    ];
+  }
+
   // Load initial data
   loadInitialData() {
     this.renderTodayView();
@@ -131,6 +272,160 @@ export class HabitTrackingInterface {
     if (habits.length === 0) {
       this.showEmptyState();
     }
+
+    // Saved data that failed to load needs the user's decision
+    if (this.habitTracker.loadError) {
+      this.showStorageRecovery();
+    }
+  }
+
+  // Prompt to restore or download data that failed to load
+  showStorageRecovery() {
+    const tracker = this.habitTracker;
+
+    this.uiComponents.showStorageRecoveryPrompt(tracker.loadError.message, {
+      onRestore: async () => {
+        try {
+          const { restored, skipped } = await tracker.restoreFromBackup();
+          this.showSuccessMessage(skipped > 0
+            ? `Restored ${restored} habits; ${skipped} couldn't be recovered`
+            : `Restored ${restored} habits`);
+        } catch (error) {
+          console.error('Error restoring habits from backup:', error);
+          this.showSuccessMessage("The backup couldn't be restored. Download it to keep a copy.");
+          this.showStorageRecovery();
+        }
+      },
+      onExport: async () => {
+        this.uiComponents.downloadFile(
+          `atomic-habits-backup-${todayKey()}.json`,
+          await tracker.getStorageBackup()
+        );
+      },
+      onDismiss: () => tracker.dismissLoadError()
+    });
+  }
+
+  // Import and export actions
+  openDataMenu() {
+    this.uiComponents.showDataMenu([
+      { icon: '💾', label: 'Export JSON', onSelect: () => this.exportJSON() },
+      { icon: '📂', label: 'Import JSON', onSelect: () => this.importJSON() },
+      { icon: '📈', label: 'Export CSV', onSelect: () => this.exportCSV() },
+      { icon: '📅', label: 'Add to Calendar (.ics)', onSelect: () => this.exportICS() },
+      { icon: '🔁', label: 'Import from Another App', onSelect: () => this.importFromOtherApp() }
+    ]);
+  }
+
+  // Recurring calendar events for every active habit
+  exportICS() {
+    this.uiComponents.showIcsExportDialog(options => {
+      try {
+        this.uiComponents.downloadFile(
+          getExportFilename('ics'),
+          exportHabitsICS(this.habitTracker, options),
+          'text/calendar'
+        );
+      } catch (error) {
+        this.showSuccessMessage(error.message);
+        return false;
+      }
+    });
+  }
+
+  // Bring in history from Loop Habit Tracker or a date,habit,value CSV
+  importFromOtherApp() {
+    const tracker = this.habitTracker;
+
+    this.uiComponents.chooseFiles('.csv,text/csv', async files => {
+      let result;
+      try {
+        result = readHabitFiles(await Promise.all(
+          files.map(async file => ({ name: file.name, text: await file.text() }))
+        ));
+        if (result.drafts.length === 0) {
+          throw new Error('No habits were found');
+        }
+      } catch (error) {
+        console.error('Error reading import:', error);
+        this.showSuccessMessage(`Couldn't import: ${error.message}`);
+        return;
+      }
+
+      const habits = result.drafts.map(draft => ({
+        name: draft.name,
+        summary: `${draft.completions.length} days logged · ${new Schedule(draft.schedule).describe()}` +
+          (draft.targetCount > 1 ? ` · ${draft.targetCount}× a day` : '')
+      }));
+
+      this.uiComponents.showImportPreview({ ...result, habits }, tracker.getCategories(), selections => {
+        tracker.groupChanges(`Imported ${selections.length} habits`, () => {
+          selections.forEach(({ index, category }) => {
+            tracker.addHabit(createHabitFromDraft(result.drafts[index], { category }));
+          });
+        });
+        this.showUndoableMessage(`Imported ${selections.length} habits from ${result.source}`);
+      });
+    }, { multiple: true });
+  }
+
+  // Completion history for spreadsheets
+  exportCSV() {
+    this.uiComponents.showCsvExportDialog(this.habitTracker.getCategories(), options => {
+      try {
+        this.uiComponents.downloadFile(
+          getExportFilename('csv'),
+          exportCompletionsCSV(this.habitTracker, options),
+          'text/csv'
+        );
+      } catch (error) {
+        this.showSuccessMessage(error.message);
+        return false;
+      }
+    });
+  }
+
+  exportJSON() {
+    this.uiComponents.downloadFile(getExportFilename(), exportTrackerJSON(this.habitTracker));
+  }
+
+  // Read an export, then let the user choose how to bring it in
+  importJSON() {
+    const tracker = this.habitTracker;
+
+    this.uiComponents.chooseFiles('.json,application/json', async ([file]) => {
+      let imported;
+      try {
+        imported = parseTrackerJSON(await file.text());
+        if (imported.habits.length === 0) {
+          throw new Error('None of its habits could be read');
+        }
+      } catch (error) {
+        console.error('Error reading import:', error);
+        this.showSuccessMessage(`Couldn't import ${file.name}: ${error.message}`);
+        return;
+      }
+
+      const plan = planMerge(tracker, imported);
+      const preview = {
+        fileName: file.name,
+        habitCount: imported.habits.length,
+        newCount: plan.added.length,
+        mergeCount: plan.merged.length,
+        errors: imported.errors,
+        conflicts: plan.conflicts
+      };
+
+      this.uiComponents.showImportDialog(preview, ({ mode, resolutions }) => {
+        if (mode === 'replace') {
+          tracker.replaceHabits(imported.habits, imported.categories, imported);
+          this.showSuccessMessage(`Imported ${imported.habits.length} habits`);
+        } else {
+          tracker.importHabits(resolveMerge(plan, resolutions), imported.categories, imported);
+          this.showSuccessMessage(`Added ${plan.added.length} and merged ${plan.merged.length} habits`);
+        }
+      });
+    });
   }
 
   // Show loading state
@@ -177,6 +472,9 @@ export class HabitTrackingInterface {
       case 'stats':
         this.renderStatsView();
         break;
+      case 'identity':
+        this.renderIdentityView();
+        break;
     }
 
     this.currentView = viewName;
@@ -186,18 +484,27 @@ export class HabitTrackingInterface {
   renderTodayView() {
     const todaysHabits = this.habitTracker.getTodaysHabits();
     const habitsList = document.getElementById('habits-list');
+    const routinesList = document.getElementById('routines-list');
     
     // Clear existing content
+    this.releaseCards('today');
     habitsList.innerHTML = '';
+    routinesList.innerHTML = '';
 
     if (todaysHabits.length === 0) {
       this.showEmptyState();
       return;
     }
 
+    // Routines with a step due today come first, walking through their steps
+    this.habitTracker.getTodaysRoutines().forEach(routine => {
+      routinesList.appendChild(this.trackCard('today', this.uiComponents.createRoutineCard(routine)));
+    });
+    this.animationSystem.animateHabitCardEntrance(routinesList.querySelectorAll('.routine-card'));
+
     // Create habit cards
     todaysHabits.forEach((habit, index) => {
-      const card = this.uiComponents.createHabitCard(habit);
+      const card = this.trackCard('today', this.uiComponents.createHabitCard(habit));
       habitsList.appendChild(card);
     });
 
@@ -211,10 +518,11 @@ export class HabitTrackingInterface {
   // Render all habits view
   renderAllHabitsView() {
     const allHabits = this.habitTracker.getAllHabits();
+    const archived = allHabits.filter(habit => habit.isArchived());
     const allHabitsList = document.getElementById('all-habits-list');
     
-    // Group habits by category
-    const habitsByCategory = allHabits.reduce((acc, habit) => {
+    // Group habits by category; archived ones are listed on their own
+    const habitsByCategory = allHabits.filter(habit => !habit.isArchived()).reduce((acc, habit) => {
       if (!acc[habit.category]) {
         acc[habit.category] = [];
       }
@@ -222,31 +530,116 @@ export class HabitTrackingInterface {
       return acc;
     }, {});
 
+    this.releaseCards('all');
     allHabitsList.innerHTML = '';
+    allHabitsList.appendChild(this.createRoutinesSection());
 
     Object.entries(habitsByCategory).forEach(([category, habits]) => {
       const categorySection = document.createElement('div');
       categorySection.className = 'category-section';
       
       categorySection.innerHTML = `
-        <h3 class="category-title">${category.charAt(0).toUpperCase() + category.slice(1)}</h3>
+        <h3 class="category-title"></h3>
         <div class="category-habits"></div>
       `;
+      // Categories can come from imports, so keep them out of the markup
+      categorySection.querySelector('.category-title').textContent = category.charAt(0).toUpperCase() + category.slice(1);
 
       const categoryHabits = categorySection.querySelector('.category-habits');
       habits.forEach(habit => {
-        const card = this.uiComponents.createHabitCard(habit);
+        const card = this.trackCard('all', this.uiComponents.createHabitCard(habit));
         categoryHabits.appendChild(card);
       });
 
       allHabitsList.appendChild(categorySection);
     });
 
+    if (archived.length > 0) {
+      allHabitsList.appendChild(this.createArchiveSection(archived));
+    }
+
     // Animate sections
     const sections = allHabitsList.querySelectorAll('.category-section');
     this.animationSystem.animateHabitCardEntrance(sections);
   }
 
+  // Every routine, and a way to stack habits into a new one
+  createRoutinesSection() {
+    const section = document.createElement('div');
+    section.className = 'category-section routines-section';
+    section.innerHTML = `
+      <h3 class="category-title">Routines</h3>
+      <div class="category-habits"></div>
+      <button class="btn btn-secondary new-routine">+ New Routine</button>
+    `;
+
+    const routines = section.querySelector('.category-habits');
+    this.habitTracker.getAllRoutines().forEach(routine => {
+      routines.appendChild(this.trackCard('all', this.uiComponents.createRoutineCard(routine)));
+    });
+
+    const newRoutine = section.querySelector('.new-routine');
+    newRoutine.disabled = this.habitTracker.getActiveHabits().length === 0;
+    newRoutine.addEventListener('click', () => this.uiComponents.openRoutineEditor());
+
+    return section;
+  }
+
+  // Remember a card's tracker subscription so the next render of its list can drop it
+  trackCard(listId, card) {
+    if (!this.cardUnsubscribers.has(listId)) {
+      this.cardUnsubscribers.set(listId, []);
+    }
+    this.cardUnsubscribers.get(listId).push(card.unsubscribe);
+    return card;
+  }
+
+  // Unsubscribe the cards of a list before it is cleared
+  releaseCards(listId) {
+    this.cardUnsubscribers.get(listId)?.forEach(unsubscribe => unsubscribe());
+    this.cardUnsubscribers.delete(listId);
+  }
+
+  // Retired habits, with their history, ready to be restored
+  createArchiveSection(habits) {
+    const section = document.createElement('div');
+    section.className = 'category-section archive-section';
+    section.innerHTML = `
+      <h3 class="category-title">Archive</h3>
+      <div class="archived-habits"></div>
+    `;
+
+    const list = section.querySelector('.archived-habits');
+    habits
+      .sort((a, b) => new Date(b.getStatusChangedAt() ?? 0) - new Date(a.getStatusChangedAt() ?? 0))
+      .forEach(habit => list.appendChild(this.uiComponents.createArchivedHabitRow(habit)));
+
+    return section;
+  }
+
+  // Render identities with the votes their habits cast
+  renderIdentityView() {
+    const identitiesList = document.getElementById('identities-list');
+    identitiesList.innerHTML = '';
+
+    const identities = this.habitTracker.getAllIdentities();
+    if (identities.length === 0) {
+      identitiesList.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🪞</div>
+          <h3>Decide who you want to be</h3>
+          <p>Write an identity and link the habits that prove it. Each day you do one is a vote.</p>
+        </div>
+      `;
+      return;
+    }
+
+    identities.forEach(identity => {
+      identitiesList.appendChild(this.uiComponents.createIdentityCard(identity));
+    });
+    this.animationSystem.animateHabitCardEntrance(identitiesList.querySelectorAll('.identity-card'));
+  }
+
   // Render stats view
   renderStatsView() {
     const stats = this.habitTracker.getOverallStats();
@@ -258,6 +651,120 @@ export class HabitTrackingInterface {
 
     // Add detailed analytics
     this.addDetailedAnalytics(statsContainer);
+
+    // Add tracker settings
+    this.addSettingsSection(statsContainer);
+  }
+
+  // Add tracker settings to stats view
+  addSettingsSection(container) {
+    const { dayStartHour } = this.habitTracker.settings;
+    const hourLabel = hour => hour === 0 ? 'Midnight' : `${hour}:00 AM`;
+
+    const settingsSection = document.createElement('div');
+    settingsSection.className = 'settings-section';
+
+    settingsSection.innerHTML = `
+      <h3>Settings</h3>
+      <div class="form-section">
+        <label class="form-label" for="day-start-hour">Day starts at</label>
+        <select class="form-input" id="day-start-hour">
+          ${[0, 1, 2, 3, 4, 5, 6].map(hour => `
+            <option value="${hour}" ${hour === dayStartHour ? 'selected' : ''}>${hourLabel(hour)}</option>
+          `).join('')}
+        </select>
+        <p class="settings-hint">Check-ins before this hour count for the previous day.</p>
+      </div>
+    `;
+
+    settingsSection.querySelector('#day-start-hour').addEventListener('change', (e) => {
+      this.habitTracker.setDayStartHour(e.target.value);
+    });
+
+    settingsSection.appendChild(this.createReminderSettings());
+    settingsSection.appendChild(this.createSyncSettings());
+    container.appendChild(settingsSection);
+  }
+
+  // Reminder switch, quiet hours and snooze length
+  createReminderSettings() {
+    const tracker = this.habitTracker;
+    const { enabled, quietStart, quietEnd, snoozeMinutes } = tracker.settings.reminders;
+    const supported = ReminderScheduler.isSupported();
+
+    const section = document.createElement('div');
+    section.className = 'form-section reminder-settings';
+    section.innerHTML = `
+      <label class="form-label reminder-toggle">
+        <input type="checkbox" id="reminders-enabled" ${enabled ? 'checked' : ''} ${supported ? '' : 'disabled'}>
+        Remind me at each habit's reminder times
+      </label>
+      <div class="date-range">
+        <label class="form-label">Quiet from
+          <input type="time" class="form-input" id="quiet-start" value="${quietStart}">
+        </label>
+        <label class="form-label">Until
+          <input type="time" class="form-input" id="quiet-end" value="${quietEnd}">
+        </label>
+      </div>
+      <label class="form-label" for="snooze-minutes">Snooze for</label>
+      <select class="form-input" id="snooze-minutes">
+        ${[5, 10, 15, 30, 60].map(minutes => `
+          <option value="${minutes}" ${minutes === snoozeMinutes ? 'selected' : ''}>${minutes} minutes</option>
+        `).join('')}
+      </select>
+      <p class="settings-hint">${supported
+        ? 'No reminders are sent during quiet hours or once a habit is done for the day.'
+        : "This browser can't show notifications."}</p>
+    `;
+
+    section.querySelector('#reminders-enabled').addEventListener('change', async (e) => {
+      const granted = !e.target.checked || await ReminderScheduler.requestPermission();
+      if (!granted) {
+        e.target.checked = false;
+        this.showSuccessMessage('Allow notifications in your browser to get reminders');
+        return;
+      }
+      tracker.setReminderSettings({ enabled: e.target.checked });
+    });
+
+    section.querySelector('#quiet-start').addEventListener('change', (e) => {
+      tracker.setReminderSettings({ quietStart: e.target.value });
+    });
+    section.querySelector('#quiet-end').addEventListener('change', (e) => {
+      tracker.setReminderSettings({ quietEnd: e.target.value });
+    });
+    section.querySelector('#snooze-minutes').addEventListener('change', (e) => {
+      tracker.setReminderSettings({ snoozeMinutes: e.target.value });
+    });
+
+    return section;
+  }
+
+  // Sync server address and status
+  createSyncSettings() {
+    const section = document.createElement('div');
+    section.className = 'form-section sync-settings';
+    section.innerHTML = `
+      <label class="form-label" for="sync-url">Sync server</label>
+      <input type="url" class="form-input" id="sync-url" placeholder="e.g. http://localhost:8787">
+      <p class="settings-hint" id="sync-status">Keep habits in step across your devices.</p>
+    `;
+
+    const input = section.querySelector('#sync-url');
+    input.value = this.habitTracker.settings.syncUrl;
+    input.addEventListener('change', () => {
+      this.habitTracker.setSyncUrl(input.value);
+    });
+
+    if (this.syncEngine) {
+      section.querySelector('#sync-status').textContent = this.describeSyncStatus({
+        status: this.syncEngine.status,
+        lastSyncedAt: this.syncEngine.state.lastSyncedAt
+      });
+    }
+
+    return section;
   }
 
   // Add detailed analytics to stats view
@@ -269,32 +776,46 @@ export class HabitTrackingInterface {
     
     analyticsSection.innerHTML = `
       <h3>Habit Analytics</h3>
-      <div class="analytics-grid">
-        ${habits.map(habit => {
-          const analytics = habit.getAnalytics();
-          return `
-            <div class="analytics-card">
-              <h4>${habit.name}</h4>
-              <div class="analytics-stats">
-                <div class="analytics-stat">
-                  <span class="stat-value">${analytics.currentStreak}</span>
-                  <span class="stat-label">Current Streak</span>
-                </div>
-                <div class="analytics-stat">
-                  <span class="stat-value">${Math.round(analytics.completionRate7Days)}%</span>
-                  <span class="stat-label">7-Day Rate</span>
-                </div>
-                <div class="analytics-stat">
-                  <span class="stat-value">${analytics.totalCompletions}</span>
-                  <span class="stat-label">Total</span>
-                </div>
-              </div>
-            </div>
-          `;
-        }).join('')}
-      </div>
+      <div class="analytics-grid"></div>
     `;
 
+    // Names can come from imports, so each card's name is set as text
+    const grid = analyticsSection.querySelector('.analytics-grid');
+    habits.forEach(habit => {
+      const analytics = habit.getAnalytics();
+      const card = document.createElement('div');
+      card.className = 'analytics-card';
+      card.innerHTML = `
+        <h4></h4>
+        <div class="analytics-stats">
+          <div class="analytics-stat">
+            <span class="stat-value">${analytics.currentStreak}</span>
+            <span class="stat-label">${analytics.slips ? 'Clean Days' : 'Current Streak'}</span>
+          </div>
+          <div class="analytics-stat">
+            <span class="stat-value">${Math.round(analytics.completionRate7Days)}%</span>
+            <span class="stat-label">${analytics.slips ? '7-Day Clean Rate' : '7-Day Rate'}</span>
+          </div>
+          <div class="analytics-stat">
+            <span class="stat-value">${analytics.slips ? analytics.slips.totalSlips : analytics.totalCompletions}</span>
+            <span class="stat-label">${analytics.slips ? 'Slips' : 'Total'}</span>
+          </div>
+        </div>
+      `;
+      card.dataset.habitId = habit.id;
+      card.querySelector('h4').textContent = habit.name;
+
+      // Time spent at each version of habits with a ladder
+      if (habit.levels.length > 0) {
+        card.appendChild(this.uiComponents.createLevelBreakdown(habit));
+      }
+      // Time since the last slip and how often slips happen, for habits to break
+      if (habit.isAvoidance()) {
+        card.appendChild(this.uiComponents.createSlipTrend(habit));
+      }
+      grid.appendChild(card);
+    });
+
     container.appendChild(analyticsSection);
   }
 
@@ -321,24 +842,119 @@ export class HabitTrackingInterface {
   }
 
   // Handle habit completion
-  handleHabitCompleted(habit) {
-    // Update progress dashboard
-    this.updateProgressDashboard();
-    
-    // Update stats if in stats view
-    if (this.currentView === 'stats') {
-      this.renderStatsView();
+  handleHabitCompleted({ habit, date }) {
+    // Cards update themselves; backfilled days can change what's due today
+    if (date !== todayKey() || this.currentView === 'stats') {
+      this.refreshCurrentView();
     }
+    this.updateProgressDashboard();
+
+    if (date !== todayKey() || !habit.isCompletedToday()) return;
+
+    // Offer a way back from accidental taps and swipes, and say who the
+    // day was a vote for
+    const identity = this.habitTracker.getIdentitiesForHabit(habit.id)[0];
+    const vote = identity ? ` — a vote for “${identity.statement}”` : '';
+    this.showUndoableMessage(`✓ "${habit.name}" done${vote}`);
 
     // Show motivational message for milestones
     this.checkForMilestones(habit);
   }
 
+  // Handle a slip of an avoidance habit: no celebration, just a way back
+  // from a mistaken tap and a nudge to start again
+  handleHabitSlipped({ habit, date }) {
+    if (date !== todayKey() || this.currentView === 'stats') {
+      this.refreshCurrentView();
+    }
+    this.updateProgressDashboard();
+
+    if (date === todayKey()) {
+      this.showUndoableMessage(`Slip logged for "${habit.name}" — a fresh start begins now`);
+    }
+  }
+
+  // Handle removed logs and days
+  handleHabitUncompleted({ date }) {
+    if (date !== todayKey() || this.currentView === 'stats') {
+      this.refreshCurrentView();
+    }
+    this.updateProgressDashboard();
+  }
+
   // Handle habit creation
-  handleHabitCreated(habitData) {
-    const habit = this.habitTracker.addHabit(habitData);
+  handleHabitAdded({ habit, restored }) {
+    this.refreshCurrentView();
+    this.updateProgressDashboard();
     
-    // Refresh current view
+    // Show success message
+    if (!restored) {
+      this.showUndoableMessage(`"${habit.name}" habit created successfully!`);
+    }
+  }
+
+  // Handle habit edits
+  handleHabitUpdated({ habit, restored, status, previous }) {
+    this.refreshCurrentView();
+    this.updateProgressDashboard();
+
+    if (restored) return;
+
+    if (status === 'paused') {
+      const until = habit.resumeOn
+        ? ` until ${parseDateKey(habit.resumeOn).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' })}`
+        : '';
+      this.showUndoableMessage(`⏸️ "${habit.name}" paused${until}`);
+    } else if (status === 'archived') {
+      this.showUndoableMessage(`📦 "${habit.name}" archived — find it under All`);
+    } else if (status === 'active') {
+      this.showUndoableMessage(`"${habit.name}" ${previous === 'archived' ? 'restored' : 'resumed'}`);
+    } else {
+      this.showUndoableMessage(`"${habit.name}" updated`);
+    }
+  }
+
+  // A pause that ran out on its own isn't undoable
+  handleHabitResumed({ habit }) {
+    this.refreshCurrentView();
+    this.updateProgressDashboard();
+    this.showSuccessMessage(`▶️ "${habit.name}" is back on today`);
+  }
+
+  // Handle routine changes; routines aren't undoable, so no Undo action
+  handleRoutineChanged(message) {
+    this.refreshCurrentView();
+    this.showSuccessMessage(message);
+  }
+
+  // Handle identity changes; like routines, they aren't undoable
+  handleIdentityChanged(message) {
+    this.refreshCurrentView();
+    this.showSuccessMessage(message);
+  }
+
+  // Handle contracts being signed or ended
+  handleContractChanged(contract, change) {
+    const habit = this.habitTracker.getHabit(contract.habitId);
+    if (habit) this.showSuccessMessage(`📜 Contract for "${habit.name}" ${change}`);
+  }
+
+  // Handle habit deletion; a card deleted from the UI has already animated out,
+  // but routines showing the habit as a step need redrawing
+  handleHabitDeleted({ habit, restored }) {
+    const inRoutine = this.habitTracker.getAllRoutines().some(routine => routine.habitIds.includes(habit.id));
+    if (restored || inRoutine || this.currentView !== 'today' || this.habitTracker.getTodaysHabits().length === 0) {
+      this.refreshCurrentView();
+    }
+    this.updateProgressDashboard();
+
+    if (!restored) {
+      this.showUndoableMessage(`"${habit.name}" deleted`);
+    }
+  }
+
+  // Re-render whichever view is showing
+  refreshCurrentView() {
     switch (this.currentView) {
       case 'today':
         this.renderTodayView();
@@ -346,12 +962,13 @@ export class HabitTrackingInterface {
       case 'all':
         this.renderAllHabitsView();
         break;
+      case 'stats':
+        this.renderStatsView();
+        break;
+      case 'identity':
+        this.renderIdentityView();
+        break;
     }
-
-    this.updateProgressDashboard();
-    
-    // Show success message
-    this.showSuccessMessage(`"${habit.name}" habit created successfully!`);
   }
 
   // Check for milestones and celebrations
@@ -387,17 +1004,57 @@ export class HabitTrackingInterface {
     this.showSuccessMessage(messages[streak] || `${streak}-day streak achieved!`);
   }
 
-  // Show success message
-  showSuccessMessage(message) {
+  // Undo the last habit change and refresh what's on screen
+  undoLastChange() {
+    const entry = this.habitTracker.undo();
+    if (!entry) return;
+
+    this.showSuccessMessage(`Undid: ${entry.label}`, {
+      label: 'Redo',
+      onClick: () => this.redoLastChange()
+    });
+  }
+
+  // Redo the last undone habit change
+  redoLastChange() {
+    const entry = this.habitTracker.redo();
+    if (!entry) return;
+
+    this.showUndoableMessage(`Redid: ${entry.label}`);
+  }
+
+  // Show a success message for a habit change, with an Undo action
+  showUndoableMessage(message) {
+    this.showSuccessMessage(message, {
+      label: 'Undo',
+      onClick: () => this.undoLastChange()
+    });
+  }
+
+  // Show success message, optionally with an action button. Persistent
+  // messages stay until their action is used.
+  showSuccessMessage(message, action = null, { persist = false } = {}) {
     const toast = document.createElement('div');
     toast.className = 'success-toast';
     toast.textContent = message;
+
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      }, { once: true });
+      toast.appendChild(button);
+    }
     
     document.body.appendChild(toast);
 
     // Animate toast
     this.animationSystem.animateHabitCardEntrance([toast])
       .then(() => {
+        if (persist) return;
         setTimeout(() => {
           this.animationSystem.animateHabitCardExit(toast)
             .then(() => toast.remove());
@@ -418,8 +1075,26 @@ export class HabitTrackingInterface {
 
   // Handle keyboard shortcuts
   handleKeyboardShortcuts(e) {
+    // Leave undo/redo inside form fields to the browser
+    const isEditingText = e.target.matches?.('input, textarea, select');
+
     if (e.ctrlKey || e.metaKey) {
       switch (e.key) {
+        case 'z':
+        case 'Z':
+          if (isEditingText) break;
+          e.preventDefault();
+          if (e.shiftKey) {
+            this.redoLastChange();
+          } else {
+            this.undoLastChange();
+          }
+          break;
+        case 'y':
+          if (isEditingText) break;
+          e.preventDefault();
+          this.redoLastChange();
+          break;
         case 'n':
           e.preventDefault();
           this.uiComponents.openHabitCreator();
@@ -436,6 +1111,10 @@ export class HabitTrackingInterface {
           e.preventDefault();
           this.switchView('stats');
           break;
+        case '4':
+          e.preventDefault();
+          this.switchView('identity');
+          break;
       }
     }
   }
@@ -457,7 +1136,11 @@ export class HabitTrackingInterface {
   // Cleanup when destroying the interface
   destroy() {
     this.animationSystem.cleanup();
-    document.removeEventListener('habitCompleted', this.handleHabitCompleted);
-    document.removeEventListener('habitCreated', this.handleHabitCreated);
+    this.reminderScheduler?.stop();
+    this.syncEngine?.stop();
+    document.removeEventListener('visibilitychange', this.runDailyChecksOnShow);
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    Array.from(this.cardUnsubscribers.keys()).forEach(listId => this.releaseCards(listId));
   }
 }
@@ -4,10 +4,69 @@
  */
 
 import { AnimationSystem } from '../animations/AnimationSystem.js';
+import { todayKey, addDays, addMonths, parseDateKey, getIsoWeekday } from '../core/DateKeys.js';
+import { formatIntention, formatBundle, formatPause, MAX_LEVELS, MAX_GRACE_DAYS } from '../core/AtomicHabits.js';
+import { buildWeeklyReport, formatReportText, renderReportPNG } from '../data/AccountabilityReport.js';
+
+// Example ladder, from the two-minute version to the full habit
+const LEVEL_PLACEHOLDERS = [
+  'Two-minute version, e.g. put on running shoes',
+  'e.g. walk around the block',
+  'e.g. run for 10 minutes',
+  'e.g. run 3 km',
+  'Full habit, e.g. run 5 km'
+];
+
+// Card tags for the four laws, with how to strengthen a weak one; an
+// avoidance habit's tags are for the inverted laws
+const LAW_TAGS = [
+  {
+    law: 'cue', icon: '👁️', label: 'Cue', hint: 'say when and where: "I will … at … in …"',
+    avoid: { label: 'Invisible', hint: 'say how you will hide the cue in a few words' }
+  },
+  {
+    law: 'craving', icon: '💫', label: 'Craving', hint: 'pair it with something you enjoy: "After …, I will …"',
+    avoid: { label: 'Unattractive', hint: 'say what it really costs you in a few words' }
+  },
+  {
+    law: 'response', icon: '⚡', label: 'Response', hint: 'describe the smallest version in a few words',
+    avoid: { label: 'Difficult', hint: 'say what friction you will add in a few words' }
+  },
+  {
+    law: 'reward', icon: '🎉', label: 'Reward', hint: 'say how you will celebrate in a few words',
+    avoid: { label: 'Unsatisfying', hint: 'say what a slip will cost you in a few words' }
+  }
+];
+
+// Titles and prompts of the four laws in the habit form, as written for a
+// habit to build and inverted for one to break
+const LAW_PROMPTS = {
+  build: {
+    cue: ['Make it Obvious (Cue)', 'When and where will you do this habit?'],
+    craving: ['Make it Attractive (Craving)', 'What makes this habit appealing?'],
+    response: ['Make it Easy (Response)', "What's the smallest version of this habit?"],
+    reward: ['Make it Satisfying (Reward)', 'How will you celebrate completing this?']
+  },
+  break: {
+    cue: ['Make it Invisible (Cue)', 'How will you keep the cue out of sight?'],
+    craving: ['Make it Unattractive (Craving)', 'What does this habit really cost you?'],
+    response: ['Make it Difficult (Response)', 'What friction will you put in the way?'],
+    reward: ['Make it Unsatisfying (Reward)', 'What will a slip cost you, e.g. telling a friend?']
+  }
+};
+
+// "5 hours" or "3 days" since a slip
+function describeTimeSince(date, days) {
+  const hours = Math.floor((Date.now() - date.getTime()) / 3600000);
+  if (days >= 2 || hours >= 48) return `${days} days`;
+  if (hours < 1) return 'less than an hour';
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
 
 export class UIComponents {
-  constructor(animationSystem) {
+  constructor(animationSystem, habitTracker) {
     this.animations = animationSystem;
+    this.habitTracker = habitTracker;
     this.touchStartY = 0;
     this.touchStartX = 0;
   }
@@ -20,28 +79,50 @@ export class UIComponents {
     
     const completionStatus = habit.isCompletedToday() ? 'completed' : 'pending';
     const progressPercentage = (habit.streak / Math.max(habit.longestStreak, 7)) * 100;
+    const avoidance = habit.isAvoidance();
+    card.classList.toggle('avoidance', avoidance);
+    card.classList.toggle('paused', habit.isPaused());
 
     card.innerHTML = `
       <div class="habit-card-inner">
         <div class="habit-header">
           <div class="habit-info">
-            <h3 class="habit-name">${habit.name}</h3>
-            <p class="habit-description">${habit.description}</p>
-            <div class="habit-laws">
-              <span class="law-tag cue" title="Cue: ${habit.cue}">👁️</span>
-              <span class="law-tag craving" title="Craving: ${habit.craving}">💫</span>
-              <span class="law-tag response" title="Response: ${habit.response}">⚡</span>
-              <span class="law-tag reward" title="Reward: ${habit.reward}">🎉</span>
-            </div>
+            <h3 class="habit-name"></h3>
+            <span class="habit-schedule">${avoidance ? '🚫 Avoiding' : habit.schedule.describe()}</span>
+            <p class="habit-description"></p>
+            <p class="habit-since-slip"></p>
+            <p class="habit-streak-flag" hidden></p>
+            <div class="habit-laws"></div>
           </div>
-          <div class="habit-completion ${completionStatus}">
-            <div class="habit-check">
-              <svg viewBox="0 0 24 24" class="check-icon">
-                <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-              </svg>
+          ${avoidance ? `
+            <div class="habit-tally">
+              <button class="habit-completion habit-slip ${habit.hasSlipped() ? 'slipped' : ''}" title="Log a slip">
+                <span class="slip-label">Slipped</span>
+                <span class="habit-count">${habit.getCountForDate()}</span>
+              </button>
+              <button class="habit-decrement" title="Take back a slip" ${habit.getCountForDate() === 0 ? 'disabled' : ''}>−</button>
             </div>
-          </div>
+          ` : habit.targetCount > 1 ? `
+            <div class="habit-tally">
+              <div class="habit-completion multi-count ${completionStatus}">
+                ${this.createSegmentedRing(habit.getCountForDate(), habit.targetCount)}
+                <div class="habit-check">
+                  <span class="habit-count">${habit.getCountForDate()}/${habit.targetCount}</span>
+                </div>
+              </div>
+              <button class="habit-decrement" title="Remove one" ${habit.getCountForDate() === 0 ? 'disabled' : ''}>−</button>
+            </div>
+          ` : `
+            <div class="habit-completion ${completionStatus}">
+              <div class="habit-check">
+                <svg viewBox="0 0 24 24" class="check-icon">
+                  <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+                </svg>
+              </div>
+            </div>
+          `}
         </div>
+        <div class="habit-level-row"></div>
         
         <div class="habit-progress-section">
           <div class="habit-progress">
@@ -50,7 +131,7 @@ export class UIComponents {
           <div class="habit-stats">
             <div class="stat-item">
               <span class="stat-value streak-counter">${habit.streak}</span>
-              <span class="stat-label">Streak</span>
+              <span class="stat-label">${avoidance ? 'Clean Days' : 'Streak'}</span>
             </div>
             <div class="stat-item">
               <span class="stat-value">${habit.longestStreak}</span>
@@ -58,17 +139,254 @@ export class UIComponents {
             </div>
             <div class="stat-item">
               <span class="stat-value">${Math.round(habit.getCompletionRate(7))}%</span>
-              <span class="stat-label">Week</span>
+              <span class="stat-label">${avoidance ? 'Clean Week' : 'Week'}</span>
             </div>
           </div>
         </div>
       </div>
     `;
 
+    // Names and descriptions can come from imports, so keep them out of the markup
+    card.querySelector('.habit-name').textContent = habit.name;
+    card.querySelector('.habit-description').textContent = habit.description;
+    this.fillSinceSlip(card.querySelector('.habit-since-slip'), habit);
+    this.fillStreakFlag(card.querySelector('.habit-streak-flag'), habit);
+    this.fillLawTags(card.querySelector('.habit-laws'), habit);
+    this.fillLevelRow(card.querySelector('.habit-level-row'), habit);
     this.addHabitCardInteractions(card, habit);
+    this.subscribeHabitCard(card, habit);
     return card;
   }
 
+  // Tag each law as strong, weak or missing, followed by the completeness score
+  fillLawTags(container, habit) {
+    const { laws, score } = habit.getLawCompleteness();
+
+    LAW_TAGS.forEach(({ law, icon, ...tagText }) => {
+      const { label, hint } = habit.isAvoidance() ? tagText.avoid : tagText;
+      const tag = document.createElement('span');
+      tag.className = `law-tag ${law} law-${laws[law]}`;
+      tag.textContent = icon;
+      tag.title = `${label}: ${habit[law] || 'not set'}` + (laws[law] === 'strong' ? '' : ` — ${laws[law]}, ${hint}`);
+      container.appendChild(tag);
+    });
+
+    const scoreTag = document.createElement('span');
+    scoreTag.className = 'law-score';
+    scoreTag.textContent = `${score}%`;
+    scoreTag.title = 'How complete the Four Laws are for this habit';
+    container.appendChild(scoreTag);
+  }
+
+  // How long an avoidance habit has gone without a slip
+  fillSinceSlip(element, habit) {
+    if (!habit.isAvoidance()) {
+      element.remove();
+      return;
+    }
+
+    const { lastSlipAt, daysSinceLastSlip } = habit.getSlipAnalytics();
+    element.textContent = lastSlipAt
+      ? `${describeTimeSince(lastSlipAt, daysSinceLastSlip)} since the last slip`
+      : `No slips since you started${daysSinceLastSlip > 0 ? ` ${daysSinceLastSlip} days ago` : ''}`;
+  }
+
+  // Warn when the streak survives on a forgiven miss, or say it's on hold
+  // while the habit is paused
+  fillStreakFlag(element, habit) {
+    const pause = habit.getPause();
+    if (habit.isPaused()) {
+      element.textContent = '⏸️ Paused' + (habit.resumeOn ? `, back on ${parseDateKey(habit.resumeOn).toLocaleDateString([], {
+        weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+      })}` : '') + ' — streak on hold';
+    } else if (pause) {
+      element.textContent = `⏸️ ${pause.reason === 'sick' ? 'Sick' : 'On vacation'} until ${parseDateKey(pause.to).toLocaleDateString([], {
+        month: 'short', day: 'numeric', timeZone: 'UTC'
+      })} — streak on hold`;
+    } else if (habit.getStreakHistory().atRisk) {
+      element.textContent = habit.isAvoidance()
+        ? '⚠️ Slipped once — don\'t slip twice'
+        : '⚠️ Missed once — don\'t miss twice';
+    } else {
+      element.textContent = '';
+    }
+    element.hidden = !element.textContent;
+  }
+
+  // Today's version of a habit with a ladder, and any suggestion to change level
+  fillLevelRow(row, habit) {
+    row.innerHTML = '';
+    if (habit.levels.length === 0) return;
+
+    const level = habit.getLevelForDate() ?? habit.difficulty;
+    const picker = document.createElement('button');
+    picker.className = 'habit-level';
+    picker.textContent = `Level ${level} · ${habit.getLevelName(level)} ▾`;
+    picker.title = habit.getCompletion() ? 'Version done today' : "Version you're practicing";
+    picker.addEventListener('click', () => this.showLevelPicker(habit));
+    row.appendChild(picker);
+
+    const suggestion = habit.getLevelSuggestion();
+    if (!suggestion) return;
+
+    const prompt = document.createElement('div');
+    prompt.className = `level-suggestion ${suggestion.direction}`;
+    prompt.innerHTML = `
+      <p></p>
+      <button class="btn btn-primary accept-level">${suggestion.direction === 'up' ? 'Step Up' : 'Step Down'}</button>
+      <button class="btn btn-secondary dismiss-level">Not Now</button>
+    `;
+    const name = habit.getLevelName(suggestion.level);
+    prompt.querySelector('p').textContent = suggestion.direction === 'up'
+      ? `You've kept this up for two weeks. Ready for “${name}”?`
+      : `A few misses lately. Make it easier with “${name}” for now?`;
+
+    prompt.querySelector('.accept-level').addEventListener('click', () => {
+      this.habitTracker.setHabitLevel(habit.id, suggestion.level);
+    });
+    prompt.querySelector('.dismiss-level').addEventListener('click', () => {
+      this.habitTracker.dismissLevelSuggestion(habit.id);
+      prompt.remove();
+    });
+    row.appendChild(prompt);
+  }
+
+  // Choose the version done today, logging the day if it isn't yet
+  showLevelPicker(habit) {
+    const overlay = document.createElement('div');
+    overlay.className = 'habit-options-overlay';
+    overlay.innerHTML = `
+      <div class="habit-options-menu">
+        <div class="options-header">
+          <h4>Which version did you do?</h4>
+          <button class="close-options">×</button>
+        </div>
+        <div class="options-list"></div>
+      </div>
+    `;
+
+    const current = habit.getLevelForDate() ?? habit.difficulty;
+    const list = overlay.querySelector('.options-list');
+    habit.levels.forEach((name, index) => {
+      const level = index + 1;
+      const option = document.createElement('button');
+      option.className = 'option-btn';
+      option.classList.toggle('active', level === current);
+      option.innerHTML = `<span class="option-icon">${level}</span><span></span>`;
+      option.lastElementChild.textContent = name;
+      option.addEventListener('click', () => {
+        this.habitTracker.logHabitLevel(habit.id, level);
+        this.closeHabitOptions(overlay);
+      });
+      list.appendChild(option);
+    });
+
+    document.body.appendChild(overlay);
+    this.animations.animateHabitCardEntrance([overlay.querySelector('.habit-options-menu')]);
+
+    overlay.querySelector('.close-options').addEventListener('click', () => this.closeHabitOptions(overlay));
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeHabitOptions(overlay);
+    });
+  }
+
+  // Days done at each level, as bars
+  createLevelBreakdown(habit) {
+    const breakdown = document.createElement('div');
+    breakdown.className = 'level-breakdown';
+
+    habit.getLevelAnalytics().forEach(({ level, name, days, share }) => {
+      const row = document.createElement('div');
+      row.className = 'level-breakdown-row';
+      row.classList.toggle('current', level === habit.difficulty);
+      row.innerHTML = `
+        <span class="level-breakdown-name"></span>
+        <div class="habit-progress"><div class="progress-fill" style="width: ${share}%"></div></div>
+        <span class="level-breakdown-days">${days}d</span>
+      `;
+      row.querySelector('.level-breakdown-name').textContent = `${level}. ${name}`;
+      breakdown.appendChild(row);
+    });
+
+    return breakdown;
+  }
+
+  // Time since an avoidance habit's last slip, and slips per week as bars
+  createSlipTrend(habit) {
+    const { weekly, trend } = habit.getSlipAnalytics();
+    const most = Math.max(...weekly.map(week => week.count), 1);
+    const trendLabels = {
+      fewer: '↓ Fewer slips than before',
+      more: '↑ More slips than before',
+      steady: '→ About as many slips as before'
+    };
+
+    const section = document.createElement('div');
+    section.className = 'slip-trend';
+    section.innerHTML = `
+      <p class="habit-since-slip"></p>
+      <div class="slip-bars">
+        ${weekly.map(week => `
+          <div class="slip-bar" title="${week.count} slip${week.count === 1 ? '' : 's'} from ${week.from} to ${week.to}">
+            <div class="slip-bar-fill" style="height: ${(week.count / most) * 100}%"></div>
+          </div>
+        `).join('')}
+      </div>
+      <p class="slip-trend-label ${trend}">${trendLabels[trend]} · slips per week, last ${weekly.length} weeks</p>
+    `;
+    this.fillSinceSlip(section.querySelector('.habit-since-slip'), habit);
+
+    return section;
+  }
+
+  // Keep a card in step with its habit's completions, wherever they come from
+  subscribeHabitCard(card, habit) {
+    const unsubscribers = [
+      this.habitTracker.on('habit:completed', (e) => this.onHabitCardChange(card, habit, e)),
+      this.habitTracker.on('habit:uncompleted', (e) => this.onHabitCardChange(card, habit, e)),
+      this.habitTracker.on('habit:slipped', (e) => this.onHabitCardChange(card, habit, e))
+    ];
+
+    card.unsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  // React to a completion change of the card's habit
+  onHabitCardChange(card, habit, event) {
+    if (event.habit.id !== habit.id) return;
+
+    // Cards are dropped whenever a view re-renders
+    if (!card.isConnected) {
+      card.unsubscribe();
+      return;
+    }
+
+    this.updateHabitCardProgress(card, event.habit);
+
+    if (event.type === 'habit:slipped' && event.date === todayKey()) {
+      this.animations.animateButtonPress(card.querySelector('.habit-completion'));
+      return;
+    }
+    if (event.type !== 'habit:completed' || event.date !== todayKey()) {
+      return;
+    }
+
+    // Partial progress on a multi-count habit only gets a small nudge
+    if (!event.habit.isCompletedToday()) {
+      this.animations.animateButtonPress(card.querySelector('.habit-completion'));
+      return;
+    }
+
+    // Animate completion
+    this.animations.animateHabitCompletion(card, {
+      onComplete: () => {
+        // Check for streak milestones
+        if ([7, 30, 100, 365].includes(event.habit.streak)) {
+          this.animations.animateStreakMilestone(card, event.habit.streak);
+        }
+      }
+    });
+  }
+
   // Add interactions to habit card
   addHabitCardInteractions(card, habit) {
     const checkButton = card.querySelector('.habit-completion');
@@ -79,6 +397,12 @@ export class UIComponents {
       this.handleHabitCompletion(card, habit);
     });
 
+    // Take back one log of a multi-count habit
+    card.querySelector('.habit-decrement')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.handleHabitDecrement(card, habit);
+    });
+
     // Long press for options
     let longPressTimer;
     checkButton.addEventListener('touchstart', (e) => {
@@ -95,36 +419,184 @@ export class UIComponents {
     this.addSwipeGestures(card, habit);
   }
 
-  // Handle habit completion
+  // Handle habit completion, or for an avoidance habit, a slip; the card
+  // updates and animates from the store's event
   handleHabitCompletion(card, habit) {
+    if (habit.isAvoidance()) {
+      this.habitTracker.logSlip(habit.id);
+      return;
+    }
     if (habit.isCompletedToday()) return;
 
-    // Update habit
-    habit.complete();
-    
-    // Update UI
+    this.habitTracker.completeHabit(habit.id);
+  }
+
+  // Handle taking back one log of a multi-count habit
+  handleHabitDecrement(card, habit) {
+    if (this.habitTracker.decrementHabit(habit.id)) {
+      this.animations.animateButtonPress(card.querySelector('.habit-completion'));
+    }
+  }
+
+  // Sync a card's completion state, tally and streak with the habit
+  updateHabitCardProgress(card, habit) {
     const checkButton = card.querySelector('.habit-completion');
-    checkButton.classList.add('completed');
-    
+
+    if (habit.isAvoidance()) {
+      const slips = habit.getCountForDate();
+      checkButton.classList.toggle('slipped', slips > 0);
+      checkButton.querySelector('.habit-count').textContent = slips;
+      card.querySelector('.habit-decrement').disabled = slips === 0;
+      this.fillSinceSlip(card.querySelector('.habit-since-slip'), habit);
+    } else {
+      checkButton.classList.toggle('completed', habit.isCompletedToday());
+    }
+
+    if (habit.targetCount > 1) {
+      const count = habit.getCountForDate();
+      checkButton.querySelector('.segment-ring').outerHTML =
+        this.createSegmentedRing(count, habit.targetCount);
+      checkButton.querySelector('.habit-count').textContent = `${count}/${habit.targetCount}`;
+      card.querySelector('.habit-decrement').disabled = count === 0;
+    }
+
     // Update streak counter
     const streakCounter = card.querySelector('.streak-counter');
     streakCounter.textContent = habit.streak;
+    this.fillStreakFlag(card.querySelector('.habit-streak-flag'), habit);
 
-    // Animate completion
-    this.animations.animateHabitCompletion(card, {
-      onComplete: () => {
-        // Check for streak milestones
-        if ([7, 30, 100, 365].includes(habit.streak)) {
-          this.animations.animateStreakMilestone(card, habit.streak);
-        }
+    this.fillLevelRow(card.querySelector('.habit-level-row'), habit);
+  }
+
+  // Create a ring split into one segment per log needed for the day
+  createSegmentedRing(count, target) {
+    const radius = 21;
+    const circumference = 2 * Math.PI * radius;
+    const step = circumference / target;
+    const gap = target > 1 ? Math.min(3, step * 0.25) : 0;
+
+    const segments = Array.from({ length: target }, (_, index) => `
+      <circle class="segment ${index < count ? 'filled' : ''}" cx="24" cy="24" r="${radius}"
+              style="stroke-dasharray: ${step - gap} ${circumference - step + gap};
+                     stroke-dashoffset: ${-index * step}"/>
+    `).join('');
+
+    return `<svg class="segment-ring" viewBox="0 0 48 48">${segments}</svg>`;
+  }
+
+  // Create a routine card that walks through the routine's steps in order
+  createRoutineCard(routine) {
+    const card = document.createElement('div');
+    card.className = 'routine-card animate-on-scroll';
+    card.dataset.routineId = routine.id;
+
+    card.innerHTML = `
+      <div class="habit-header">
+        <div class="habit-info">
+          <h3 class="habit-name"></h3>
+          <p class="routine-anchor"></p>
+        </div>
+        <button class="routine-edit" aria-label="Edit routine">✏️</button>
+      </div>
+      <p class="routine-next"></p>
+      <ol class="routine-steps"></ol>
+      <div class="habit-stats">
+        <div class="stat-item">
+          <span class="stat-value routine-streak"></span>
+          <span class="stat-label">Streak</span>
+        </div>
+        <div class="stat-item">
+          <span class="stat-value routine-best"></span>
+          <span class="stat-label">Best</span>
+        </div>
+        <div class="stat-item">
+          <span class="stat-value routine-rate"></span>
+          <span class="stat-label">30 Days</span>
+        </div>
+      </div>
+    `;
+
+    card.querySelector('.habit-name').textContent = routine.name;
+    card.querySelector('.routine-anchor').textContent = routine.anchorCue ? `⚓ After ${routine.anchorCue}` : '';
+    card.querySelector('.routine-edit').addEventListener('click', () => this.openRoutineEditor(routine));
+
+    this.updateRoutineCard(card, routine);
+    this.subscribeRoutineCard(card, routine);
+    return card;
+  }
+
+  // Redraw a routine card's steps, highlighting the next one to do, and its stats
+  updateRoutineCard(card, routine) {
+    const habits = this.habitTracker.habits;
+    const next = routine.getNextStep(habits);
+    const dueIds = new Set(routine.getDueSteps(habits).map(habit => habit.id));
+    const { done, total } = routine.getProgress(habits);
+
+    const list = card.querySelector('.routine-steps');
+    list.innerHTML = '';
+    routine.getSteps(habits).forEach(habit => {
+      const isDone = habit.isCompletedToday();
+      const step = document.createElement('li');
+      step.className = 'routine-step';
+      step.classList.toggle('done', isDone);
+      step.classList.toggle('next', habit === next);
+      step.classList.toggle('rest', !dueIds.has(habit.id));
+      step.innerHTML = `
+        <button class="step-check" aria-label="Log step">✓</button>
+        <span class="step-name"></span>
+        <span class="step-count"></span>
+      `;
+
+      step.querySelector('.step-name').textContent = habit.name;
+      if (habit.targetCount > 1) {
+        step.querySelector('.step-count').textContent = `${habit.getCountForDate()}/${habit.targetCount}`;
       }
+
+      const check = step.querySelector('.step-check');
+      check.disabled = isDone || !dueIds.has(habit.id);
+      check.addEventListener('click', () => this.habitTracker.completeHabit(habit.id));
+      list.appendChild(step);
     });
 
-    // Dispatch custom event
-    card.dispatchEvent(new CustomEvent('habitCompleted', {
-      detail: { habit },
-      bubbles: true
-    }));
+    card.classList.toggle('completed', total > 0 && done === total);
+    card.querySelector('.routine-next').textContent = next
+      ? `Step ${done + 1} of ${total}: ${next.name}`
+      : total > 0 ? 'Routine done for today 🎉' : 'Nothing due today';
+
+    const analytics = routine.getAnalytics(habits);
+    card.querySelector('.routine-streak').textContent = analytics.currentStreak;
+    card.querySelector('.routine-best').textContent = analytics.longestStreak;
+    card.querySelector('.routine-rate').textContent = `${Math.round(analytics.completionRate30Days)}%`;
+  }
+
+  // Keep a routine card in step with completions of its habits
+  subscribeRoutineCard(card, routine) {
+    const onChange = (event) => {
+      if (!routine.habitIds.includes(event.habit.id)) return;
+
+      if (!card.isConnected) {
+        card.unsubscribe();
+        return;
+      }
+
+      this.updateRoutineCard(card, routine);
+      if (event.type !== 'habit:completed' || event.date !== todayKey()) return;
+
+      // Draw the eye to the step that comes next, or celebrate the finish
+      const next = card.querySelector('.routine-step.next');
+      if (next) {
+        this.animations.animateButtonPress(next);
+      } else if (card.classList.contains('completed')) {
+        this.animations.createEnhancedConfettiEffect(card);
+      }
+    };
+
+    const unsubscribers = [
+      this.habitTracker.on('habit:completed', onChange),
+      this.habitTracker.on('habit:uncompleted', onChange)
+    ];
+
+    card.unsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   // Add swipe gestures
@@ -165,8 +637,8 @@ export class UIComponents {
         if (diffX > 0) {
           // Swipe left - show options
           this.showHabitOptions(card, habit);
-        } else {
-          // Swipe right - quick complete
+        } else if (!habit.isAvoidance()) {
+          // Swipe right - quick complete; slips are only logged on purpose
           this.handleHabitCompletion(card, habit);
         }
       }
@@ -183,7 +655,7 @@ export class UIComponents {
     overlay.innerHTML = `
       <div class="habit-options-menu">
         <div class="options-header">
-          <h4>${habit.name}</h4>
+          <h4></h4>
           <button class="close-options">×</button>
         </div>
         <div class="options-list">
@@ -199,6 +671,29 @@ export class UIComponents {
             <span class="option-icon">📋</span>
             Duplicate
           </button>
+          <button class="option-btn streak-policy">
+            <span class="option-icon">🛡️</span>
+            Streak Policy
+          </button>
+          <button class="option-btn habit-contract">
+            <span class="option-icon">📜</span>
+            Contract
+          </button>
+          ${habit.isPaused() ? `
+            <button class="option-btn resume-habit">
+              <span class="option-icon">▶️</span>
+              Resume
+            </button>
+          ` : `
+            <button class="option-btn pause-habit">
+              <span class="option-icon">⏸️</span>
+              Pause
+            </button>
+          `}
+          <button class="option-btn archive-habit">
+            <span class="option-icon">📦</span>
+            Archive
+          </button>
           <button class="option-btn delete-habit danger">
             <span class="option-icon">🗑️</span>
             Delete
@@ -207,6 +702,7 @@ export class UIComponents {
       </div>
     `;
 
+    overlay.querySelector('.options-header h4').textContent = habit.name;
     document.body.appendChild(overlay);
 
     // Animate menu appearance
@@ -230,18 +726,262 @@ export class UIComponents {
       this.closeHabitOptions(overlay);
     });
 
+    overlay.querySelector('.view-stats').addEventListener('click', () => {
+      this.openHabitCalendar(habit);
+      this.closeHabitOptions(overlay);
+    });
+
+    overlay.querySelector('.streak-policy').addEventListener('click', () => {
+      this.openStreakPolicyDialog(habit);
+      this.closeHabitOptions(overlay);
+    });
+
+    overlay.querySelector('.habit-contract').addEventListener('click', () => {
+      this.openContractDialog(habit);
+      this.closeHabitOptions(overlay);
+    });
+
+    overlay.querySelector('.pause-habit')?.addEventListener('click', () => {
+      this.openPauseDialog(habit);
+      this.closeHabitOptions(overlay);
+    });
+
+    overlay.querySelector('.resume-habit')?.addEventListener('click', () => {
+      this.habitTracker.setHabitStatus(habit.id, 'active');
+      this.closeHabitOptions(overlay);
+    });
+
+    overlay.querySelector('.archive-habit').addEventListener('click', () => {
+      this.habitTracker.setHabitStatus(habit.id, 'archived');
+      this.closeHabitOptions(overlay);
+    });
+
     overlay.querySelector('.delete-habit').addEventListener('click', () => {
       this.confirmDeleteHabit(habit, card);
       this.closeHabitOptions(overlay);
     });
   }
 
+  // Set a habit aside, optionally until a given day; it leaves Today and its
+  // streak waits until it's back
+  openPauseDialog(habit) {
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Pause Habit</h2>
+          <button class="close-modal">×</button>
+        </div>
+        <form class="habit-form pause-form">
+          <p class="pause-habit-name"></p>
+          <div class="form-section">
+            <label class="form-label" for="resume-on">Resume on</label>
+            <input type="date" class="form-input" id="resume-on" name="resumeOn" min="${addDays(todayKey(), 1)}">
+            <p class="settings-hint">Leave empty to resume by hand. Paused days don't count against the streak or completion rate.</p>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">Pause</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    modal.querySelector('.pause-habit-name').textContent = habit.name;
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    const form = modal.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.habitTracker.setHabitStatus(habit.id, 'paused', { resumeOn: form.elements.resumeOn.value || null });
+      close();
+    });
+    form.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+  }
+
+  // An archived habit in the All view's Archive, with what it achieved
+  createArchivedHabitRow(habit) {
+    const row = document.createElement('div');
+    row.className = 'archived-habit';
+    row.innerHTML = `
+      <div class="archived-habit-info">
+        <span class="archived-habit-name"></span>
+        <span class="archived-habit-summary"></span>
+      </div>
+      <button class="btn btn-secondary restore-archived">Restore</button>
+    `;
+
+    const archivedAt = habit.getStatusChangedAt();
+    const days = habit.getDoneCompletions().length;
+    row.querySelector('.archived-habit-name').textContent = habit.name;
+    row.querySelector('.archived-habit-summary').textContent = [
+      archivedAt && `Archived ${new Date(archivedAt).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`,
+      habit.isAvoidance() ? null : `${days} day${days === 1 ? '' : 's'} done`,
+      `best streak ${habit.longestStreak}`
+    ].filter(Boolean).join(' · ');
+
+    row.querySelector('.restore-archived').addEventListener('click', () => {
+      this.habitTracker.setHabitStatus(habit.id, 'active');
+    });
+
+    return row;
+  }
+
   // Close habit options
   closeHabitOptions(overlay) {
     this.animations.animateHabitCardExit(overlay.querySelector('.habit-options-menu'))
       .then(() => overlay.remove());
   }
 
+  // Open a month calendar for reviewing and backfilling a habit's completions
+  openHabitCalendar(habit) {
+    const modal = document.createElement('div');
+    modal.className = 'habit-calendar-modal';
+    let month = todayKey().slice(0, 8) + '01';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2></h2>
+          <button class="close-modal">×</button>
+        </div>
+        <div class="calendar-body"></div>
+      </div>
+    `;
+
+    modal.querySelector('.modal-header h2').textContent = habit.name;
+    document.body.appendChild(modal);
+
+    const body = modal.querySelector('.calendar-body');
+    // Undo/redo swaps in a fresh habit object, so always read the stored one
+    const currentHabit = () => this.habitTracker.getHabit(habit.id) || habit;
+    const render = () => {
+      body.innerHTML = this.createCalendarMonth(currentHabit(), month);
+    };
+    render();
+
+    // Animate modal appearance
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const closeModal = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    modal.querySelector('.close-modal').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    body.addEventListener('click', (e) => {
+      const nav = e.target.closest('.calendar-nav');
+      if (nav && !nav.disabled) {
+        month = addMonths(month, Number(nav.dataset.step));
+        render();
+        return;
+      }
+
+      const day = e.target.closest('.calendar-day');
+      if (!day || day.disabled) return;
+
+      // Tapping a day toggles it between fully done and not logged, or for an
+      // avoidance habit, between slipped and clean
+      const { date } = day.dataset;
+      const { targetCount } = currentHabit();
+      if (currentHabit().isAvoidance()) {
+        if (currentHabit().hasSlipped(date)) {
+          this.habitTracker.uncompleteHabit(habit.id, date);
+        } else {
+          this.habitTracker.logSlip(habit.id, date);
+        }
+      } else if (currentHabit().getCountForDate(date) < targetCount) {
+        this.habitTracker.completeHabit(habit.id, date, targetCount);
+      } else {
+        this.habitTracker.uncompleteHabit(habit.id, date);
+      }
+      render();
+    });
+  }
+
+  // Create the calendar grid and summary for one month of a habit
+  createCalendarMonth(habit, month) {
+    const today = todayKey();
+    const nextMonth = addMonths(month, 1);
+    const monthLabel = parseDateKey(month).toLocaleDateString(undefined, {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+
+    const { forgivenMisses } = habit.getStreakHistory();
+    const days = [];
+    for (let date = month; date < nextMonth; date = addDays(date, 1)) {
+      const count = habit.getCountForDate(date);
+      const period = habit.schedule.getPeriodStart(date);
+      const classes = ['calendar-day'];
+
+      if (habit.isAvoidance()) {
+        if (count > 0) classes.push('slipped');
+        else if (habit.isKeptToday(date)) classes.push('done');
+      } else if (count >= habit.targetCount) classes.push('done');
+      else if (count > 0) classes.push('partial');
+      if (!habit.schedule.isScheduled(period)) classes.push('rest');
+      if (habit.getPause(date)) classes.push('paused');
+      else if (habit.freezes.includes(period)) classes.push('frozen');
+      else if (forgivenMisses.includes(period)) classes.push('forgiven');
+      if (date === today) classes.push('today');
+
+      days.push(`
+        <button class="${classes.join(' ')}" data-date="${date}" ${date > today ? 'disabled' : ''}>
+          ${Number(date.slice(8))}
+        </button>
+      `);
+    }
+
+    const leadingBlanks = '<span class="calendar-blank"></span>'.repeat(getIsoWeekday(month) - 1);
+
+    return `
+      <div class="calendar-header">
+        <button class="calendar-nav" data-step="-1" aria-label="Previous month">‹</button>
+        <h3 class="calendar-month">${monthLabel}</h3>
+        <button class="calendar-nav" data-step="1" aria-label="Next month" ${nextMonth > today ? 'disabled' : ''}>›</button>
+      </div>
+      <div class="calendar-grid">
+        ${['M', 'T', 'W', 'T', 'F', 'S', 'S'].map(day => `<span class="calendar-weekday">${day}</span>`).join('')}
+        ${leadingBlanks}
+        ${days.join('')}
+      </div>
+      <p class="calendar-hint">Tap a past day to add or remove ${habit.isAvoidance() ? 'a slip' : 'its completion'}.
+        ${habit.pauses.length > 0 || habit.freezes.length > 0 ? 'Striped days are paused or covered by a grace day.' : ''}</p>
+      <div class="habit-stats calendar-stats">
+        <div class="stat-item">
+          <span class="stat-value">${habit.streak}</span>
+          <span class="stat-label">${habit.isAvoidance() ? 'Clean Days' : 'Streak'}</span>
+        </div>
+        <div class="stat-item">
+          <span class="stat-value">${habit.longestStreak}</span>
+          <span class="stat-label">Best</span>
+        </div>
+        <div class="stat-item">
+          <span class="stat-value">${Math.round(habit.getCompletionRate(30))}%</span>
+          <span class="stat-label">30 Days</span>
+        </div>
+      </div>
+    `;
+  }
+
   // Create floating action button
   createFloatingActionButton() {
     const fab = document.createElement('button');
@@ -260,15 +1000,15 @@ export class UIComponents {
     return fab;
   }
 
-  // Create habit creator modal
-  openHabitCreator() {
+  // Create habit creator modal; passing a habit opens it as that habit's editor
+  openHabitCreator(habit = null) {
     const modal = document.createElement('div');
     modal.className = 'habit-creator-modal';
     
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
-          <h2>Create New Habit</h2>
+          <h2>${habit ? 'Edit Habit' : 'Create New Habit'}</h2>
           <button class="close-modal">×</button>
         </div>
         
@@ -278,6 +1018,15 @@ export class UIComponents {
             <input type="text" class="form-input" name="name" placeholder="e.g., Drink 8 glasses of water" required>
           </div>
           
+          <div class="form-section">
+            <label class="form-label">I want to…</label>
+            <div class="law-mode-toggle polarity-toggle">
+              <button type="button" class="polarity-option" data-polarity="build">Build a habit</button>
+              <button type="button" class="polarity-option" data-polarity="break">Break a habit</button>
+              <input type="hidden" name="polarity" value="build">
+            </div>
+          </div>
+          
           <div class="form-section">
             <label class="form-label">Description</label>
             <textarea class="form-input" name="description" placeholder="Why is this habit important to you?"></textarea>
@@ -295,26 +1044,95 @@ export class UIComponents {
             </select>
           </div>
           
-          <div class="atomic-laws-section">
-            <h3>The Four Laws of Behavior Change</h3>
+          <div class="form-section build-only">
+            <label class="form-label">Times per Day</label>
+            <input type="number" class="form-input" name="targetCount" min="1" max="50" value="1">
+          </div>
+          
+          <div class="form-section reminder-picker build-only">
+            <label class="form-label">Reminders</label>
+            <div class="reminder-times"></div>
+            <button type="button" class="btn btn-secondary add-reminder">+ Add Time</button>
+            <p class="settings-hint">Get a nudge at your cue time. Habits done several times a day can have several.</p>
+          </div>
+          
+          <div class="form-section schedule-picker build-only">
+            <label class="form-label">Schedule</label>
+            <select class="form-input schedule-type" name="scheduleType">
+              <option value="daily">Every day</option>
+              <option value="weekdays">Specific weekdays</option>
+              <option value="interval">Every few days</option>
+              <option value="timesPerWeek">Times per week</option>
+              <option value="weekly">Once a week</option>
+              <option value="monthly">Once a month</option>
+            </select>
             
-            <div class="law-input">
-              <label class="law-label">
-                <span class="law-icon">👁️</span>
+            <div class="schedule-option" data-schedule="weekdays">
+              <div class="weekday-picker">
+                ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((day, index) => `
+                  <label class="weekday-chip">
+                    <input type="checkbox" name="weekdays" value="${index + 1}">
+                    <span>${day}</span>
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+            
+            <div class="schedule-option" data-schedule="interval">
+              <label class="schedule-inline">
+                Every <input type="number" class="form-input" name="interval" min="2" max="30" value="2"> days
+              </label>
+            </div>
+            
+            <div class="schedule-option" data-schedule="timesPerWeek">
+              <label class="schedule-inline">
+                <input type="number" class="form-input" name="timesPerWeek" min="1" max="7" value="3"> times per week, any days
+              </label>
+            </div>
+          </div>
+          
+          <div class="atomic-laws-section">
+            <h3>The Four Laws of Behavior Change</h3>
+            
+            <div class="law-mode-toggle build-only">
+              <button type="button" class="law-mode" data-mode="guided">Guided</button>
+              <button type="button" class="law-mode" data-mode="free">Free text</button>
+              <input type="hidden" name="lawMode" value="guided">
+            </div>
+            
+            <div class="law-input" data-law="cue">
+              <label class="law-label">
+                <span class="law-icon">👁️</span>
                 <span class="law-title">Make it Obvious (Cue)</span>
               </label>
-              <input type="text" class="form-input" name="cue" placeholder="When and where will you do this habit?">
+              <div class="law-guided law-builder">
+                <span>I will</span>
+                <input type="text" class="form-input" name="intentionBehavior" placeholder="meditate for one minute">
+                <span>at</span>
+                <input type="text" class="form-input" name="intentionTime" placeholder="7:00 AM">
+                <span>in</span>
+                <input type="text" class="form-input" name="intentionLocation" placeholder="my bedroom">
+              </div>
+              <p class="law-guided law-preview" data-law="cue"></p>
+              <input type="text" class="form-input law-free" name="cue" placeholder="When and where will you do this habit?">
             </div>
             
-            <div class="law-input">
+            <div class="law-input" data-law="craving">
               <label class="law-label">
                 <span class="law-icon">💫</span>
                 <span class="law-title">Make it Attractive (Craving)</span>
               </label>
-              <input type="text" class="form-input" name="craving" placeholder="What makes this habit appealing?">
+              <div class="law-guided law-builder">
+                <span>After</span>
+                <input type="text" class="form-input" name="bundleNeed" placeholder="I finish this habit">
+                <span>I will</span>
+                <input type="text" class="form-input" name="bundleWant" placeholder="listen to my favorite podcast">
+              </div>
+              <p class="law-guided law-preview" data-law="craving"></p>
+              <input type="text" class="form-input law-free" name="craving" placeholder="What makes this habit appealing?">
             </div>
             
-            <div class="law-input">
+            <div class="law-input" data-law="response">
               <label class="law-label">
                 <span class="law-icon">⚡</span>
                 <span class="law-title">Make it Easy (Response)</span>
@@ -322,7 +1140,7 @@ export class UIComponents {
               <input type="text" class="form-input" name="response" placeholder="What's the smallest version of this habit?">
             </div>
             
-            <div class="law-input">
+            <div class="law-input" data-law="reward">
               <label class="law-label">
                 <span class="law-icon">🎉</span>
                 <span class="law-title">Make it Satisfying (Reward)</span>
@@ -331,6 +1149,14 @@ export class UIComponents {
             </div>
           </div>
           
+          <div class="form-section level-ladder build-only">
+            <label class="form-label">Versions (Two-Minute Rule)</label>
+            ${Array.from({ length: MAX_LEVELS }, (_, index) => `
+              <input type="text" class="form-input" name="levels" placeholder="${LEVEL_PLACEHOLDERS[index]}">
+            `).join('')}
+            <p class="settings-hint">Start with a version so easy you can't say no, and step up as it sticks. Leave blank to skip.</p>
+          </div>
+          
           <div class="form-section">
             <label class="form-label">Difficulty Level</label>
             <div class="difficulty-selector">
@@ -343,11 +1169,12 @@ export class UIComponents {
                 <span>Very Hard</span>
               </div>
             </div>
+            <p class="settings-hint">With versions, the one you're practicing now, from 1 (two-minute version) up.</p>
           </div>
           
           <div class="form-actions">
             <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
-            <button type="submit" class="btn btn-primary create-btn">Create Habit</button>
+            <button type="submit" class="btn btn-primary create-btn">${habit ? 'Save Changes' : 'Create Habit'}</button>
           </div>
         </form>
       </div>
@@ -360,53 +1187,1409 @@ export class UIComponents {
     this.animations.animateHabitCardEntrance([content]);
 
     // Add event listeners
-    this.addHabitCreatorListeners(modal);
+    this.addHabitCreatorListeners(modal, habit);
+
+    if (habit) {
+      this.fillHabitForm(modal.querySelector('.habit-form'), habit);
+    }
   }
 
-  // Add event listeners to habit creator
-  addHabitCreatorListeners(modal) {
-    const form = modal.querySelector('.habit-form');
-    const closeBtn = modal.querySelector('.close-modal');
-    const cancelBtn = modal.querySelector('.cancel-btn');
+  // Open the habit creator pre-filled with an existing habit
+  openHabitEditor(habit) {
+    this.openHabitCreator(habit);
+  }
 
-    // Close modal
-    const closeModal = () => {
+  // Pre-fill the habit form with a habit's fields and schedule
+  fillHabitForm(form, habit) {
+    const { elements } = form;
+
+    // Custom categories aren't in the default list
+    if (!Array.from(elements.category.options).some(option => option.value === habit.category)) {
+      elements.category.add(new Option(habit.category, habit.category));
+    }
+
+    ['name', 'description', 'category', 'cue', 'craving', 'response', 'reward', 'difficulty', 'targetCount']
+      .forEach(field => {
+        elements[field].value = habit[field];
+      });
+
+    const { schedule } = habit;
+    elements.scheduleType.value = schedule.type;
+    elements.interval.value = Math.max(2, schedule.interval);
+    elements.timesPerWeek.value = schedule.timesPerWeek;
+    form.querySelectorAll('input[name="weekdays"]').forEach(checkbox => {
+      checkbox.checked = schedule.weekdays.includes(Number(checkbox.value));
+    });
+
+    habit.reminders.forEach(time => this.addReminderTime(form, time));
+
+    form.querySelectorAll('input[name="levels"]').forEach((input, index) => {
+      input.value = habit.levels[index] || '';
+    });
+
+    elements.intentionBehavior.value = habit.intention.behavior;
+    elements.intentionTime.value = habit.intention.time;
+    elements.intentionLocation.value = habit.intention.location;
+    elements.bundleNeed.value = habit.bundle.need;
+    elements.bundleWant.value = habit.bundle.want;
+
+    // A habit stays one to build or one to break
+    this.setPolarity(form, habit.polarity);
+    form.querySelectorAll('.polarity-option').forEach(button => {
+      button.disabled = true;
+    });
+
+    // Laws written as free text open as they were written
+    const hasStructured = [...Object.values(habit.intention), ...Object.values(habit.bundle)].some(Boolean);
+    const hasText = habit.cue || habit.craving;
+    if (!habit.isAvoidance()) {
+      this.setLawMode(form, hasText && !hasStructured ? 'free' : 'guided');
+    }
+
+    // Let the schedule picker and difficulty labels catch up
+    elements.scheduleType.dispatchEvent(new Event('change'));
+    elements.difficulty.dispatchEvent(new Event('input'));
+  }
+
+  // Ask before deleting a habit, then animate its card out
+  confirmDeleteHabit(habit, card) {
+    const overlay = document.createElement('div');
+    overlay.className = 'habit-options-overlay';
+
+    overlay.innerHTML = `
+      <div class="habit-options-menu confirm-dialog">
+        <div class="options-header">
+          <h4></h4>
+          <button class="close-options">×</button>
+        </div>
+        <p class="confirm-message">This removes the habit and its ${habit.completions.length} logged days.</p>
+        <div class="form-actions confirm-actions">
+          <button class="btn btn-secondary cancel-delete">Cancel</button>
+          <button class="btn danger confirm-delete">Delete</button>
+        </div>
+      </div>
+    `;
+
+    overlay.querySelector('.options-header h4').textContent = `Delete "${habit.name}"?`;
+    document.body.appendChild(overlay);
+    this.animations.animateHabitCardEntrance([overlay.querySelector('.habit-options-menu')]);
+
+    const close = () => this.closeHabitOptions(overlay);
+    overlay.querySelector('.close-options').addEventListener('click', close);
+    overlay.querySelector('.cancel-delete').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    overlay.querySelector('.confirm-delete').addEventListener('click', () => {
+      close();
+      this.animations.animateHabitCardExit(card)
+        .then(() => {
+          card.remove();
+          this.habitTracker.deleteHabit(habit.id);
+        });
+    });
+  }
+
+  // Create or edit a routine: a name, the anchor cue and the habits in order
+  openRoutineEditor(routine = null) {
+    const tracker = this.habitTracker;
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>${routine ? 'Edit Routine' : 'New Routine'}</h2>
+          <button class="close-modal">×</button>
+        </div>
+
+        <form class="habit-form routine-form">
+          <div class="form-section">
+            <label class="form-label">Routine Name</label>
+            <input type="text" class="form-input" name="name" placeholder="e.g., Morning routine" required>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">After I…</label>
+            <input type="text" class="form-input" name="anchorCue" placeholder="e.g., pour my morning coffee">
+            <p class="settings-hint">Anchor the routine to something you already do every day.</p>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">Steps</label>
+            <ol class="routine-step-list"></ol>
+            <div class="reminder-time">
+              <select class="form-input add-step-habit"></select>
+              <button type="button" class="btn btn-secondary add-step">+ Add</button>
+            </div>
+            <p class="settings-hint">Finishing each habit is the cue for the next one.</p>
+          </div>
+
+          <div class="form-actions">
+            ${routine ? '<button type="button" class="btn danger delete-routine">Delete</button>' : ''}
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">${routine ? 'Save Changes' : 'Create Routine'}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = modal.querySelector('.routine-form');
+    const stepList = form.querySelector('.routine-step-list');
+    const habitSelect = form.querySelector('.add-step-habit');
+    const submit = form.querySelector('[type="submit"]');
+
+    // Habits not yet in the routine can be added as steps
+    const refreshSteps = () => {
+      const chosen = Array.from(stepList.children, step => step.dataset.habitId);
+      habitSelect.innerHTML = '';
+      tracker.getActiveHabits()
+        .filter(habit => !habit.isAvoidance() && !chosen.includes(habit.id))
+        .forEach(habit => habitSelect.add(new Option(habit.name, habit.id)));
+      habitSelect.disabled = habitSelect.options.length === 0;
+      form.querySelector('.add-step').disabled = habitSelect.disabled;
+      submit.disabled = chosen.length === 0;
+    };
+
+    const addStep = (habit) => {
+      const step = document.createElement('li');
+      step.className = 'reminder-time routine-step-row';
+      step.dataset.habitId = habit.id;
+      step.innerHTML = `
+        <span class="step-name"></span>
+        <button type="button" class="remove-reminder move-up" aria-label="Move up">↑</button>
+        <button type="button" class="remove-reminder move-down" aria-label="Move down">↓</button>
+        <button type="button" class="remove-reminder remove-step" aria-label="Remove step">×</button>
+      `;
+      step.querySelector('.step-name').textContent = habit.name;
+
+      step.querySelector('.move-up').addEventListener('click', () => {
+        step.previousElementSibling?.before(step);
+      });
+      step.querySelector('.move-down').addEventListener('click', () => {
+        step.nextElementSibling?.after(step);
+      });
+      step.querySelector('.remove-step').addEventListener('click', () => {
+        step.remove();
+        refreshSteps();
+      });
+
+      stepList.appendChild(step);
+      refreshSteps();
+    };
+
+    if (routine) {
+      form.elements.name.value = routine.name;
+      form.elements.anchorCue.value = routine.anchorCue;
+      routine.getSteps(tracker.habits).forEach(addStep);
+    }
+    refreshSteps();
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
       this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
         .then(() => modal.remove());
     };
 
-    closeBtn.addEventListener('click', closeModal);
-    cancelBtn.addEventListener('click', closeModal);
-    
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
     modal.addEventListener('click', (e) => {
-      if (e.target === modal) closeModal();
+      if (e.target === modal) close();
+    });
+
+    form.querySelector('.add-step').addEventListener('click', () => {
+      const habit = tracker.getHabit(habitSelect.value);
+      if (habit) addStep(habit);
+    });
+
+    modal.querySelector('.delete-routine')?.addEventListener('click', () => {
+      tracker.deleteRoutine(routine.id);
+      close();
     });
 
-    // Form submission
     form.addEventListener('submit', (e) => {
       e.preventDefault();
-      const formData = new FormData(form);
-      const habitData = Object.fromEntries(formData.entries());
-      
-      // Dispatch custom event
-      modal.dispatchEvent(new CustomEvent('habitCreated', {
-        detail: { habitData },
-        bubbles: true
-      }));
-      
-      closeModal();
+      // Keep steps whose habits are paused or deleted, which the list doesn't show
+      const shown = new Set(routine ? routine.getSteps(tracker.habits).map(habit => habit.id) : []);
+      const hidden = routine ? routine.habitIds.filter(id => !shown.has(id)) : [];
+      const routineData = {
+        name: form.elements.name.value.trim(),
+        anchorCue: form.elements.anchorCue.value.trim(),
+        habitIds: [...Array.from(stepList.children, step => step.dataset.habitId), ...hidden]
+      };
+
+      if (routine) {
+        tracker.updateRoutine(routine.id, routineData);
+      } else {
+        tracker.addRoutine(routineData);
+      }
+      close();
     });
+  }
 
-    // Difficulty slider interaction
-    const slider = modal.querySelector('.difficulty-slider');
-    const labels = modal.querySelectorAll('.difficulty-labels span');
-    
-    slider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value) - 1;
-      labels.forEach((label, index) => {
-        label.classList.toggle('active', index === value);
+  // Create an identity card: its statement, votes cast, weekly tally and the
+  // habits casting the most votes
+  createIdentityCard(identity) {
+    const { habits } = this.habitTracker;
+    const tally = identity.getVoteTally(habits);
+    const total = identity.getVoteCount(habits);
+    const thisWeek = tally[tally.length - 1].votes;
+    const most = Math.max(...tally.map(week => week.votes), 1);
+
+    const card = document.createElement('div');
+    card.className = 'identity-card animate-on-scroll';
+    card.dataset.identityId = identity.id;
+    card.innerHTML = `
+      <div class="habit-header">
+        <div class="habit-info">
+          <h3 class="identity-statement"></h3>
+          <p class="identity-votes">
+            <span class="stat-value">${total}</span> vote${total === 1 ? '' : 's'} cast · +${thisWeek} this week
+          </p>
+        </div>
+        <button class="routine-edit" aria-label="Edit identity">✏️</button>
+      </div>
+      <div class="vote-bars">
+        ${tally.map(week => `
+          <div class="vote-bar" title="Week of ${week.from}: ${week.votes} vote${week.votes === 1 ? '' : 's'}, ${week.total} in all">
+            <div class="vote-bar-fill" style="height: ${(week.votes / most) * 100}%"></div>
+          </div>
+        `).join('')}
+      </div>
+      <p class="vote-caption">Votes per week, last ${tally.length} weeks</p>
+      <div class="level-breakdown identity-contributors"></div>
+    `;
+    card.querySelector('.identity-statement').textContent = identity.statement;
+
+    const contributors = card.querySelector('.identity-contributors');
+    const contributions = identity.getContributions(habits);
+    if (contributions.length === 0) {
+      contributors.innerHTML = '<p class="settings-hint">Link habits to start casting votes.</p>';
+    }
+    contributions.forEach(({ habit, votes, share }) => {
+      const row = document.createElement('div');
+      row.className = 'level-breakdown-row';
+      row.innerHTML = `
+        <span class="level-breakdown-name"></span>
+        <div class="habit-progress"><div class="progress-fill" style="width: ${share}%"></div></div>
+        <span class="level-breakdown-days">${votes}</span>
+      `;
+      row.querySelector('.level-breakdown-name').textContent = habit.name;
+      contributors.appendChild(row);
+    });
+
+    card.querySelector('.routine-edit').addEventListener('click', () => this.openIdentityEditor(identity));
+    return card;
+  }
+
+  // Create an identity, or edit one, choosing the habits that vote for it
+  openIdentityEditor(identity = null) {
+    const tracker = this.habitTracker;
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>${identity ? 'Edit Identity' : 'New Identity'}</h2>
+          <button class="close-modal">×</button>
+        </div>
+
+        <form class="habit-form identity-form">
+          <div class="form-section">
+            <label class="form-label">Who do you want to become?</label>
+            <textarea class="form-input" name="statement" rows="2" required
+                      placeholder="I am the type of person who never misses a workout"></textarea>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">Habits that prove it</label>
+            <div class="identity-habits"></div>
+            <p class="settings-hint">Every day you do one of these is a vote for this identity.</p>
+          </div>
+
+          <div class="form-actions">
+            ${identity ? '<button type="button" class="btn danger delete-identity">Delete</button>' : ''}
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">${identity ? 'Save Changes' : 'Create Identity'}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = modal.querySelector('.identity-form');
+    form.elements.statement.value = identity ? identity.statement : 'I am the type of person who ';
+
+    // Paused habits already linked stay listed so they aren't unlinked by accident
+    const linked = new Set(identity ? identity.habitIds : []);
+    const habitList = form.querySelector('.identity-habits');
+    tracker.getAllHabits()
+      .filter(habit => habit.isActive || linked.has(habit.id))
+      .forEach(habit => {
+        const option = document.createElement('label');
+        option.className = 'identity-habit';
+        option.innerHTML = '<input type="checkbox" name="habitIds"><span></span>';
+        option.querySelector('input').value = habit.id;
+        option.querySelector('input').checked = linked.has(habit.id);
+        option.querySelector('span').textContent = habit.name;
+        habitList.appendChild(option);
+      });
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector('.delete-identity')?.addEventListener('click', () => {
+      tracker.deleteIdentity(identity.id);
+      close();
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      // Keep links to deleted habits, which the list doesn't show, in case
+      // the deletion is undone
+      const hidden = identity ? identity.habitIds.filter(id => !tracker.getHabit(id)) : [];
+      const identityData = {
+        statement: form.elements.statement.value.trim(),
+        habitIds: [...new FormData(form).getAll('habitIds'), ...hidden]
+      };
+
+      if (identity) {
+        tracker.updateIdentity(identity.id, identityData);
+      } else {
+        tracker.addIdentity(identityData);
+      }
+      close();
+    });
+  }
+
+  // Choose how misses count against a habit's streak, spend grace days on
+  // recent misses and set sick or vacation days aside. Every change applies
+  // at once and can be undone.
+  openStreakPolicyDialog(habit) {
+    const tracker = this.habitTracker;
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Streak Policy</h2>
+          <button class="close-modal">×</button>
+        </div>
+        <form class="habit-form streak-policy-form">
+          <p class="streak-policy-status"></p>
+
+          <div class="form-section">
+            <label class="form-label">When you miss</label>
+            <label class="streak-policy-option">
+              <input type="radio" name="streakPolicy" value="strict">
+              <span><strong>Strict</strong> — any miss ends the streak</span>
+            </label>
+            <label class="streak-policy-option">
+              <input type="radio" name="streakPolicy" value="neverMissTwice">
+              <span><strong>Never miss twice</strong> — one miss between completions is forgiven and flagged; two in a row end the streak</span>
+            </label>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label" for="grace-days">Grace days per month</label>
+            <input type="number" class="form-input" id="grace-days" name="graceDays" min="0" max="${MAX_GRACE_DAYS}">
+            <p class="settings-hint grace-days-left"></p>
+            <ul class="streak-misses"></ul>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">Sick &amp; Vacation Days</label>
+            <ul class="streak-pauses"></ul>
+            <div class="reminder-time pause-row">
+              <select class="form-input" name="pauseReason">
+                <option value="vacation">Vacation</option>
+                <option value="sick">Sick</option>
+              </select>
+              <input type="date" class="form-input" name="pauseFrom" aria-label="First day">
+              <input type="date" class="form-input" name="pauseTo" aria-label="Last day">
+            </div>
+            <button type="button" class="btn btn-secondary add-pause">+ Add Pause</button>
+            <p class="settings-hint">Paused days count toward neither the streak nor the completion rate.</p>
+          </div>
+
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary">Done</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = modal.querySelector('form');
+    // Undo/redo swaps in a fresh habit object, so always read the stored one
+    const currentHabit = () => tracker.getHabit(habit.id) || habit;
+    const formatDay = key => parseDateKey(key).toLocaleDateString([], {
+      weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+
+    const render = () => {
+      const current = currentHabit();
+      const { forgivenMisses, atRisk } = current.getStreakHistory();
+      form.elements.streakPolicy.value = current.streakPolicy;
+      form.elements.graceDays.value = current.graceDays;
+
+      const status = form.querySelector('.streak-policy-status');
+      status.textContent = `🔥 ${current.streak} ${current.isAvoidance() ? 'clean days' : 'streak'}` +
+        (forgivenMisses.length > 0 ? ` · ${forgivenMisses.length} forgiven miss${forgivenMisses.length === 1 ? '' : 'es'}` : '') +
+        (atRisk ? ' · don\'t miss twice' : '');
+
+      form.querySelector('.grace-days-left').textContent = current.graceDays > 0
+        ? `${current.getGraceDaysLeft()} of ${current.graceDays} left this month. Spend one on a miss to keep the streak.`
+        : 'Allow some to spend on misses that would end the streak.';
+
+      // Misses of the last month, newest first, with a grace day to spend or take back
+      const misses = form.querySelector('.streak-misses');
+      misses.replaceChildren();
+      current.getMissedPeriods(30).reverse().forEach(period => {
+        const frozen = current.freezes.includes(period);
+        const item = document.createElement('li');
+        item.className = `streak-miss${frozen ? ' frozen' : ''}`;
+        const label = document.createElement('span');
+        label.textContent = `${frozen ? '🛡️' : current.isAvoidance() ? 'Slipped' : 'Missed'} ${formatDay(period)}`;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.textContent = frozen ? 'Take Back' : 'Use Grace Day';
+        button.disabled = !frozen && current.getGraceDaysLeft(period) === 0;
+        button.addEventListener('click', () => {
+          if (frozen) tracker.returnGraceDay(habit.id, period);
+          else tracker.useGraceDay(habit.id, period);
+          render();
+        });
+        item.append(label, button);
+        misses.appendChild(item);
+      });
+      misses.hidden = misses.children.length === 0;
+
+      const pauses = form.querySelector('.streak-pauses');
+      pauses.replaceChildren();
+      current.pauses.forEach((pause, index) => {
+        const item = document.createElement('li');
+        item.className = 'reminder-time streak-pause';
+        const label = document.createElement('span');
+        label.textContent = formatPause(pause);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'remove-reminder';
+        remove.setAttribute('aria-label', 'Remove pause');
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+          tracker.removeHabitPause(habit.id, index);
+          render();
+        });
+        item.append(label, remove);
+        pauses.appendChild(item);
+      });
+    };
+
+    form.elements.pauseFrom.value = todayKey();
+    form.elements.pauseTo.value = todayKey();
+    render();
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    form.querySelectorAll('[name="streakPolicy"]').forEach(input => {
+      input.addEventListener('change', () => {
+        tracker.updateHabit(habit.id, { streakPolicy: input.value });
+        render();
       });
     });
+
+    form.elements.graceDays.addEventListener('change', () => {
+      tracker.updateHabit(habit.id, { graceDays: form.elements.graceDays.value });
+      render();
+    });
+
+    form.querySelector('.add-pause').addEventListener('click', () => {
+      const from = form.elements.pauseFrom.value;
+      const to = form.elements.pauseTo.value || from;
+      if (!tracker.addHabitPause(habit.id, { from, to, reason: form.elements.pauseReason.value })) {
+        form.elements.pauseTo.setCustomValidity('Pick a first day and a last day on or after it');
+        form.elements.pauseTo.reportValidity();
+        return;
+      }
+      render();
+    });
+    form.elements.pauseTo.addEventListener('input', () => form.elements.pauseTo.setCustomValidity(''));
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      close();
+    });
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+  }
+
+  // Sign a contract for a habit, or review and share the one in force
+  openContractDialog(habit) {
+    const tracker = this.habitTracker;
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Habit Contract</h2>
+          <button class="close-modal">×</button>
+        </div>
+        <div class="contract-body"></div>
+      </div>
+    `;
+
+    const body = modal.querySelector('.contract-body');
+    // Undo/redo swaps in a fresh habit object, so always read the stored one
+    const currentHabit = () => tracker.getHabit(habit.id) || habit;
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    const render = () => {
+      const contract = tracker.getContractForHabit(habit.id);
+      body.replaceChildren(contract
+        ? this.createContractSummary(currentHabit(), contract, render)
+        : this.createContractForm(currentHabit(), render, close));
+    };
+    render();
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+  }
+
+  // Form for signing a contract; `onSigned` shows the signed contract
+  createContractForm(habit, onSigned, onCancel) {
+    const form = document.createElement('form');
+    form.className = 'habit-form contract-form';
+    form.innerHTML = `
+      <div class="form-section">
+        <label class="form-label">I commit to…</label>
+        <textarea class="form-input" name="commitment" rows="2" required></textarea>
+      </div>
+
+      <div class="form-section">
+        <label class="form-label">If I break it…</label>
+        <textarea class="form-input" name="consequences" rows="2" placeholder="e.g., I pay Sam $20" required></textarea>
+        <p class="settings-hint">A breach is logged for every ${habit.isAvoidance() ? 'day you slip' : 'scheduled day or period you miss'}.</p>
+      </div>
+
+      <div class="form-section">
+        <label class="form-label">Accountability Partners</label>
+        <div class="contract-partners"></div>
+        <button type="button" class="btn btn-secondary add-partner">+ Add Partner</button>
+        <p class="settings-hint">Partners get your weekly report. Add an email address to send it by mail.</p>
+      </div>
+
+      <div class="form-section">
+        <label class="form-label">Signature</label>
+        <input type="text" class="form-input contract-signature" name="signature" placeholder="Type your full name" required>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+        <button type="submit" class="btn btn-primary">Sign Contract</button>
+      </div>
+    `;
+
+    const schedule = habit.schedule.describe();
+    form.elements.commitment.value = habit.isAvoidance()
+      ? `I will avoid ${habit.name}`
+      : `${formatIntention(habit.intention) || `I will ${habit.name}`} (${schedule})`;
+
+    const partners = form.querySelector('.contract-partners');
+    const addPartner = () => {
+      const row = document.createElement('div');
+      row.className = 'reminder-time contract-partner';
+      row.innerHTML = `
+        <input type="text" class="form-input partner-name" placeholder="Name">
+        <input type="text" class="form-input partner-contact" placeholder="Email or phone (optional)">
+        <button type="button" class="remove-reminder" aria-label="Remove partner">×</button>
+      `;
+      row.querySelector('.remove-reminder').addEventListener('click', () => row.remove());
+      partners.appendChild(row);
+    };
+    addPartner();
+
+    form.querySelector('.add-partner').addEventListener('click', addPartner);
+    form.querySelector('.cancel-btn').addEventListener('click', onCancel);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.habitTracker.signContract({
+        habitId: habit.id,
+        commitment: form.elements.commitment.value.trim(),
+        consequences: form.elements.consequences.value.trim(),
+        partners: Array.from(partners.children, row => ({
+          name: row.querySelector('.partner-name').value,
+          contact: row.querySelector('.partner-contact').value
+        })),
+        signature: form.elements.signature.value.trim()
+      });
+      onSigned();
+    });
+
+    return form;
+  }
+
+  // A signed contract with its breaches and this week's report, ready to share
+  createContractSummary(habit, contract, onEnded) {
+    const summary = document.createElement('div');
+    summary.className = 'contract-summary';
+    summary.innerHTML = `
+      <p class="contract-commitment"></p>
+      <p class="contract-consequences"></p>
+      <p class="contract-signed"></p>
+      <div class="form-section">
+        <label class="form-label">This Week</label>
+        <pre class="contract-report"></pre>
+      </div>
+      <div class="form-section">
+        <label class="form-label">Breaches</label>
+        <ul class="contract-breaches"></ul>
+      </div>
+      <p class="settings-hint contract-status" aria-live="polite"></p>
+      <div class="form-actions contract-actions">
+        <button type="button" class="btn danger end-contract">End Contract</button>
+        <button type="button" class="btn btn-secondary share-image">Share Image</button>
+        <button type="button" class="btn btn-primary share-text">Share Report</button>
+      </div>
+    `;
+
+    const report = buildWeeklyReport(habit, contract);
+    const text = formatReportText(report);
+    const status = summary.querySelector('.contract-status');
+    const filename = `habit-contract-${report.to}`;
+    const signedOn = new Date(contract.signedAt).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+    const witnesses = contract.partners.map(partner => partner.name).join(', ');
+
+    summary.querySelector('.contract-commitment').textContent = contract.commitment;
+    summary.querySelector('.contract-consequences').textContent = `If I break it: ${contract.consequences}`;
+    summary.querySelector('.contract-signed').textContent =
+      `Signed by ${contract.signature} on ${signedOn}` + (witnesses ? `, witnessed by ${witnesses}` : '');
+    summary.querySelector('.contract-report').textContent = text;
+
+    const breaches = summary.querySelector('.contract-breaches');
+    if (contract.breaches.length === 0) {
+      breaches.innerHTML = '<li class="contract-breach none">No breaches yet — keep it up!</li>';
+    } else {
+      [...contract.breaches].reverse().forEach(breach => {
+        const item = document.createElement('li');
+        item.className = 'contract-breach';
+        item.textContent = `${habit.isAvoidance() ? 'Slipped' : 'Missed'} ${parseDateKey(breach.period).toLocaleDateString([], {
+          weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+        })}`;
+        breaches.appendChild(item);
+      });
+    }
+
+    // Partners with an email address can be sent the report directly
+    const emails = contract.partners
+      .map(partner => partner.contact)
+      .filter(contact => contact.includes('@'));
+    if (emails.length > 0) {
+      const mail = document.createElement('a');
+      mail.className = 'btn btn-secondary email-partners';
+      mail.textContent = 'Email Partners';
+      mail.href = `mailto:${emails.map(encodeURIComponent).join(',')}` +
+        `?subject=${encodeURIComponent(`Weekly report: ${habit.name}`)}&body=${encodeURIComponent(text)}`;
+      summary.querySelector('.share-image').before(mail);
+    }
+
+    // Share sheets are dismissable, which isn't worth reporting
+    const reportFailure = (error) => {
+      if (error.name !== 'AbortError') status.textContent = `Couldn't share the report: ${error.message}`;
+    };
+
+    summary.querySelector('.share-text').addEventListener('click', () => {
+      if (navigator.share) {
+        navigator.share({ title: `Weekly report: ${habit.name}`, text }).catch(reportFailure);
+      } else if (navigator.clipboard) {
+        navigator.clipboard.writeText(text)
+          .then(() => { status.textContent = 'Report copied — paste it to your partners.'; })
+          .catch(reportFailure);
+      } else {
+        this.downloadFile(`${filename}.txt`, text, 'text/plain');
+      }
+    });
+
+    summary.querySelector('.share-image').addEventListener('click', () => {
+      renderReportPNG(report)
+        .then(blob => {
+          const file = new File([blob], `${filename}.png`, { type: 'image/png' });
+          if (navigator.canShare?.({ files: [file] })) {
+            return navigator.share({ title: `Weekly report: ${habit.name}`, files: [file] });
+          }
+          this.downloadFile(file.name, blob, 'image/png');
+        })
+        .catch(reportFailure);
+    });
+
+    summary.querySelector('.end-contract').addEventListener('click', () => {
+      this.habitTracker.endContract(contract.id);
+      onEnded();
+    });
+
+    return summary;
+  }
+
+  // Tell the user their saved data couldn't be loaded and offer a way out
+  showStorageRecoveryPrompt(message, { onRestore, onExport, onDismiss }) {
+    const overlay = document.createElement('div');
+    overlay.className = 'habit-options-overlay';
+
+    overlay.innerHTML = `
+      <div class="habit-options-menu confirm-dialog">
+        <div class="options-header">
+          <h4>We couldn't load your habits</h4>
+        </div>
+        <p class="confirm-message">
+          Your saved data was kept safe in a backup. You can try to restore it,
+          or download it to keep a copy.
+        </p>
+        <p class="confirm-message recovery-error"></p>
+        <div class="form-actions confirm-actions">
+          <button class="btn btn-secondary dismiss-recovery">Start Fresh</button>
+          <button class="btn btn-secondary export-backup">Download</button>
+          <button class="btn btn-primary restore-backup">Restore</button>
+        </div>
+      </div>
+    `;
+
+    // Parse errors can quote the broken data, so keep it out of the markup
+    overlay.querySelector('.recovery-error').textContent = message;
+
+    document.body.appendChild(overlay);
+    this.animations.animateHabitCardEntrance([overlay.querySelector('.habit-options-menu')]);
+
+    const close = () => this.closeHabitOptions(overlay);
+
+    overlay.querySelector('.restore-backup').addEventListener('click', () => {
+      close();
+      onRestore();
+    });
+
+    // Downloading keeps the prompt open so the user can still restore
+    overlay.querySelector('.export-backup').addEventListener('click', () => {
+      onExport();
+    });
+
+    overlay.querySelector('.dismiss-recovery').addEventListener('click', () => {
+      close();
+      onDismiss();
+    });
+  }
+
+  // Offer text or a Blob as a file download
+  downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Let the user pick files and hand them to `onFiles` as an array
+  chooseFiles(accept, onFiles, { multiple = false } = {}) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) onFiles(Array.from(input.files));
+    });
+    input.click();
+  }
+
+  // Menu of import/export actions opened from the header.
+  // `actions` is a list of { icon, label, onSelect }.
+  showDataMenu(actions) {
+    const overlay = document.createElement('div');
+    overlay.className = 'habit-options-overlay';
+
+    overlay.innerHTML = `
+      <div class="habit-options-menu">
+        <div class="options-header">
+          <h4>Your Data</h4>
+          <button class="close-options">×</button>
+        </div>
+        <div class="options-list"></div>
+      </div>
+    `;
+
+    const list = overlay.querySelector('.options-list');
+    actions.forEach(({ icon, label, onSelect }) => {
+      const button = document.createElement('button');
+      button.className = 'option-btn';
+      button.innerHTML = `<span class="option-icon">${icon}</span>${label}`;
+      button.addEventListener('click', () => {
+        this.closeHabitOptions(overlay);
+        onSelect();
+      });
+      list.appendChild(button);
+    });
+
+    document.body.appendChild(overlay);
+    this.animations.animateHabitCardEntrance([overlay.querySelector('.habit-options-menu')]);
+
+    overlay.querySelector('.close-options').addEventListener('click', () => {
+      this.closeHabitOptions(overlay);
+    });
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeHabitOptions(overlay);
+    });
+  }
+
+  // Preview an import and choose between merging and replacing. Conflicting
+  // fields can be resolved one by one; `onImport` gets { mode, resolutions }.
+  showImportDialog({ fileName, habitCount, newCount, mergeCount, errors, conflicts }, onImport) {
+    const overlay = document.createElement('div');
+    overlay.className = 'habit-options-overlay';
+
+    overlay.innerHTML = `
+      <div class="habit-options-menu import-dialog">
+        <div class="options-header">
+          <h4>Import Habits</h4>
+          <button class="close-options">×</button>
+        </div>
+        <p class="confirm-message import-summary"></p>
+        <p class="confirm-message import-errors"></p>
+        <div class="import-modes">
+          <label class="import-mode">
+            <input type="radio" name="importMode" value="merge" checked>
+            <span><strong>Merge</strong> Keep your habits and combine their logged days</span>
+          </label>
+          <label class="import-mode">
+            <input type="radio" name="importMode" value="replace">
+            <span><strong>Replace</strong> Remove your current habits and use the file's</span>
+          </label>
+        </div>
+        <div class="import-conflicts"></div>
+        <div class="form-actions confirm-actions">
+          <button class="btn btn-secondary cancel-import">Cancel</button>
+          <button class="btn btn-primary confirm-import">Import</button>
+        </div>
+      </div>
+    `;
+
+    // File contents stay out of the markup
+    overlay.querySelector('.import-summary').textContent =
+      `${fileName}: ${habitCount} habits, ${newCount} new and ${mergeCount} you already have.`;
+
+    const errorsEl = overlay.querySelector('.import-errors');
+    if (errors.length > 0) {
+      errorsEl.textContent = `${errors.length} habits couldn't be read and will be skipped: ${errors.join('; ')}`;
+    } else {
+      errorsEl.remove();
+    }
+
+    const conflictsEl = overlay.querySelector('.import-conflicts');
+    if (conflicts.length > 0) {
+      const heading = document.createElement('h5');
+      heading.textContent = `${conflicts.length} changes differ — choose which to keep`;
+      conflictsEl.appendChild(heading);
+      conflicts.forEach(conflict => conflictsEl.appendChild(this.createConflictRow(conflict)));
+    }
+
+    document.body.appendChild(overlay);
+    this.animations.animateHabitCardEntrance([overlay.querySelector('.habit-options-menu')]);
+
+    const close = () => this.closeHabitOptions(overlay);
+    overlay.querySelector('.close-options').addEventListener('click', close);
+    overlay.querySelector('.cancel-import').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    // Conflicts only matter when merging
+    overlay.querySelectorAll('input[name="importMode"]').forEach(input => {
+      input.addEventListener('change', () => {
+        conflictsEl.hidden = input.value === 'replace';
+      });
+    });
+
+    overlay.querySelector('.confirm-import').addEventListener('click', () => {
+      const mode = overlay.querySelector('input[name="importMode"]:checked').value;
+      const resolutions = {};
+      conflictsEl.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+        resolutions[input.name] = input.value;
+      });
+
+      close();
+      onImport({ mode, resolutions });
+    });
+  }
+
+  // Options for a CSV export; `onExport` gets { format, from, to, category }
+  showCsvExportDialog(categories, onExport) {
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Export CSV</h2>
+          <button class="close-modal">×</button>
+        </div>
+
+        <form class="habit-form csv-export-form">
+          <div class="form-section">
+            <label class="form-label">Layout</label>
+            <select class="form-input" name="format">
+              <option value="long">One row per logged day</option>
+              <option value="wide">Date × habit table</option>
+            </select>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">Category</label>
+            <select class="form-input" name="category">
+              <option value="">All categories</option>
+            </select>
+          </div>
+
+          <div class="form-section date-range">
+            <label class="form-label">From
+              <input type="date" class="form-input" name="from">
+            </label>
+            <label class="form-label">To
+              <input type="date" class="form-input" name="to">
+            </label>
+          </div>
+
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">Download</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    // Categories can come from imports, so options are built as text
+    const categorySelect = modal.querySelector('[name="category"]');
+    categories.forEach(category => {
+      categorySelect.add(new Option(category.charAt(0).toUpperCase() + category.slice(1), category));
+    });
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const options = {
+        format: formData.get('format'),
+        category: formData.get('category') || null,
+        from: formData.get('from') || null,
+        to: formData.get('to') || null
+      };
+
+      // Keep the dialog open when the export can't be built
+      if (onExport(options) !== false) close();
+    });
+  }
+
+  // Options for a calendar export; `onExport` gets { time, alarmMinutesBefore }
+  showIcsExportDialog(onExport) {
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Add to Calendar</h2>
+          <button class="close-modal">×</button>
+        </div>
+
+        <form class="habit-form ics-export-form">
+          <p class="settings-hint">Each active habit becomes a repeating event on its schedule. Importing a newer file updates the same events.</p>
+
+          <div class="form-section">
+            <label class="form-label">Time</label>
+            <input type="time" class="form-input" name="time" value="08:00" required>
+          </div>
+
+          <div class="form-section">
+            <label class="form-label">Reminder</label>
+            <select class="form-input" name="alarmMinutesBefore">
+              <option value="0">At the time of the habit</option>
+              <option value="5">5 minutes before</option>
+              <option value="15">15 minutes before</option>
+              <option value="30">30 minutes before</option>
+              <option value="60">1 hour before</option>
+            </select>
+          </div>
+
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">Download</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const options = {
+        time: formData.get('time'),
+        alarmMinutesBefore: parseInt(formData.get('alarmMinutesBefore')) || 0
+      };
+
+      if (onExport(options) !== false) close();
+    });
+  }
+
+  // Review habits read from another tracker before adding them. `habits` are
+  // { name, summary } rows; `onCommit` gets [{ index, category }] for the
+  // habits left selected.
+  showImportPreview({ source, habits, warnings }, categories, onCommit) {
+    const modal = document.createElement('div');
+    modal.className = 'habit-creator-modal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Import from ${source}</h2>
+          <button class="close-modal">×</button>
+        </div>
+
+        <form class="habit-form import-preview-form">
+          <p class="settings-hint">Choose the habits to add and a category for each.</p>
+          <div class="import-preview-list"></div>
+          <p class="settings-hint import-warnings"></p>
+
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+            <button type="submit" class="btn btn-primary">Add Habits</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const list = modal.querySelector('.import-preview-list');
+    habits.forEach(({ name, summary }, index) => {
+      const row = document.createElement('div');
+      row.className = 'import-preview-row';
+      row.innerHTML = `
+        <label class="import-preview-habit">
+          <input type="checkbox" name="include" value="${index}" checked>
+          <span>
+            <strong class="import-preview-name"></strong>
+            <span class="import-preview-summary"></span>
+          </span>
+        </label>
+        <select class="form-input" name="category-${index}"></select>
+      `;
+      // Names and categories come from another app's file
+      row.querySelector('.import-preview-name').textContent = name;
+      row.querySelector('.import-preview-summary').textContent = summary;
+      categories.forEach(category => {
+        row.querySelector('select').add(new Option(category.charAt(0).toUpperCase() + category.slice(1), category));
+      });
+      row.querySelector('select').value = categories.includes('general') ? 'general' : categories[0];
+      list.appendChild(row);
+    });
+
+    const warningsEl = modal.querySelector('.import-warnings');
+    if (warnings.length > 0) {
+      warningsEl.textContent = `${warnings.length} notes: ${warnings.slice(0, 5).join('; ')}${warnings.length > 5 ? '…' : ''}`;
+    } else {
+      warningsEl.remove();
+    }
+
+    document.body.appendChild(modal);
+    this.animations.animateHabitCardEntrance([modal.querySelector('.modal-content')]);
+
+    const close = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const selections = formData.getAll('include').map(value => ({
+        index: Number(value),
+        category: formData.get(`category-${value}`)
+      }));
+
+      close();
+      if (selections.length > 0) onCommit(selections);
+    });
+  }
+
+  // One conflicting field with a choice between the local and imported value
+  createConflictRow(conflict) {
+    const row = document.createElement('div');
+    row.className = 'import-conflict';
+
+    const title = document.createElement('div');
+    title.className = 'conflict-title';
+    title.textContent = `${conflict.habitName} · ${conflict.fieldLabel}`;
+    row.appendChild(title);
+
+    [['local', 'Mine', conflict.localLabel], ['incoming', 'Imported', conflict.incomingLabel]]
+      .forEach(([value, label, text]) => {
+        const option = document.createElement('label');
+        option.className = 'conflict-option';
+        option.innerHTML = `<input type="radio" value="${value}"><strong>${label}</strong> <span></span>`;
+
+        const input = option.querySelector('input');
+        input.name = conflict.key;
+        input.checked = conflict.resolution === value;
+        option.querySelector('span').textContent = text;
+        row.appendChild(option);
+      });
+
+    return row;
+  }
+
+  // Add a reminder time input to the habit form
+  addReminderTime(form, time = '') {
+    const row = document.createElement('div');
+    row.className = 'reminder-time';
+    row.innerHTML = `
+      <input type="time" class="form-input" name="reminders" value="${time}">
+      <button type="button" class="remove-reminder" aria-label="Remove reminder">×</button>
+    `;
+    row.querySelector('.remove-reminder').addEventListener('click', () => row.remove());
+    form.querySelector('.reminder-times').appendChild(row);
+    return row;
+  }
+
+  // Add event listeners to habit creator
+  addHabitCreatorListeners(modal, habit = null) {
+    const form = modal.querySelector('.habit-form');
+    const closeBtn = modal.querySelector('.close-modal');
+    const cancelBtn = modal.querySelector('.cancel-btn');
+
+    // Close modal
+    const closeModal = () => {
+      this.animations.animateHabitCardExit(modal.querySelector('.modal-content'))
+        .then(() => modal.remove());
+    };
+
+    closeBtn.addEventListener('click', closeModal);
+    cancelBtn.addEventListener('click', closeModal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Form submission
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const habitData = this.readHabitForm(formData, form);
+      
+      if (habit) {
+        this.habitTracker.updateHabit(habit.id, habitData);
+      } else {
+        this.habitTracker.addHabit(habitData);
+      }
+      
+      closeModal();
+    });
+
+    // Schedule picker: only show the options of the selected schedule type
+    const scheduleType = modal.querySelector('.schedule-type');
+    const showScheduleOptions = () => {
+      modal.querySelectorAll('.schedule-option').forEach(option => {
+        option.style.display = option.dataset.schedule === scheduleType.value ? 'block' : 'none';
+      });
+    };
+
+    scheduleType.addEventListener('change', showScheduleOptions);
+    showScheduleOptions();
+
+    modal.querySelector('.add-reminder').addEventListener('click', () => {
+      this.addReminderTime(form);
+    });
+
+    // Guided mode writes the cue and craving from their builders
+    modal.querySelectorAll('.law-mode').forEach(button => {
+      button.addEventListener('click', () => this.setLawMode(form, button.dataset.mode));
+    });
+    modal.querySelectorAll('.law-builder input').forEach(input => {
+      input.addEventListener('input', () => this.updateLawBuilders(form));
+    });
+
+    modal.querySelectorAll('.polarity-option').forEach(button => {
+      button.addEventListener('click', () => this.setPolarity(form, button.dataset.polarity));
+    });
+    this.setPolarity(form, 'build');
+
+    // Difficulty slider interaction
+    const slider = modal.querySelector('.difficulty-slider');
+    const labels = modal.querySelectorAll('.difficulty-labels span');
+    
+    slider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value) - 1;
+      labels.forEach((label, index) => {
+        label.classList.toggle('active', index === value);
+      });
+    });
+  }
+
+  // Switch the form between a habit to build and one to break. Avoidance
+  // habits take the inverted laws as free text, and have no schedule, daily
+  // target or versions.
+  setPolarity(form, polarity) {
+    const avoidance = polarity === 'break';
+    form.elements.polarity.value = polarity;
+    form.querySelectorAll('.polarity-option').forEach(button => {
+      button.classList.toggle('active', button.dataset.polarity === polarity);
+    });
+    form.querySelectorAll('.build-only').forEach(element => {
+      element.style.display = avoidance ? 'none' : '';
+    });
+
+    form.elements.name.placeholder = avoidance ? 'e.g., Scroll my phone in bed' : 'e.g., Drink 8 glasses of water';
+    form.querySelector('.atomic-laws-section h3').textContent = avoidance
+      ? 'The Four Laws, Inverted'
+      : 'The Four Laws of Behavior Change';
+    Object.entries(LAW_PROMPTS[polarity]).forEach(([law, [title, placeholder]]) => {
+      form.querySelector(`.law-input[data-law="${law}"] .law-title`).textContent = title;
+      form.elements[law].placeholder = placeholder;
+    });
+
+    this.setLawMode(form, avoidance ? 'free' : 'guided');
+  }
+
+  // Switch the laws between the guided builders and free text
+  setLawMode(form, mode) {
+    form.elements.lawMode.value = mode;
+    form.querySelectorAll('.law-mode').forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    form.querySelectorAll('.law-guided').forEach(element => {
+      element.style.display = mode === 'guided' ? '' : 'none';
+    });
+    form.querySelectorAll('.law-free').forEach(element => {
+      element.style.display = mode === 'free' ? '' : 'none';
+    });
+    if (mode === 'guided') this.updateLawBuilders(form);
+  }
+
+  // Compose the cue and craving from the builders; a builder left empty
+  // keeps the text already there
+  updateLawBuilders(form) {
+    const { intention, bundle } = this.readLawBuilders(form);
+    const sentences = { cue: formatIntention(intention), craving: formatBundle(bundle) };
+
+    Object.entries(sentences).forEach(([law, sentence]) => {
+      if (sentence) form.elements[law].value = sentence;
+      const text = form.elements[law].value;
+      form.querySelector(`.law-preview[data-law="${law}"]`).textContent = sentence
+        ? `“${sentence}”`
+        : text ? `Currently: ${text}` : '';
+    });
+  }
+
+  readLawBuilders(form) {
+    const { elements } = form;
+    return {
+      intention: {
+        behavior: elements.intentionBehavior.value.trim(),
+        time: elements.intentionTime.value.trim(),
+        location: elements.intentionLocation.value.trim()
+      },
+      bundle: {
+        need: elements.bundleNeed.value.trim(),
+        want: elements.bundleWant.value.trim()
+      }
+    };
+  }
+
+  // Turn the habit form into habit data, folding the schedule fields into a
+  // schedule and the law builders into the intention and bundle
+  readHabitForm(formData, form) {
+    const {
+      scheduleType, weekdays, interval, timesPerWeek, reminders, lawMode, levels,
+      intentionBehavior, intentionTime, intentionLocation, bundleNeed, bundleWant,
+      ...habitData
+    } = Object.fromEntries(formData.entries());
+
+    habitData.reminders = formData.getAll('reminders').filter(Boolean);
+    habitData.levels = formData.getAll('levels');
+
+    // Free text that no longer matches a builder replaces it
+    const { intention, bundle } = this.readLawBuilders(form);
+    const matches = (sentence, text) => lawMode === 'guided' || sentence === text;
+    habitData.intention = matches(formatIntention(intention), habitData.cue) ? intention : {};
+    habitData.bundle = matches(formatBundle(bundle), habitData.craving) ? bundle : {};
+
+    habitData.schedule = {
+      type: scheduleType,
+      weekdays: formData.getAll('weekdays').map(Number),
+      interval: parseInt(interval),
+      timesPerWeek: parseInt(timesPerWeek)
+    };
+
+    return habitData;
   }
 
   // Create progress dashboard
@@ -7,6 +7,272 @@
  * 4. Make it Satisfying (Reward)
  */
 
+import {
+  toDateKey,
+  todayKey,
+  isDateKey,
+  getInstantInDay,
+  addDays,
+  addMonths,
+  daysBetween,
+  getIsoWeekday,
+  parseDateKey,
+  setDayStartHour as applyDayStartHour
+} from './DateKeys.js';
+import { HabitHistory } from './HabitHistory.js';
+import { ChangeEmitter } from './ChangeEmitter.js';
+import { SCHEMA_VERSION, DEFAULT_CATEGORIES, migrate } from './Migrations.js';
+import { createStorageAdapter } from '../storage/createStorageAdapter.js';
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const SCHEDULE_TYPES = ['daily', 'weekly', 'monthly', 'weekdays', 'interval', 'timesPerWeek'];
+
+// Whether a habit is one to build or one to break (an avoidance habit)
+export const POLARITIES = ['build', 'break'];
+
+// Lifecycle of a habit: practiced, set aside for a while, or retired with
+// its history kept
+export const HABIT_STATUSES = ['active', 'paused', 'archived'];
+
+// How missed periods count against a streak: 'strict' ends it at any miss,
+// 'neverMissTwice' forgives a single miss between two completions
+export const STREAK_POLICIES = ['strict', 'neverMissTwice'];
+
+// Why a habit was set aside for a range of days
+export const PAUSE_REASONS = ['sick', 'vacation'];
+
+// Most grace days a habit can allow per month
+export const MAX_GRACE_DAYS = 10;
+
+// Fields a user can change after creating a habit
+export const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'cue', 'craving', 'response', 'reward',
+  'intention', 'bundle', 'levels', 'difficulty', 'targetCount', 'reminders',
+  'streakPolicy', 'graceDays'
+];
+
+// Versions a habit's ladder can have, from the two-minute gateway to the full habit
+export const MAX_LEVELS = 5;
+
+// When to suggest another level: a high completion rate over a window spent
+// entirely at the current level steps up, a low one steps down
+const LEVEL_UP = { rate: 85, days: 14 };
+const LEVEL_DOWN = { rate: 50, days: 7 };
+
+export const LAWS = ['cue', 'craving', 'response', 'reward'];
+
+// Parts of an implementation intention and of a temptation bundle
+const INTENTION_PARTS = ['behavior', 'time', 'location'];
+const BUNDLE_PARTS = ['need', 'want'];
+
+// Words a free-text response or reward needs to be specific enough
+const SPECIFIC_WORD_COUNT = 3;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  quietStart: '22:00', // no reminders from quietStart until quietEnd
+  quietEnd: '07:00',
+  snoozeMinutes: 10
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Distinct 'HH:MM' times in the order of the day
+function normalizeReminderTimes(times) {
+  return [...new Set((times || []).filter(time => TIME_PATTERN.test(time)))].sort();
+}
+
+// Non-empty version descriptions, easiest first
+function normalizeLevels(levels) {
+  return (levels || [])
+    .map(level => String(level ?? '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_LEVELS);
+}
+
+// Distinct period start keys, oldest first
+function normalizeFreezes(freezes) {
+  return [...new Set((freezes || []).filter(isDateKey))].sort();
+}
+
+// Well-formed { from, to, reason } ranges, earliest first
+function normalizePauses(pauses) {
+  return (pauses || [])
+    .filter(pause => isDateKey(pause?.from) && isDateKey(pause?.to) && pause.from <= pause.to)
+    .map(({ from, to, reason }) => ({ from, to, reason: PAUSE_REASONS.includes(reason) ? reason : 'vacation' }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+// Well-formed { status, at } transitions, with the resume day of a pause
+function normalizeStatusHistory(history) {
+  return (history || [])
+    .filter(entry => HABIT_STATUSES.includes(entry?.status) && !isNaN(new Date(entry.at)))
+    .map(({ status, at, resumeOn }) => (status === 'paused' && isDateKey(resumeOn)
+      ? { status, at, resumeOn }
+      : { status, at }));
+}
+
+function clampGraceDays(days) {
+  return Math.min(MAX_GRACE_DAYS, Math.max(0, parseInt(days) || 0));
+}
+
+// An object with exactly the given string parts, trimmed
+function normalizeParts(value, parts) {
+  return Object.fromEntries(parts.map(part => [part, String(value?.[part] ?? '').trim()]));
+}
+
+function hasAllParts(value) {
+  return Object.values(value).every(Boolean);
+}
+
+// "I will [behavior] at [time] in [location]", from whichever parts are filled
+export function formatIntention({ behavior = '', time = '', location = '' } = {}) {
+  if (!behavior) return '';
+  return `I will ${behavior}` + (time ? ` at ${time}` : '') + (location ? ` in ${location}` : '');
+}
+
+// "Vacation, Jun 3 – Jun 10"
+export function formatPause({ from, to, reason }) {
+  const format = key => parseDateKey(key).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  const label = reason === 'sick' ? 'Sick' : 'Vacation';
+  return from === to ? `${label}, ${format(from)}` : `${label}, ${format(from)} – ${format(to)}`;
+}
+
+// "After [need], I will [want]"
+export function formatBundle({ need = '', want = '' } = {}) {
+  if (!need || !want) return '';
+  return `After ${need}, I will ${want}`;
+}
+
+/**
+ * When a habit is due.
+ * A schedule splits the calendar into periods, each identified by the date key
+ * of its first day, and says how many completed days satisfy a period:
+ * - daily: every day
+ * - weekly / monthly: once per ISO week (Mon-Sun) / calendar month
+ * - weekdays: only on the listed ISO weekdays; other days are rest days
+ * - interval: once per block of `interval` days, counted from `anchor`
+ * - timesPerWeek: on `timesPerWeek` different days of each ISO week
+ */
+export class Schedule {
+  constructor({
+    type = 'daily',
+    weekdays = [],
+    interval = 1,
+    timesPerWeek = 1,
+    anchor = null
+  } = {}) {
+    this.type = SCHEDULE_TYPES.includes(type) ? type : 'daily';
+    this.weekdays = [...new Set(weekdays.map(Number))]
+      .filter(day => day >= 1 && day <= 7)
+      .sort((a, b) => a - b);
+    this.interval = Math.max(1, parseInt(interval) || 1);
+    this.timesPerWeek = Math.min(7, Math.max(1, parseInt(timesPerWeek) || 1));
+    this.anchor = anchor;
+
+    // A weekday schedule without days would never be due
+    if (this.type === 'weekdays' && this.weekdays.length === 0) {
+      this.type = 'daily';
+    }
+  }
+
+  // Build the schedule implied by a legacy frequency string
+  static fromFrequency(frequency, anchor = null) {
+    return new Schedule({ type: frequency, anchor });
+  }
+
+  // Legacy frequency string closest to this schedule
+  getFrequency() {
+    switch (this.type) {
+      case 'weekly':
+      case 'timesPerWeek':
+        return 'weekly';
+      case 'monthly':
+        return 'monthly';
+      default:
+        return 'daily';
+    }
+  }
+
+  // Start key of the period containing the date key
+  getPeriodStart(key) {
+    switch (this.type) {
+      case 'weekly':
+      case 'timesPerWeek':
+        return addDays(key, 1 - getIsoWeekday(key));
+      case 'monthly':
+        return key.slice(0, 8) + '01';
+      case 'interval': {
+        const anchor = this.anchor || key;
+        const offset = daysBetween(anchor, key);
+        return addDays(anchor, Math.floor(offset / this.interval) * this.interval);
+      }
+      default:
+        return key;
+    }
+  }
+
+  getNextPeriodStart(start) {
+    switch (this.type) {
+      case 'weekly':
+      case 'timesPerWeek':
+        return addDays(start, 7);
+      case 'monthly':
+        return addMonths(start, 1);
+      case 'interval':
+        return addDays(start, this.interval);
+      default:
+        return addDays(start, 1);
+    }
+  }
+
+  getPreviousPeriodStart(start) {
+    return this.getPeriodStart(addDays(start, -1));
+  }
+
+  // Rest days of a weekday schedule are not scheduled periods
+  isScheduled(periodStart) {
+    return this.type !== 'weekdays' || this.weekdays.includes(getIsoWeekday(periodStart));
+  }
+
+  // Number of distinct completed days that satisfy one period
+  getRequiredDays() {
+    return this.type === 'timesPerWeek' ? this.timesPerWeek : 1;
+  }
+
+  // Human readable summary, e.g. "Mon, Wed, Fri" or "3× per week"
+  describe() {
+    switch (this.type) {
+      case 'weekly':
+        return 'Once a week';
+      case 'monthly':
+        return 'Once a month';
+      case 'weekdays':
+        return this.weekdays.map(day => WEEKDAY_NAMES[day - 1]).join(', ');
+      case 'interval':
+        return this.interval === 1 ? 'Every day' : `Every ${this.interval} days`;
+      case 'timesPerWeek':
+        return `${this.timesPerWeek}× per week`;
+      default:
+        return 'Every day';
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      weekdays: this.weekdays,
+      interval: this.interval,
+      timesPerWeek: this.timesPerWeek,
+      anchor: this.anchor
+    };
+  }
+
+  static fromJSON(data) {
+    return data instanceof Schedule ? data : new Schedule(data);
+  }
+}
+
 export class Habit {
   constructor({
     id = null,
@@ -17,12 +283,26 @@ export class Habit {
     craving = '',
     response = '',
     reward = '',
-    difficulty = 1, // 1-5 scale
+    intention = null, // { behavior, time, location } behind a guided cue
+    bundle = null, // { need, want } behind a guided craving
+    polarity = 'build', // 'break' for an avoidance habit, whose completions log slips
+    levels = [], // versions from the two-minute gateway up to the full habit
+    difficulty = 1, // 1-5 scale; with levels, the version currently practiced
+    levelReviewedAt = null, // when the level last changed or a suggestion was declined
     frequency = 'daily', // daily, weekly, monthly
-    targetCount = 1,
+    schedule = null,
+    targetCount = 1, // logs per day needed for the day to count as done
+    reminders = [], // 'HH:MM' times to be reminded at, several for multi-count habits
+    streakPolicy = 'strict', // one of STREAK_POLICIES
+    graceDays = 0, // grace days allowed per month
+    freezes = [], // start keys of missed periods a grace day was spent on
+    pauses = [], // [{ from, to, reason }] sick or vacation days left out of streaks and rates
     streak = 0,
     longestStreak = 0,
     completions = [],
+    status = null, // one of HABIT_STATUSES; older data only has isActive
+    resumeOn = null, // day a paused habit becomes active again, if set
+    statusHistory = [], // [{ status, at, resumeOn }] one entry per lifecycle transition
     isActive = true,
     createdAt = new Date(),
     updatedAt = new Date()
@@ -35,21 +315,58 @@ export class Habit {
     this.craving = craving;
     this.response = response;
     this.reward = reward;
-    this.difficulty = difficulty;
-    this.frequency = frequency;
-    this.targetCount = targetCount;
+    this.intention = normalizeParts(intention, INTENTION_PARTS);
+    this.bundle = normalizeParts(bundle, BUNDLE_PARTS);
+    this.polarity = POLARITIES.includes(polarity) ? polarity : 'build';
+    this.levels = normalizeLevels(levels);
+    this.difficulty = this.clampLevel(difficulty);
+    this.levelReviewedAt = levelReviewedAt;
+    this.schedule = schedule
+      ? Schedule.fromJSON(schedule)
+      : Schedule.fromFrequency(frequency);
+    if (!this.schedule.anchor) {
+      this.schedule.anchor = toDateKey(createdAt);
+    }
+    this.frequency = this.schedule.getFrequency();
+    this.targetCount = Math.max(1, parseInt(targetCount) || 1);
+    this.reminders = normalizeReminderTimes(reminders);
+    this.streakPolicy = STREAK_POLICIES.includes(streakPolicy) ? streakPolicy : 'strict';
+    this.graceDays = clampGraceDays(graceDays);
+    this.freezes = normalizeFreezes(freezes);
+    this.pauses = normalizePauses(pauses);
     this.streak = streak;
     this.longestStreak = longestStreak;
     this.completions = completions;
-    this.isActive = isActive;
+    this.status = HABIT_STATUSES.includes(status) ? status : isActive ? 'active' : 'archived';
+    this.resumeOn = this.status === 'paused' && isDateKey(resumeOn) ? resumeOn : null;
+    this.statusHistory = normalizeStatusHistory(statusHistory);
+    this.isActive = this.status === 'active'; // kept for code and exports that predate statuses
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
+    this.applyPolarity();
   }
 
   generateId() {
     return 'habit_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
+  isAvoidance() {
+    return this.polarity === 'break';
+  }
+
+  // Avoidance habits are judged day by day, and a single slip spoils the
+  // day, so they have neither a schedule nor a daily target nor versions,
+  // nor reminders, which would prompt the very thing being avoided
+  applyPolarity() {
+    if (!this.isAvoidance()) return;
+
+    this.schedule = new Schedule({ anchor: this.schedule.anchor });
+    this.frequency = 'daily';
+    this.reminders = [];
+    this.targetCount = 1;
+    this.levels = [];
+  }
+
   // Law 1: Make it Obvious
   setCue(cue) {
     this.cue = cue;
@@ -78,249 +395,1895 @@ export class Habit {
     return this;
   }
 
-  // Complete habit for today
-  complete(date = new Date()) {
-    const dateStr = date.toISOString().split('T')[0];
+  // Apply edited fields; schedule and target changes re-evaluate the whole history
+  update(patch) {
+    const previousLevel = this.difficulty;
+    EDITABLE_FIELDS.forEach(field => {
+      if (field in patch) this[field] = patch[field];
+    });
+
+    this.levels = normalizeLevels(this.levels);
+    this.difficulty = this.clampLevel(this.difficulty);
+    if (this.difficulty !== previousLevel) {
+      this.levelReviewedAt = new Date();
+    }
+    this.targetCount = Math.max(1, parseInt(this.targetCount) || 1);
+    this.reminders = normalizeReminderTimes(this.reminders);
+    this.intention = normalizeParts(this.intention, INTENTION_PARTS);
+    this.bundle = normalizeParts(this.bundle, BUNDLE_PARTS);
+    if (!STREAK_POLICIES.includes(this.streakPolicy)) this.streakPolicy = 'strict';
+    this.graceDays = clampGraceDays(this.graceDays);
+
+    if (patch.schedule) {
+      this.setSchedule(patch.schedule);
+    }
+    this.applyPolarity();
+
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  // A valid difficulty; with a ladder, one of its levels
+  clampLevel(level) {
+    const max = this.levels.length || 5;
+    return Math.min(max, Math.max(1, parseInt(level) || 1));
+  }
+
+  // Description of a level of the ladder, '' without one
+  getLevelName(level = this.difficulty) {
+    return this.levels[level - 1] || '';
+  }
+
+  // Practice another version from now on
+  setLevel(level) {
+    this.difficulty = this.clampLevel(level);
+    this.levelReviewedAt = new Date();
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  // Log progress for the day; repeated calls add to the day's count until
+  // it reaches targetCount. With a ladder, the day records the level done,
+  // by default the current one.
+  complete(date = new Date(), amount = 1, level = null) {
+    const dateStr = toDateKey(date);
+    // Backfilled days passed as date keys are stamped with a time on that day
+    const timestamp = isDateKey(date) ? getInstantInDay(date) : date;
     
-    // Check if already completed today
+    // Check if the day's target is already reached
     if (this.isCompletedToday(date)) {
       return false;
     }
 
-    this.completions.push({
-      date: dateStr,
-      timestamp: date,
-      count: 1
-    });
+    let completion = this.getCompletion(date);
+    if (completion) {
+      completion.count = Math.min(completion.count + amount, this.targetCount);
+      completion.timestamp = timestamp;
+    } else {
+      completion = {
+        date: dateStr,
+        timestamp,
+        count: Math.min(amount, this.targetCount)
+      };
+      this.completions.push(completion);
+    }
+    if (this.levels.length > 0) {
+      completion.level = this.clampLevel(level ?? this.difficulty);
+    }
 
     this.updateStreak();
     this.updatedAt = new Date();
     return true;
   }
 
-  // Check if habit is completed today
-  isCompletedToday(date = new Date()) {
-    const dateStr = date.toISOString().split('T')[0];
-    return this.completions.some(completion => completion.date === dateStr);
-  }
+  // Take back logged progress for the day, dropping the entry once it hits zero
+  decrement(date = new Date(), amount = 1) {
+    const completion = this.getCompletion(date);
+    if (!completion) {
+      return false;
+    }
 
-  // Update streak calculation
-  updateStreak() {
-    if (this.completions.length === 0) {
-      this.streak = 0;
-      return;
-    }
-
-    // Sort completions by date
-    const sortedCompletions = this.completions
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    let currentStreak = 0;
-    let tempStreak = 1;
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    // Check if completed today or yesterday to maintain streak
-    const lastCompletion = new Date(sortedCompletions[sortedCompletions.length - 1].date);
-    const daysDiff = Math.floor((today - lastCompletion) / (1000 * 60 * 60 * 24));
-
-    if (daysDiff <= 1) {
-      // Calculate current streak
-      for (let i = sortedCompletions.length - 2; i >= 0; i--) {
-        const current = new Date(sortedCompletions[i + 1].date);
-        const previous = new Date(sortedCompletions[i].date);
-        const diff = Math.floor((current - previous) / (1000 * 60 * 60 * 24));
-
-        if (diff === 1) {
-          tempStreak++;
-        } else {
-          break;
-        }
-      }
-      currentStreak = tempStreak;
+    completion.count -= amount;
+    if (completion.count <= 0) {
+      this.completions = this.completions.filter(c => c !== completion);
     }
 
-    this.streak = currentStreak;
-    this.longestStreak = Math.max(this.longestStreak, this.streak);
+    this.updateStreak();
+    this.updatedAt = new Date();
+    return true;
   }
 
-  // Get completion rate for a period
-  getCompletionRate(days = 30) {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+  // Log a slip of an avoidance habit. Every slip of the day is counted, and
+  // since a slip can land inside an earlier run, streaks are recomputed.
+  logSlip(date = new Date()) {
+    if (!this.isAvoidance()) {
+      return false;
+    }
 
-    const completionsInPeriod = this.completions.filter(completion => {
-      const completionDate = new Date(completion.date);
-      return completionDate >= startDate && completionDate <= endDate;
-    });
+    // Backfilled days passed as date keys are stamped with a time on that day
+    const timestamp = isDateKey(date) ? getInstantInDay(date) : date;
+    const slip = this.getCompletion(date);
+    if (slip) {
+      slip.count += 1;
+      slip.timestamp = timestamp;
+    } else {
+      this.completions.push({ date: toDateKey(date), timestamp, count: 1 });
+    }
 
-    return (completionsInPeriod.length / days) * 100;
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return true;
   }
 
-  // Get habit data for analytics
-  getAnalytics() {
-    return {
-      totalCompletions: this.completions.length,
-      currentStreak: this.streak,
-      longestStreak: this.longestStreak,
-      completionRate30Days: this.getCompletionRate(30),
-      completionRate7Days: this.getCompletionRate(7),
-      averagePerWeek: this.completions.length > 0 ? 
-        (this.completions.length / this.getDaysSinceCreation()) * 7 : 0,
-      difficulty: this.difficulty,
-      category: this.category
-    };
+  // Check if an avoidance habit slipped on the day
+  hasSlipped(date = new Date()) {
+    return this.isAvoidance() && this.getCountForDate(date) > 0;
   }
 
-  getDaysSinceCreation() {
-    const now = new Date();
-    const created = new Date(this.createdAt);
-    return Math.floor((now - created) / (1000 * 60 * 60 * 24)) + 1;
+  // Check if the day counts in the habit's favor: done, or for an avoidance
+  // habit, not slipped (days before the habit existed don't count)
+  isKeptToday(date = new Date()) {
+    return this.isAvoidance() ? this.isPeriodComplete(date) : this.isCompletedToday(date);
   }
 
-  // Convert to JSON for storage
-  toJSON() {
-    return {
-      id: this.id,
-      name: this.name,
-      description: this.description,
-      category: this.category,
-      cue: this.cue,
-      craving: this.craving,
-      response: this.response,
-      reward: this.reward,
-      difficulty: this.difficulty,
-      frequency: this.frequency,
-      targetCount: this.targetCount,
-      streak: this.streak,
-      longestStreak: this.longestStreak,
-      completions: this.completions,
-      isActive: this.isActive,
-      createdAt: this.createdAt,
-      updatedAt: this.updatedAt
-    };
+  // Change the level recorded for a logged day
+  setCompletionLevel(date = new Date(), level) {
+    const completion = this.getCompletion(date);
+    if (!completion || this.levels.length === 0) {
+      return false;
+    }
+
+    completion.level = this.clampLevel(level);
+    this.updatedAt = new Date();
+    return true;
   }
 
-  // Create from JSON
-  static fromJSON(data) {
-    return new Habit(data);
+  // Level recorded for the day; days logged before the ladder existed count
+  // as the full habit
+  getLevelForDate(date = new Date()) {
+    const completion = this.getCompletion(date);
+    if (!completion || this.levels.length === 0) return null;
+    return this.clampLevel(completion.level ?? this.levels.length);
   }
-}
 
-export class HabitTracker {
-  constructor() {
-    this.habits = new Map();
-    this.categories = new Set(['health', 'productivity', 'learning', 'social', 'creative', 'general']);
-    this.loadFromStorage();
+  // Remove the day's completion entirely and recompute streaks from scratch
+  uncomplete(date = new Date()) {
+    const completion = this.getCompletion(date);
+    if (!completion) {
+      return false;
+    }
+
+    this.completions = this.completions.filter(c => c !== completion);
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return true;
   }
 
-  // Add new habit
-  addHabit(habitData) {
-    const habit = new Habit(habitData);
-    this.habits.set(habit.id, habit);
-    this.saveToStorage();
-    return habit;
+  // Get the completion entry logged for the day, if any
+  getCompletion(date = new Date()) {
+    const dateStr = toDateKey(date);
+    return this.completions.find(completion => completion.date === dateStr);
   }
 
-  // Get habit by ID
-  getHabit(id) {
-    return this.habits.get(id);
+  // Get how many times the habit was logged for the day
+  getCountForDate(date = new Date()) {
+    const completion = this.getCompletion(date);
+    return completion ? completion.count : 0;
   }
 
-  // Get all habits
-  getAllHabits() {
-    return Array.from(this.habits.values());
+  // Check if a completion entry reaches the daily target
+  isCompletionDone(completion) {
+    return (completion.count || 1) >= this.targetCount;
   }
 
-  // Get active habits
-  getActiveHabits() {
-    return this.getAllHabits().filter(habit => habit.isActive);
+  // Check if habit is completed today
+  isCompletedToday(date = new Date()) {
+    return this.getCountForDate(date) >= this.targetCount;
   }
 
-  // Get habits by category
-  getHabitsByCategory(category) {
-    return this.getAllHabits().filter(habit => habit.category === category);
+  // Get the completion entries whose day reached the target
+  getDoneCompletions() {
+    return this.completions.filter(completion => this.isCompletionDone(completion));
   }
 
-  // Complete habit
-  completeHabit(id, date = new Date()) {
-    const habit = this.getHabit(id);
-    if (habit && habit.complete(date)) {
-      this.saveToStorage();
-      return true;
+  // Set a new schedule, keeping the legacy frequency in sync
+  setSchedule(schedule) {
+    this.schedule = Schedule.fromJSON(schedule);
+    if (!this.schedule.anchor) {
+      this.schedule.anchor = toDateKey(this.createdAt);
     }
-    return false;
+    this.frequency = this.schedule.getFrequency();
+    this.applyPolarity();
+    this.updateStreak();
+    this.updatedAt = new Date();
+    return this;
   }
 
-  // Delete habit
-  deleteHabit(id) {
-    const deleted = this.habits.delete(id);
-    if (deleted) {
-      this.saveToStorage();
+  // Start key of the schedule period containing the date
+  getPeriodStart(date = new Date()) {
+    return this.schedule.getPeriodStart(toDateKey(date));
+  }
+
+  // Number of distinct completed days in each scheduled period. For an
+  // avoidance habit: each day from its creation up to today without a slip.
+  getPeriodProgress() {
+    if (this.isAvoidance()) {
+      return this.getCleanDays();
     }
-    return deleted;
+
+    const days = new Map();
+
+    this.getDoneCompletions().forEach(completion => {
+      const period = this.schedule.getPeriodStart(completion.date);
+      if (!this.schedule.isScheduled(period)) return;
+      if (!days.has(period)) days.set(period, new Set());
+      days.get(period).add(completion.date);
+    });
+
+    return new Map(Array.from(days, ([period, dates]) => [period, dates.size]));
   }
 
-  // Get today's habits
-  getTodaysHabits() {
-    return this.getActiveHabits().map(habit => ({
-      ...habit,
-      isCompletedToday: habit.isCompletedToday()
-    }));
+  getCleanDays() {
+    const clean = new Map();
+    const today = todayKey();
+    // Index the slips once; a lookup per day would grow with age times slips
+    const slipped = new Set(this.completions.map(completion => completion.date));
+    for (let date = toDateKey(this.createdAt); date <= today; date = addDays(date, 1)) {
+      if (!slipped.has(date)) clean.set(date, 1);
+    }
+    return clean;
   }
 
-  // Get overall statistics
-  getOverallStats() {
-    const habits = this.getActiveHabits();
-    const totalHabits = habits.length;
-    const completedToday = habits.filter(h => h.isCompletedToday()).length;
-    const totalStreaks = habits.reduce((sum, h) => sum + h.streak, 0);
-    const avgStreak = totalHabits > 0 ? totalStreaks / totalHabits : 0;
+  // Start keys of every satisfied period
+  getCompletedPeriods() {
+    const required = this.schedule.getRequiredDays();
+    const completed = new Set();
 
-    return {
-      totalHabits,
-      completedToday,
-      completionRateToday: totalHabits > 0 ? (completedToday / totalHabits) * 100 : 0,
-      averageStreak: avgStreak,
-      longestStreak: Math.max(...habits.map(h => h.longestStreak), 0)
-    };
+    this.getPeriodProgress().forEach((count, period) => {
+      if (count >= required) completed.add(period);
+    });
+
+    return completed;
   }
 
-  // Save to localStorage
-  saveToStorage() {
-    const data = {
-      habits: Array.from(this.habits.entries()).map(([id, habit]) => [id, habit.toJSON()]),
-      categories: Array.from(this.categories)
-    };
-    localStorage.setItem('atomicHabitsTracker', JSON.stringify(data));
+  // Check if the period containing the date has been satisfied
+  isPeriodComplete(date = new Date()) {
+    return this.getCompletedPeriods().has(this.getPeriodStart(date));
   }
 
-  // Load from localStorage
-  loadFromStorage() {
-    try {
-      const data = JSON.parse(localStorage.getItem('atomicHabitsTracker') || '{}');
-      
-      if (data.habits) {
-        this.habits = new Map(
-          data.habits.map(([id, habitData]) => [id, Habit.fromJSON(habitData)])
-        );
-      }
-      
-      if (data.categories) {
-        this.categories = new Set(data.categories);
+  // Check if the habit should be surfaced today: its period is scheduled and
+  // still unmet, or was met by today's completion
+  isDueToday(date = new Date()) {
+    // Something to avoid is avoided every day
+    if (this.isAvoidance()) return true;
+
+    return this.schedule.isScheduled(this.getPeriodStart(date)) &&
+      (!this.isPeriodComplete(date) || this.isCompletedToday(date));
+  }
+
+  isPaused() {
+    return this.status === 'paused';
+  }
+
+  isArchived() {
+    return this.status === 'archived';
+  }
+
+  // Move the habit through its lifecycle, logging when. A paused habit can
+  // be given a day to resume on; changing only that day isn't a transition.
+  setStatus(status, { resumeOn = null, at = new Date() } = {}) {
+    if (!HABIT_STATUSES.includes(status)) return false;
+
+    const nextResumeOn = status === 'paused' && isDateKey(resumeOn) ? resumeOn : null;
+    if (status === this.status && nextResumeOn === this.resumeOn) return false;
+
+    if (status !== this.status) {
+      this.statusHistory.push({ status, at });
+    }
+    if (status === 'paused') {
+      const entry = this.statusHistory[this.statusHistory.length - 1];
+      if (entry?.status === 'paused') {
+        if (nextResumeOn) entry.resumeOn = nextResumeOn;
+        else delete entry.resumeOn;
       }
-    } catch (error) {
-      console.error('Error loading habits from storage:', error);
-      this.habits = new Map();
     }
+
+    this.status = status;
+    this.resumeOn = nextResumeOn;
+    this.isActive = status === 'active';
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return true;
   }
 
-  // Add custom category
-  addCategory(category) {
-    this.categories.add(category);
-    this.saveToStorage();
+  // When the habit last changed status, or null if it never has
+  getStatusChangedAt() {
+    return this.statusHistory[this.statusHistory.length - 1]?.at ?? null;
+  }
+
+  // Days spent paused or archived, as { from, to, reason } ranges. A pause
+  // ends the day before its resume day even if the app wasn't opened then.
+  getInactiveRanges(today = todayKey()) {
+    const ranges = [];
+
+    this.statusHistory.forEach((entry, index) => {
+      if (entry.status === 'active') return;
+
+      const next = this.statusHistory[index + 1];
+      const from = toDateKey(entry.at);
+      let to = next ? addDays(toDateKey(next.at), -1) : today;
+      if (entry.resumeOn && entry.resumeOn <= to) to = addDays(entry.resumeOn, -1);
+      if (from <= to) ranges.push({ from, to, reason: entry.status });
+    });
+
+    return ranges;
+  }
+
+  // Sick and vacation days, and the days the habit was paused or archived
+  getPauses() {
+    return [...this.pauses, ...this.getInactiveRanges()];
+  }
+
+  // Pause covering the date, if any
+  getPause(date = new Date()) {
+    const key = toDateKey(date);
+    return this.getPauses().find(pause => pause.from <= key && pause.to >= key) || null;
+  }
+
+  // Whether a pause covers any day of the period starting at `period`
+  isPausedPeriod(period) {
+    const next = this.schedule.getNextPeriodStart(period);
+    return this.getPauses().some(pause => pause.from < next && pause.to >= period);
+  }
+
+  // Whether an unmet period is held against the habit: not when it was
+  // paused or a grace day was spent on it
+  isExcusedPeriod(period) {
+    return this.freezes.includes(period) || this.isPausedPeriod(period);
+  }
+
+  // Walk the history for the current run of satisfied periods, the longest
+  // run and the misses the current run survived under "never miss twice".
+  // `atRisk` is set while the last closed period is such a miss.
+  getStreakHistory() {
+    const completedPeriods = this.getCompletedPeriods();
+    const history = { current: 0, longest: 0, forgivenMisses: [], atRisk: false };
+    if (completedPeriods.size === 0) return history;
+
+    const currentPeriod = this.getPeriodStart();
+    const forgiving = this.streakPolicy === 'neverMissTwice';
+    let period = Array.from(completedPeriods).sort()[0];
+
+    // Rest days, pauses and grace days are skipped, and the current period
+    // is still open, so leaving it unmet doesn't count as a miss yet; a
+    // slip today does
+    for (; period <= currentPeriod; period = this.schedule.getNextPeriodStart(period)) {
+      if (!this.schedule.isScheduled(period)) continue;
+
+      if (completedPeriods.has(period)) {
+        history.current++;
+        history.longest = Math.max(history.longest, history.current);
+        history.atRisk = false;
+      } else if ((period === currentPeriod && !this.isAvoidance()) || this.isExcusedPeriod(period)) {
+        continue;
+      } else if (forgiving && history.current > 0 && !history.atRisk) {
+        history.forgivenMisses.push(period);
+        history.atRisk = true;
+      } else {
+        history.current = 0;
+        history.forgivenMisses = [];
+        history.atRisk = false;
+      }
+    }
+
+    return history;
+  }
+
+  // Update streak calculation
+  updateStreak() {
+    const { current, longest } = this.getStreakHistory();
+    this.streak = current;
+    this.longestStreak = Math.max(this.longestStreak, current, longest);
+  }
+
+  // Longest run of consecutive satisfied periods anywhere in the completion history
+  getLongestStreakInHistory() {
+    return this.getStreakHistory().longest;
+  }
+
+  // Grace days left in the month containing the date
+  getGraceDaysLeft(date = new Date()) {
+    const month = toDateKey(date).slice(0, 7);
+    const used = this.freezes.filter(period => period.startsWith(month)).length;
+    return Math.max(0, this.graceDays - used);
+  }
+
+  // Scheduled periods of the last `days` days that closed unmet and weren't
+  // paused: the ones a grace day can be spent on, or was
+  getMissedPeriods(days = 30) {
+    const today = todayKey();
+    const currentPeriod = this.schedule.getPeriodStart(today);
+    const completedPeriods = this.getCompletedPeriods();
+    const createdPeriod = this.getPeriodStart(this.createdAt);
+    const missed = [];
+
+    let period = this.schedule.getPeriodStart(addDays(today, -(days - 1)));
+    if (period < createdPeriod) period = createdPeriod;
+
+    for (; period <= currentPeriod; period = this.schedule.getNextPeriodStart(period)) {
+      if (!this.schedule.isScheduled(period) || completedPeriods.has(period)) continue;
+      if (period === currentPeriod && !this.isAvoidance()) continue;
+      if (!this.isPausedPeriod(period)) missed.push(period);
+    }
+
+    return missed;
+  }
+
+  // Spend a grace day on the missed period containing the date, so it
+  // doesn't break the streak. Each month's allowance is its own.
+  useGraceDay(date) {
+    const period = this.getPeriodStart(date);
+    if (this.freezes.includes(period) ||
+        this.getGraceDaysLeft(period) === 0 ||
+        !this.getMissedPeriods(daysBetween(period, todayKey()) + 1).includes(period)) {
+      return false;
+    }
+
+    this.freezes = normalizeFreezes([...this.freezes, period]);
+    this.updateStreak();
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  // Take back a grace day spent on the period containing the date
+  returnGraceDay(date) {
+    const period = this.getPeriodStart(date);
+    if (!this.freezes.includes(period)) return false;
+
+    this.freezes = this.freezes.filter(frozen => frozen !== period);
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  // Leave a range of days out of streaks and completion rates
+  addPause({ from, to = from, reason = 'vacation' }) {
+    const [pause] = normalizePauses([{ from, to, reason }]);
+    if (!pause) return null;
+
+    this.pauses = normalizePauses([...this.pauses, pause]);
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return pause;
+  }
+
+  removePause(index) {
+    if (!this.pauses[index]) return false;
+
+    this.pauses = this.pauses.filter((_, i) => i !== index);
+    this.recalculateStreaks();
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  // Recompute streak and longestStreak from the completion history alone
+  recalculateStreaks() {
+    this.longestStreak = 0;
+    this.updateStreak();
+  }
+
+  // Get completion rate over the last `days` days, as a share of scheduled
+  // periods. Periods before the habit was created don't count.
+  getCompletionRate(days = 30) {
+    const today = todayKey();
+    const currentPeriod = this.schedule.getPeriodStart(today);
+    const createdPeriod = this.getPeriodStart(this.createdAt);
+    const progress = this.getPeriodProgress();
+    const required = this.schedule.getRequiredDays();
+
+    let scheduled = 0;
+    let satisfied = 0;
+    let period = this.schedule.getPeriodStart(addDays(today, -(days - 1)));
+    if (period < createdPeriod) period = createdPeriod;
+
+    while (period <= today) {
+      if (this.schedule.isScheduled(period)) {
+        const credit = Math.min(progress.get(period) || 0, required) / required;
+        // An unmet current period is still open and isn't counted against
+        // the habit, unless it's a day already spoiled by a slip; nor is an
+        // unmet period during a pause
+        const open = period === currentPeriod && !this.isAvoidance();
+        if (credit === 1 || (!open && !this.isPausedPeriod(period))) {
+          scheduled++;
+          satisfied += credit;
+        }
+      }
+      period = this.schedule.getNextPeriodStart(period);
+    }
+
+    return scheduled > 0 ? (satisfied / scheduled) * 100 : 0;
+  }
+
+  // Whether to move to another level: { direction: 'up' | 'down', level } or
+  // null. Only judged on a window spent entirely at the current level.
+  getLevelSuggestion() {
+    if (this.levels.length < 2) return null;
+
+    const since = toDateKey(this.levelReviewedAt || this.createdAt);
+    const daysAtLevel = daysBetween(since, todayKey());
+
+    if (this.difficulty < this.levels.length && daysAtLevel >= LEVEL_UP.days &&
+        this.getCompletionRate(LEVEL_UP.days) >= LEVEL_UP.rate) {
+      return { direction: 'up', level: this.difficulty + 1 };
+    }
+    if (this.difficulty > 1 && daysAtLevel >= LEVEL_DOWN.days &&
+        this.getCompletionRate(LEVEL_DOWN.days) < LEVEL_DOWN.rate) {
+      return { direction: 'down', level: this.difficulty - 1 };
+    }
+    return null;
+  }
+
+  // Days done at each level of the ladder, easiest first
+  getLevelAnalytics() {
+    const days = this.levels.map(() => 0);
+    this.getDoneCompletions().forEach(completion => {
+      days[this.getLevelForDate(completion.date) - 1]++;
+    });
+
+    const total = days.reduce((sum, count) => sum + count, 0);
+    return this.levels.map((name, index) => ({
+      level: index + 1,
+      name,
+      days: days[index],
+      share: total > 0 ? (days[index] / total) * 100 : 0
+    }));
+  }
+
+  // How well each of the four laws is set up: 'strong', 'weak' or 'missing'.
+  // A cue is strong as a full implementation intention (behavior, time and
+  // place) and a craving as a temptation bundle; a response or reward is
+  // strong once it says more than a word or two. An avoidance habit's
+  // inverted laws are all free text, judged like a response. `score` is
+  // 0-100, with weak laws counting half.
+  getLawCompleteness() {
+    const textLevel = (text) => {
+      const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+      if (words === 0) return 'missing';
+      return words >= SPECIFIC_WORD_COUNT ? 'strong' : 'weak';
+    };
+    const structuredLevel = (parts, text) => {
+      if (hasAllParts(parts)) return 'strong';
+      return String(text || '').trim() ? 'weak' : 'missing';
+    };
+
+    const laws = {
+      cue: this.isAvoidance() ? textLevel(this.cue) : structuredLevel(this.intention, this.cue),
+      craving: this.isAvoidance() ? textLevel(this.craving) : structuredLevel(this.bundle, this.craving),
+      response: textLevel(this.response),
+      reward: textLevel(this.reward)
+    };
+    const points = LAWS.reduce((sum, law) => sum + { strong: 1, weak: 0.5, missing: 0 }[laws[law]], 0);
+
+    return { laws, score: Math.round((points / LAWS.length) * 100) };
+  }
+
+  // Slips of an avoidance habit: when the last one was, how long ago in days
+  // (since creation without any), and slips per week over up to the last
+  // `weeks` weeks the habit existed, oldest first. `trend` compares the
+  // recent half of those weeks to the earlier half: 'fewer', 'more' or 'steady'.
+  getSlipAnalytics(weeks = 8) {
+    const today = todayKey();
+    const createdOn = toDateKey(this.createdAt);
+    const slips = this.completions.filter(slip => slip.count > 0);
+    const last = slips.reduce((latest, slip) => (!latest || slip.date > latest.date ? slip : latest), null);
+
+    const weekly = Array.from({ length: weeks }, (_, index) => {
+      const from = addDays(today, -7 * (weeks - index) + 1);
+      const to = addDays(from, 6);
+      const count = slips
+        .filter(slip => slip.date >= from && slip.date <= to)
+        .reduce((sum, slip) => sum + slip.count, 0);
+      return { from, to, count };
+    }).filter(week => week.to >= createdOn || week.count > 0);
+
+    const half = Math.floor(weekly.length / 2);
+    const sum = list => list.reduce((total, week) => total + week.count, 0);
+    const earlier = half > 0 ? sum(weekly.slice(0, weekly.length - half)) / (weekly.length - half) : 0;
+    const recent = half > 0 ? sum(weekly.slice(weekly.length - half)) / half : 0;
+
+    return {
+      totalSlips: sum(slips),
+      lastSlipAt: last ? new Date(last.timestamp || parseDateKey(last.date)) : null,
+      daysSinceLastSlip: daysBetween(last ? last.date : toDateKey(this.createdAt), today),
+      weekly,
+      trend: recent < earlier ? 'fewer' : recent > earlier ? 'more' : 'steady'
+    };
+  }
+
+  // Get habit data for analytics
+  getAnalytics() {
+    const doneDays = this.getDoneCompletions().length;
+
+    return {
+      totalCompletions: doneDays,
+      currentStreak: this.streak,
+      longestStreak: this.longestStreak,
+      completionRate30Days: this.getCompletionRate(30),
+      completionRate7Days: this.getCompletionRate(7),
+      averagePerWeek: doneDays > 0 ? 
+        (doneDays / this.getDaysSinceCreation()) * 7 : 0,
+      difficulty: this.difficulty,
+      levels: this.getLevelAnalytics(),
+      slips: this.isAvoidance() ? this.getSlipAnalytics() : null,
+      category: this.category
+    };
+  }
+
+  getDaysSinceCreation() {
+    return daysBetween(toDateKey(this.createdAt), todayKey()) + 1;
+  }
+
+  // Convert to JSON for storage
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      category: this.category,
+      cue: this.cue,
+      craving: this.craving,
+      response: this.response,
+      reward: this.reward,
+      intention: this.intention,
+      bundle: this.bundle,
+      polarity: this.polarity,
+      levels: this.levels,
+      difficulty: this.difficulty,
+      levelReviewedAt: this.levelReviewedAt,
+      frequency: this.frequency,
+      schedule: this.schedule.toJSON(),
+      targetCount: this.targetCount,
+      reminders: this.reminders,
+      streakPolicy: this.streakPolicy,
+      graceDays: this.graceDays,
+      freezes: this.freezes,
+      pauses: this.pauses,
+      streak: this.streak,
+      longestStreak: this.longestStreak,
+      completions: this.completions,
+      status: this.status,
+      resumeOn: this.resumeOn,
+      statusHistory: this.statusHistory,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from JSON, rejecting data that can't be a habit
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Habit data must be an object');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      throw new TypeError(`Habit ${data.id || ''} has no name`);
+    }
+    if (data.completions !== undefined && (
+      !Array.isArray(data.completions) ||
+      data.completions.some(completion => !isDateKey(completion?.date))
+    )) {
+      throw new TypeError(`Habit "${data.name}" has malformed completions`);
+    }
+
+    return new Habit(data);
+  }
+}
+
+// Fields a user can change after creating a routine
+export const ROUTINE_FIELDS = ['name', 'anchorCue', 'habitIds'];
+
+/**
+ * A habit stack: habits done one after another, the whole chain set off by
+ * an anchor cue ("After I pour my morning coffee"), each step cueing the
+ * next. Steps are habit ids in order and are looked up in the tracker's
+ * habits, so a deleted habit drops out of the routine and returns if the
+ * deletion is undone; paused habits are skipped.
+ *
+ * A routine is due on a day when any of its steps is, and done on a day
+ * when every step due that day was completed. A step only counts from the
+ * day its habit was created. Streaks and completion rates are worked out
+ * from the steps' completions, so they cover history from before the
+ * routine existed.
+ */
+export class Routine {
+  constructor({
+    id = null,
+    name = '',
+    anchorCue = '', // what sets the routine off, e.g. "I pour my morning coffee"
+    habitIds = [], // steps, in the order they are done
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id || this.generateId();
+    this.name = name;
+    this.anchorCue = anchorCue;
+    this.habitIds = [...new Set(habitIds)];
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  generateId() {
+    return 'routine_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  update(patch) {
+    ROUTINE_FIELDS.forEach(field => {
+      if (field in patch) this[field] = patch[field];
+    });
+    this.habitIds = [...new Set(this.habitIds)];
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  // Active habits of the routine, in step order
+  getSteps(habits) {
+    return this.habitIds
+      .map(id => habits.get(id))
+      .filter(habit => habit && habit.isActive);
+  }
+
+  // Steps to be done on the day
+  getDueSteps(habits, date = new Date()) {
+    const key = toDateKey(date);
+    return this.getSteps(habits).filter(habit =>
+      key >= toDateKey(habit.createdAt) && habit.isDueToday(key)
+    );
+  }
+
+  // First step due on the day that isn't done yet, or null once all are
+  getNextStep(habits, date = new Date()) {
+    return this.getDueSteps(habits, date).find(habit => !habit.isCompletedToday(date)) || null;
+  }
+
+  // Done and due steps on the day
+  getProgress(habits, date = new Date()) {
+    const due = this.getDueSteps(habits, date);
+    return {
+      done: due.filter(habit => habit.isCompletedToday(date)).length,
+      total: due.length
+    };
+  }
+
+  isDueOn(habits, date = new Date()) {
+    return this.getDueSteps(habits, date).length > 0;
+  }
+
+  isCompleteOn(habits, date = new Date()) {
+    const { done, total } = this.getProgress(habits, date);
+    return total > 0 && done === total;
+  }
+
+  // First day any step could have been done, or null without steps
+  getFirstDay(habits) {
+    const days = this.getSteps(habits).map(habit => toDateKey(habit.createdAt));
+    return days.length > 0 ? days.sort()[0] : null;
+  }
+
+  // Days the routine was fully done in a row, up to today. Days with no
+  // step due are skipped, and an unfinished today doesn't break the streak yet.
+  getStreak(habits) {
+    const firstDay = this.getFirstDay(habits);
+    const today = todayKey();
+    let streak = 0;
+
+    for (let day = today; firstDay && day >= firstDay; day = addDays(day, -1)) {
+      if (!this.isDueOn(habits, day)) continue;
+      if (this.isCompleteOn(habits, day)) {
+        streak++;
+      } else if (day !== today) {
+        break;
+      }
+    }
+
+    return streak;
+  }
+
+  // Longest run of fully done days anywhere in the steps' history
+  getLongestStreak(habits) {
+    const firstDay = this.getFirstDay(habits);
+    const today = todayKey();
+    let run = 0;
+    let longest = 0;
+
+    for (let day = firstDay; day && day <= today; day = addDays(day, 1)) {
+      if (!this.isDueOn(habits, day)) continue;
+      if (this.isCompleteOn(habits, day)) {
+        run++;
+        longest = Math.max(longest, run);
+      } else if (day !== today) {
+        run = 0;
+      }
+    }
+
+    return longest;
+  }
+
+  // Share of the last `days` days with steps due on which the routine was
+  // fully done; an unfinished today isn't counted against it
+  getCompletionRate(habits, days = 30) {
+    const firstDay = this.getFirstDay(habits);
+    const today = todayKey();
+    let due = 0;
+    let completed = 0;
+
+    for (let day = addDays(today, -(days - 1)); firstDay && day <= today; day = addDays(day, 1)) {
+      if (day < firstDay || !this.isDueOn(habits, day)) continue;
+
+      const complete = this.isCompleteOn(habits, day);
+      if (complete || day !== today) {
+        due++;
+        if (complete) completed++;
+      }
+    }
+
+    return due > 0 ? (completed / due) * 100 : 0;
+  }
+
+  getAnalytics(habits) {
+    return {
+      currentStreak: this.getStreak(habits),
+      longestStreak: this.getLongestStreak(habits),
+      completionRate7Days: this.getCompletionRate(habits, 7),
+      completionRate30Days: this.getCompletionRate(habits, 30)
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      anchorCue: this.anchorCue,
+      habitIds: this.habitIds,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from JSON, rejecting data that can't be a routine
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Routine data must be an object');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      throw new TypeError(`Routine ${data.id || ''} has no name`);
+    }
+    if (!Array.isArray(data.habitIds)) {
+      throw new TypeError(`Routine "${data.name}" has no steps`);
+    }
+
+    return new Routine(data);
+  }
+}
+
+// Days after a missed period closes before it's logged as a breach, so a
+// forgotten check-in can still be backfilled
+const BREACH_GRACE_DAYS = 1;
+
+/**
+ * A habit contract ("make it unsatisfying"): a signed commitment to a habit
+ * with consequences for missing it, witnessed by accountability partners.
+ * Every scheduled period of the habit that starts after signing and goes
+ * unmet is a breach; breaches are logged once, with when they were noticed,
+ * and stay logged even if the day is backfilled later.
+ */
+export class Contract {
+  constructor({
+    id = null,
+    habitId,
+    commitment = '', // e.g. "I will run every day"
+    consequences = '', // what happens on a breach, e.g. "I pay Sam $20"
+    partners = [], // [{ name, contact }] — contact is an email address or phone number
+    signature = '', // the signer's typed name
+    signedAt = new Date(),
+    endedAt = null,
+    breaches = [] // [{ period, loggedAt }], period being the missed period's start key
+  }) {
+    this.id = id || this.generateId();
+    this.habitId = habitId;
+    this.commitment = commitment;
+    this.consequences = consequences;
+    this.partners = partners
+      .map(partner => ({ name: String(partner?.name ?? '').trim(), contact: String(partner?.contact ?? '').trim() }))
+      .filter(partner => partner.name);
+    this.signature = signature;
+    this.signedAt = signedAt;
+    this.endedAt = endedAt;
+    this.breaches = breaches;
+  }
+
+  generateId() {
+    return 'contract_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  isActive() {
+    return !this.endedAt;
+  }
+
+  // Start keys of the scheduled periods missed since signing, up to those
+  // that closed at least the grace period before `today`. Paused periods and
+  // those a grace day was spent on aren't breaches.
+  findMissedPeriods(habit, today = todayKey()) {
+    const { schedule } = habit;
+    const signedOn = toDateKey(this.signedAt);
+    const completed = habit.getCompletedPeriods();
+    const missed = [];
+
+    // The period the contract was signed in only counts if it starts that day
+    let period = schedule.getPeriodStart(signedOn);
+    if (period < signedOn) period = schedule.getNextPeriodStart(period);
+
+    for (;;) {
+      const next = schedule.getNextPeriodStart(period);
+      if (addDays(next, BREACH_GRACE_DAYS) > today) break;
+      if (schedule.isScheduled(period) && !completed.has(period) && !habit.isExcusedPeriod(period)) {
+        missed.push(period);
+      }
+      period = next;
+    }
+
+    return missed;
+  }
+
+  // Log missed periods not logged yet; returns the new breaches
+  recordBreaches(habit, today = todayKey()) {
+    const logged = new Set(this.breaches.map(breach => breach.period));
+    const breaches = this.findMissedPeriods(habit, today)
+      .filter(period => !logged.has(period))
+      .map(period => ({ period, loggedAt: new Date() }));
+
+    this.breaches.push(...breaches);
+    return breaches;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      habitId: this.habitId,
+      commitment: this.commitment,
+      consequences: this.consequences,
+      partners: this.partners,
+      signature: this.signature,
+      signedAt: this.signedAt,
+      endedAt: this.endedAt,
+      breaches: this.breaches
+    };
+  }
+
+  // Create from JSON, rejecting data that can't be a contract
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Contract data must be an object');
+    }
+    if (typeof data.habitId !== 'string') {
+      throw new TypeError(`Contract ${data.id || ''} isn't for a habit`);
+    }
+    if (!Array.isArray(data.partners ?? []) || !Array.isArray(data.breaches ?? [])) {
+      throw new TypeError(`Contract ${data.id || ''} has malformed partners or breaches`);
+    }
+
+    return new Contract(data);
+  }
+}
+
+// Fields a user can change after creating an identity
+export const IDENTITY_FIELDS = ['statement', 'habitIds'];
+
+/**
+ * Who the user wants to become ("I am the type of person who never misses
+ * a workout"), backed by the habits that prove it. Every day a linked habit
+ * is done casts a vote for the identity; for a habit to break, every clean
+ * day does. Votes are counted from the habits' history, so they include
+ * days from before the identity was written down, and a habit can vote for
+ * several identities.
+ */
+export class Identity {
+  constructor({
+    id = null,
+    statement = '', // e.g. "I am the type of person who reads every day"
+    habitIds = [],
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id || this.generateId();
+    this.statement = statement;
+    this.habitIds = [...new Set(habitIds)];
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  generateId() {
+    return 'identity_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  update(patch) {
+    IDENTITY_FIELDS.forEach(field => {
+      if (field in patch) this[field] = patch[field];
+    });
+    this.habitIds = [...new Set(this.habitIds)];
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  // Linked habits that still exist, paused ones included: their votes were cast
+  getHabits(habits) {
+    return this.habitIds.map(id => habits.get(id)).filter(Boolean);
+  }
+
+  // Days a habit voted for the identity
+  static getVoteDays(habit) {
+    return habit.isAvoidance()
+      ? Array.from(habit.getCleanDays().keys())
+      : habit.getDoneCompletions().map(completion => completion.date);
+  }
+
+  getVoteCount(habits) {
+    return this.getHabits(habits).reduce((sum, habit) => sum + Identity.getVoteDays(habit).length, 0);
+  }
+
+  // Votes per week over the last `weeks` weeks, oldest first, with the
+  // running total at the end of each week
+  getVoteTally(habits, weeks = 12) {
+    const today = todayKey();
+    const days = this.getHabits(habits).flatMap(habit => Identity.getVoteDays(habit));
+    const start = addDays(today, -7 * weeks + 1);
+    let total = days.filter(day => day < start).length;
+
+    return Array.from({ length: weeks }, (_, index) => {
+      const from = addDays(start, 7 * index);
+      const to = addDays(from, 6);
+      const votes = days.filter(day => day >= from && day <= to).length;
+      total += votes;
+      return { from, to, votes, total };
+    });
+  }
+
+  // Linked habits by votes cast, most first, with their share of all votes
+  getContributions(habits) {
+    const contributions = this.getHabits(habits).map(habit => ({
+      habit,
+      votes: Identity.getVoteDays(habit).length
+    }));
+    const total = contributions.reduce((sum, { votes }) => sum + votes, 0);
+
+    return contributions
+      .map(contribution => ({ ...contribution, share: total > 0 ? (contribution.votes / total) * 100 : 0 }))
+      .sort((a, b) => b.votes - a.votes);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      statement: this.statement,
+      habitIds: this.habitIds,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from JSON, rejecting data that can't be an identity
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Identity data must be an object');
+    }
+    if (typeof data.statement !== 'string' || !data.statement.trim()) {
+      throw new TypeError(`Identity ${data.id || ''} has no statement`);
+    }
+    if (!Array.isArray(data.habitIds ?? [])) {
+      throw new TypeError(`Identity "${data.statement}" has malformed habits`);
+    }
+
+    return new Identity(data);
+  }
+}
+
+/**
+ * The habit store. Every mutation goes through it, is persisted through a
+ * storage adapter and recorded for undo, and is announced as a change event:
+ * - habit:added / habit:updated / habit:deleted { habit, restored }
+ * - habit:completed / habit:uncompleted { habit, date }
+ * - habit:slipped { habit, date } — a slip of an avoidance habit was logged;
+ *   taking one back is habit:uncompleted
+ * - habit:updated also carries { status, previous } when the habit was
+ *   paused, archived or reactivated
+ * - habit:resumed { habit } — a paused habit reached its resume day
+ * - settings:updated { settings }
+ * - habits:replaced — the whole collection was swapped, e.g. after recovery
+ *   or an import
+ * - habits:synced { upserts, deletes } — changes made on another device
+ * - routine:added / routine:updated / routine:deleted { routine }
+ * - contract:signed / contract:ended { contract }
+ * - contract:breached { contract, habit, breaches } — missed periods just logged
+ * - identity:added / identity:updated / identity:deleted { identity }
+ * `restored` is true when the change comes from undo/redo. Routines,
+ * contracts and identities are stored with the categories and settings and
+ * aren't recorded for undo.
+ *
+ * Loading is async: wait for `ready` before reading habits. Without an
+ * explicit adapter the tracker picks one (IndexedDB where available).
+ */
+export class HabitTracker extends ChangeEmitter {
+  constructor({ storage = null } = {}) {
+    super();
+    this.habits = new Map();
+    this.routines = new Map();
+    this.contracts = new Map();
+    this.identities = new Map();
+    this.categories = new Set(DEFAULT_CATEGORIES);
+    // Set when stored data couldn't be loaded: { message }
+    this.loadError = null;
+    // Set when unreadable data couldn't be set aside, so nothing may be
+    // written next to it until the user restores or starts fresh
+    this.writesBlocked = false;
+    this.settings = {
+      dayStartHour: 0, // hour a new day begins, for logging after midnight
+      reminders: { ...DEFAULT_REMINDER_SETTINGS },
+      syncUrl: '' // sync server, empty when not syncing
+    };
+    this.storage = storage;
+    this.history = new HabitHistory(this);
+
+    // Writes queue up behind the initial load and run one at a time
+    this.ready = this.loadFromStorage();
+    this.pendingWrite = this.ready;
+  }
+
+  // Add new habit
+  addHabit(habitData) {
+    const habit = new Habit(habitData);
+    this.habits.set(habit.id, habit);
+    this.history.record(`Created "${habit.name}"`, habit.id, null);
+    this.saveHabit(habit);
+    this.emit('habit:added', { habit, restored: false });
+    return habit;
+  }
+
+  // Get habit by ID
+  getHabit(id) {
+    return this.habits.get(id);
+  }
+
+  // Get all habits
+  getAllHabits() {
+    return Array.from(this.habits.values());
+  }
+
+  // Get active habits
+  getActiveHabits() {
+    return this.getAllHabits().filter(habit => habit.isActive);
+  }
+
+  // Get habits by category
+  getHabitsByCategory(category) {
+    return this.getAllHabits().filter(habit => habit.category === category);
+  }
+
+  // Complete habit
+  completeHabit(id, date = new Date(), amount = 1, level = null) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.complete(date, amount, level)) {
+      this.history.record(`Logged "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:completed', { habit, date: toDateKey(date) });
+      return true;
+    }
+    return false;
+  }
+
+  // Log a slip of an avoidance habit
+  logSlip(id, date = new Date()) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.logSlip(date)) {
+      this.history.record(`Logged a slip of "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:slipped', { habit, date: toDateKey(date) });
+      return true;
+    }
+    return false;
+  }
+
+  // Log the day at a level of the habit's ladder: records the level of a
+  // day already logged, or logs it at that level
+  logHabitLevel(id, level, date = new Date()) {
+    const habit = this.getHabit(id);
+    if (!habit || habit.levels.length === 0) {
+      return false;
+    }
+    if (!habit.getCompletion(date)) {
+      return this.completeHabit(id, date, 1, level);
+    }
+
+    const before = this.history.snapshot(id);
+    if (!habit.setCompletionLevel(date, level)) {
+      return false;
+    }
+    this.history.record(`Logged "${habit.name}" at level ${habit.getLevelForDate(date)}`, id, before);
+    this.saveHabit(habit);
+    this.emit('habit:updated', { habit, restored: false });
+    return true;
+  }
+
+  // Step a habit up or down its ladder
+  setHabitLevel(id, level) {
+    const habit = this.getHabit(id);
+    if (!habit) {
+      return null;
+    }
+
+    const before = this.history.snapshot(id);
+    habit.setLevel(level);
+    this.history.record(`Moved "${habit.name}" to level ${habit.difficulty}`, id, before);
+    this.saveHabit(habit);
+    this.emit('habit:updated', { habit, restored: false });
+    return habit;
+  }
+
+  // Keep practicing the current level; suggestions wait for a new window
+  dismissLevelSuggestion(id) {
+    const habit = this.getHabit(id);
+    if (!habit) return;
+
+    habit.levelReviewedAt = new Date();
+    this.saveHabit(habit);
+  }
+
+  // Take back one log of a multi-count habit
+  decrementHabit(id, date = new Date()) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.decrement(date)) {
+      this.history.record(`Removed a log of "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:uncompleted', { habit, date: toDateKey(date) });
+      return true;
+    }
+    return false;
+  }
+
+  // Update habit fields
+  updateHabit(id, patch) {
+    const habit = this.getHabit(id);
+    if (!habit) {
+      return null;
+    }
+
+    const before = this.history.snapshot(id);
+    habit.update(patch);
+    this.history.record(`Edited "${habit.name}"`, id, before);
+    this.saveHabit(habit);
+    this.emit('habit:updated', { habit, restored: false });
+    return habit;
+  }
+
+  // Pause, archive or reactivate a habit; its history is kept either way
+  setHabitStatus(id, status, { resumeOn = null } = {}) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    const previous = habit?.status;
+    if (!habit || !habit.setStatus(status, { resumeOn })) {
+      return false;
+    }
+
+    const verb = status === 'paused' ? 'Paused'
+      : status === 'archived' ? 'Archived'
+        : previous === 'archived' ? 'Restored' : 'Resumed';
+    this.history.record(`${verb} "${habit.name}"`, id, before);
+    this.saveHabit(habit);
+    this.emit('habit:updated', { habit, restored: false, status, previous });
+    return true;
+  }
+
+  // Reactivate paused habits whose resume day has come
+  resumeDueHabits(today = todayKey()) {
+    const due = this.getAllHabits().filter(habit => habit.isPaused() && habit.resumeOn && habit.resumeOn <= today);
+
+    due.forEach(habit => {
+      habit.setStatus('active');
+      this.saveHabit(habit);
+      this.emit('habit:resumed', { habit });
+    });
+    return due;
+  }
+
+  // Spend one of a habit's monthly grace days on a missed period
+  useGraceDay(id, date) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.useGraceDay(date)) {
+      this.history.record(`Used a grace day on "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:updated', { habit, restored: false });
+      return true;
+    }
+    return false;
+  }
+
+  returnGraceDay(id, date) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.returnGraceDay(date)) {
+      this.history.record(`Took back a grace day on "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:updated', { habit, restored: false });
+      return true;
+    }
+    return false;
+  }
+
+  // Leave sick or vacation days out of a habit's streak and completion rate
+  addHabitPause(id, pause) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    const added = habit ? habit.addPause(pause) : null;
+    if (added) {
+      this.history.record(`Added ${added.reason} days to "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:updated', { habit, restored: false });
+    }
+    return added;
+  }
+
+  removeHabitPause(id, index) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.removePause(index)) {
+      this.history.record(`Removed a pause of "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:updated', { habit, restored: false });
+      return true;
+    }
+    return false;
+  }
+
+  // Remove a day's completion, e.g. one logged by mistake
+  uncompleteHabit(id, date = new Date()) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    if (habit && habit.uncomplete(date)) {
+      this.history.record(`Removed a day of "${habit.name}"`, id, before);
+      this.saveHabit(habit);
+      this.emit('habit:uncompleted', { habit, date: toDateKey(date) });
+      return true;
+    }
+    return false;
+  }
+
+  // Delete habit
+  deleteHabit(id) {
+    const habit = this.getHabit(id);
+    const before = this.history.snapshot(id);
+    const deleted = this.habits.delete(id);
+    if (deleted) {
+      this.history.record(`Deleted "${habit.name}"`, id, before);
+      this.removeStoredHabit(id);
+      this.emit('habit:deleted', { habit, restored: false });
+    }
+    return deleted;
+  }
+
+  // Put a habit back to a recorded snapshot; a null snapshot removes it.
+  // Used by undo/redo, so it is not itself recorded.
+  restoreHabit(id, snapshot) {
+    const existing = this.getHabit(id);
+
+    if (snapshot) {
+      // Copy the snapshot so later edits to the habit can't rewrite history
+      const habit = Habit.fromJSON(JSON.parse(JSON.stringify(snapshot)));
+      habit.updateStreak();
+      this.habits.set(id, habit);
+      this.saveHabit(habit);
+      this.emit(existing ? 'habit:updated' : 'habit:added', { habit, restored: true });
+    } else if (existing) {
+      this.habits.delete(id);
+      this.removeStoredHabit(id);
+      this.emit('habit:deleted', { habit: existing, restored: true });
+    }
+  }
+
+  // Undo the last habit mutation; returns the undone history entry or null
+  undo() {
+    return this.history.undo();
+  }
+
+  // Redo the last undone habit mutation
+  redo() {
+    return this.history.redo();
+  }
+
+  // Run `fn`, undoing the habit mutations it makes as one step
+  groupChanges(label, fn) {
+    return this.history.group(label, fn);
+  }
+
+  // Get today's habits: those whose schedule makes them due today
+  getTodaysHabits() {
+    return this.getActiveHabits().filter(habit => habit.isDueToday());
+  }
+
+  // Add a routine stacking existing habits
+  addRoutine(routineData) {
+    const routine = new Routine(routineData);
+    this.routines.set(routine.id, routine);
+    this.saveMeta();
+    this.emit('routine:added', { routine });
+    return routine;
+  }
+
+  getRoutine(id) {
+    return this.routines.get(id);
+  }
+
+  getAllRoutines() {
+    return Array.from(this.routines.values());
+  }
+
+  // Routines with a step due today
+  getTodaysRoutines() {
+    return this.getAllRoutines().filter(routine => routine.isDueOn(this.habits));
+  }
+
+  // Rename a routine, change its anchor cue or reorder its steps
+  updateRoutine(id, patch) {
+    const routine = this.getRoutine(id);
+    if (!routine) {
+      return null;
+    }
+
+    routine.update(patch);
+    this.saveMeta();
+    this.emit('routine:updated', { routine });
+    return routine;
+  }
+
+  // Delete a routine; its habits are kept
+  deleteRoutine(id) {
+    const routine = this.getRoutine(id);
+    const deleted = this.routines.delete(id);
+    if (deleted) {
+      this.saveMeta();
+      this.emit('routine:deleted', { routine });
+    }
+    return deleted;
+  }
+
+  // Add an identity, optionally backed by existing habits
+  addIdentity(identityData) {
+    const identity = new Identity(identityData);
+    this.identities.set(identity.id, identity);
+    this.saveMeta();
+    this.emit('identity:added', { identity });
+    return identity;
+  }
+
+  getIdentity(id) {
+    return this.identities.get(id);
+  }
+
+  getAllIdentities() {
+    return Array.from(this.identities.values());
+  }
+
+  // Identities a habit votes for
+  getIdentitiesForHabit(habitId) {
+    return this.getAllIdentities().filter(identity => identity.habitIds.includes(habitId));
+  }
+
+  // Reword an identity or change the habits behind it
+  updateIdentity(id, patch) {
+    const identity = this.getIdentity(id);
+    if (!identity) {
+      return null;
+    }
+
+    identity.update(patch);
+    this.saveMeta();
+    this.emit('identity:updated', { identity });
+    return identity;
+  }
+
+  // Delete an identity; its habits and their history are kept
+  deleteIdentity(id) {
+    const identity = this.getIdentity(id);
+    const deleted = this.identities.delete(id);
+    if (deleted) {
+      this.saveMeta();
+      this.emit('identity:deleted', { identity });
+    }
+    return deleted;
+  }
+
+  // Get overall statistics
+  getOverallStats() {
+    const habits = this.getActiveHabits();
+    const todaysHabits = this.getTodaysHabits();
+    const totalHabits = todaysHabits.length;
+    const completedToday = todaysHabits.filter(h => h.isKeptToday()).length;
+    const totalStreaks = habits.reduce((sum, h) => sum + h.streak, 0);
+    const avgStreak = habits.length > 0 ? totalStreaks / habits.length : 0;
+
+    return {
+      totalHabits,
+      completedToday,
+      completionRateToday: totalHabits > 0 ? (completedToday / totalHabits) * 100 : 0,
+      averageStreak: avgStreak,
+      longestStreak: Math.max(...habits.map(h => h.longestStreak), 0)
+    };
+  }
+
+  // Sign a contract for a habit, replacing any contract in force for it
+  signContract(contractData) {
+    const current = this.getContractForHabit(contractData.habitId);
+    if (current) this.endContract(current.id);
+
+    const contract = new Contract(contractData);
+    this.contracts.set(contract.id, contract);
+    this.saveMeta();
+    this.emit('contract:signed', { contract });
+    return contract;
+  }
+
+  // The contract in force for a habit, if any
+  getContractForHabit(habitId) {
+    return this.getAllContracts().find(contract => contract.habitId === habitId && contract.isActive());
+  }
+
+  getAllContracts() {
+    return Array.from(this.contracts.values());
+  }
+
+  // End a contract; it is kept, with its breaches, as a record
+  endContract(id) {
+    const contract = this.contracts.get(id);
+    if (!contract || !contract.isActive()) {
+      return false;
+    }
+
+    contract.endedAt = new Date();
+    this.saveMeta();
+    this.emit('contract:ended', { contract });
+    return true;
+  }
+
+  // Log breaches of contracts in force whose habits missed a period
+  checkContracts(today = todayKey()) {
+    const breached = [];
+
+    this.getAllContracts()
+      .filter(contract => contract.isActive())
+      .forEach(contract => {
+        const habit = this.getHabit(contract.habitId);
+        if (!habit || !habit.isActive) return;
+
+        const breaches = contract.recordBreaches(habit, today);
+        if (breaches.length > 0) breached.push({ contract, habit, breaches });
+      });
+
+    if (breached.length > 0) {
+      this.saveMeta();
+      breached.forEach(breach => this.emit('contract:breached', breach));
+    }
+    return breached;
+  }
+
+  // Queue a storage write so writes land in the order they were made
+  enqueueWrite(write) {
+    if (this.writesBlocked) return this.pendingWrite;
+
+    this.pendingWrite = this.pendingWrite
+      .then(write)
+      .catch(error => console.error('Error saving habits:', error));
+    return this.pendingWrite;
+  }
+
+  // Resolves once every queued write has been stored
+  flush() {
+    return this.pendingWrite;
+  }
+
+  // Everything the tracker persists, in the stored schema
+  toStorageData() {
+    return {
+      version: SCHEMA_VERSION,
+      habits: Array.from(this.habits.entries()).map(([id, habit]) => [id, habit.toJSON()]),
+      categories: Array.from(this.categories),
+      routines: this.getAllRoutines().map(routine => routine.toJSON()),
+      contracts: this.getAllContracts().map(contract => contract.toJSON()),
+      identities: this.getAllIdentities().map(identity => identity.toJSON()),
+      settings: this.settings
+    };
+  }
+
+  // Persist the whole tracker
+  saveToStorage() {
+    return this.enqueueWrite(() => this.storage.save(this.toStorageData()));
+  }
+
+  // Persist a single habit
+  saveHabit(habit) {
+    return this.enqueueWrite(() => this.storage.upsertHabit(habit.toJSON()));
+  }
+
+  removeStoredHabit(id) {
+    return this.enqueueWrite(() => this.storage.deleteHabit(id));
+  }
+
+  // Persist categories, routines, contracts, identities and settings
+  saveMeta() {
+    return this.enqueueWrite(() => this.storage.saveMeta({
+      version: SCHEMA_VERSION,
+      categories: Array.from(this.categories),
+      routines: this.getAllRoutines().map(routine => routine.toJSON()),
+      contracts: this.getAllContracts().map(contract => contract.toJSON()),
+      identities: this.getAllIdentities().map(identity => identity.toJSON()),
+      settings: this.settings
+    }));
+  }
+
+  // Load from storage, migrating older schemas. If the data can't be read,
+  // the raw data is moved to a backup instead of being discarded, so habits
+  // added afterwards start from a clean store. If it can't be moved, writes
+  // are held until the user restores or starts fresh.
+  async loadFromStorage() {
+    let data = null;
+
+    try {
+      this.storage = this.storage || await createStorageAdapter();
+      data = await this.storage.load();
+      if (!data) {
+        await this.seedStorage();
+        return;
+      }
+
+      this.applyStoredData(migrate(data));
+
+      // Store older schemas in the current shape
+      if ((data.version || 0) < SCHEMA_VERSION) {
+        await this.storage.save(this.toStorageData());
+      }
+    } catch (error) {
+      console.error('Error loading habits from storage:', error);
+      this.habits = new Map();
+      this.loadError = { message: error.message };
+
+      const raw = error.raw ?? (data && JSON.stringify(data));
+      try {
+        if (raw) await this.storage.saveBackup(raw);
+        await this.storage.clear();
+      } catch (backupError) {
+        console.error('Error setting unreadable habits aside:', backupError);
+        this.writesBlocked = true;
+        return;
+      }
+      await this.seedStorage();
+    }
+  }
+
+  // Give an empty store the schema version before anything else is written.
+  // Incremental writes don't carry it, and a store without one is taken for
+  // unversioned data and migrated again on the next load.
+  async seedStorage() {
+    await this.storage.saveMeta({ version: SCHEMA_VERSION }).catch(error => {
+      console.error('Error saving habits:', error);
+    });
+  }
+
+  // Build habits, routines, contracts, identities, categories and settings
+  // from migrated data
+  applyStoredData(data, { skipInvalid = false } = {}) {
+    const habits = new Map();
+    const routines = new Map();
+    const contracts = new Map();
+    const identities = new Map();
+    let skipped = 0;
+
+    (data.habits || []).forEach(entry => {
+      try {
+        if (!Array.isArray(entry)) {
+          throw new TypeError('Habit entry is not an [id, habit] pair');
+        }
+        const [id, habitData] = entry;
+        habits.set(id, Habit.fromJSON(habitData));
+      } catch (error) {
+        if (!skipInvalid) throw error;
+        console.warn('Skipping unreadable habit:', error);
+        skipped++;
+      }
+    });
+
+    (data.routines || []).forEach(routineData => {
+      try {
+        const routine = Routine.fromJSON(routineData);
+        routines.set(routine.id, routine);
+      } catch (error) {
+        if (!skipInvalid) throw error;
+        console.warn('Skipping unreadable routine:', error);
+      }
+    });
+
+    (data.contracts || []).forEach(contractData => {
+      try {
+        const contract = Contract.fromJSON(contractData);
+        contracts.set(contract.id, contract);
+      } catch (error) {
+        if (!skipInvalid) throw error;
+        console.warn('Skipping unreadable contract:', error);
+      }
+    });
+
+    (data.identities || []).forEach(identityData => {
+      try {
+        const identity = Identity.fromJSON(identityData);
+        identities.set(identity.id, identity);
+      } catch (error) {
+        if (!skipInvalid) throw error;
+        console.warn('Skipping unreadable identity:', error);
+      }
+    });
+
+    this.habits = habits;
+    this.routines = routines;
+    this.contracts = contracts;
+    this.identities = identities;
+
+    if (data.categories) {
+      this.categories = new Set(data.categories);
+    }
+
+    if (data.settings) {
+      this.settings = { ...this.settings, ...data.settings };
+      this.settings.reminders = { ...DEFAULT_REMINDER_SETTINGS, ...data.settings.reminders };
+    }
+    this.settings.dayStartHour = applyDayStartHour(this.settings.dayStartHour);
+
+    // Stored streaks were computed on the last visit; bring them up to today
+    this.habits.forEach(habit => habit.updateStreak());
+
+    return { restored: habits.size, skipped };
+  }
+
+  // Raw data preserved by a failed load, if any
+  getStorageBackup() {
+    return this.storage.loadBackup();
+  }
+
+  // Salvage what can be read from the backup, skipping habits that are
+  // beyond repair. Habits, routines, contracts and identities added since
+  // the failed load are kept. Rejects if the backup isn't readable at all.
+  async restoreFromBackup() {
+    const raw = await this.getStorageBackup();
+    if (!raw) {
+      throw new Error('There is no backup to restore');
+    }
+
+    const added = [
+      [this.habits, 'habits'],
+      [this.routines, 'routines'],
+      [this.contracts, 'contracts'],
+      [this.identities, 'identities']
+    ];
+    const result = this.applyStoredData(migrate(JSON.parse(raw)), { skipInvalid: true });
+    added.forEach(([items, key]) => {
+      items.forEach((item, id) => {
+        if (!this[key].has(id)) this[key].set(id, item);
+      });
+    });
+
+    this.loadError = null;
+    this.writesBlocked = false;
+    this.history.clear();
+    this.saveToStorage();
+    this.emit('habits:replaced', {});
+    return result;
+  }
+
+  // Swap every habit, routine, contract and identity for imported ones
+  replaceHabits(habits, categories = [], { routines = [], contracts = [], identities = [] } = {}) {
+    this.habits = new Map(habits.map(habit => [habit.id, habit]));
+    this.routines = new Map(routines.map(routine => [routine.id, routine]));
+    this.contracts = new Map(contracts.map(contract => [contract.id, contract]));
+    this.identities = new Map(identities.map(identity => [identity.id, identity]));
+    this.categories = new Set([...DEFAULT_CATEGORIES, ...categories]);
+    this.finishImport();
+  }
+
+  // Add or overwrite the given habits, keeping all others. Imported
+  // routines, contracts and identities are added unless one with the same
+  // id exists.
+  importHabits(habits, categories = [], { routines = [], contracts = [], identities = [] } = {}) {
+    habits.forEach(habit => this.habits.set(habit.id, habit));
+    [
+      [routines, this.routines],
+      [contracts, this.contracts],
+      [identities, this.identities]
+    ].forEach(([imported, existing]) => {
+      imported
+        .filter(item => !existing.has(item.id))
+        .forEach(item => existing.set(item.id, item));
+    });
+    categories.forEach(category => this.categories.add(category));
+    this.finishImport();
+  }
+
+  // Imports aren't undoable: older snapshots would roll back merged data
+  finishImport() {
+    this.habits.forEach(habit => habit.updateStreak());
+    this.history.clear();
+    this.saveToStorage();
+    this.emit('habits:replaced', {});
+  }
+
+  // Apply habits changed on another device. Not recorded for undo, since
+  // the change wasn't made here; older entries for those habits are dropped.
+  applySyncedChanges({ upserts = [], deletes = [] }) {
+    upserts.forEach(habit => {
+      this.habits.set(habit.id, habit);
+      this.history.forget(habit.id);
+      this.saveHabit(habit);
+    });
+    deletes.forEach(id => {
+      this.habits.delete(id);
+      this.history.forget(id);
+      this.removeStoredHabit(id);
+    });
+    this.emit('habits:synced', { upserts, deletes });
+  }
+
+  // Forget a failed load and keep working with what's in memory; the backup
+  // stays in storage. Unreadable data still in place is replaced.
+  dismissLoadError() {
+    this.loadError = null;
+    if (this.writesBlocked) {
+      this.writesBlocked = false;
+      this.saveToStorage();
+    }
+  }
+
+  // Change the hour a new day begins and re-evaluate streaks against it
+  setDayStartHour(hour) {
+    this.settings.dayStartHour = applyDayStartHour(hour);
+    this.habits.forEach(habit => habit.updateStreak());
+    this.saveMeta();
+    this.emit('settings:updated', { settings: this.settings });
+  }
+
+  // Change how and when reminders are delivered
+  setReminderSettings(patch) {
+    const reminders = { ...this.settings.reminders, ...patch };
+    ['quietStart', 'quietEnd'].forEach(field => {
+      if (!TIME_PATTERN.test(reminders[field])) {
+        reminders[field] = DEFAULT_REMINDER_SETTINGS[field];
+      }
+    });
+    reminders.snoozeMinutes = Math.max(1, parseInt(reminders.snoozeMinutes) || DEFAULT_REMINDER_SETTINGS.snoozeMinutes);
+
+    this.settings.reminders = reminders;
+    this.saveMeta();
+    this.emit('settings:updated', { settings: this.settings });
+  }
+
+  // Sync with the server at `url`, or stop syncing when it's empty
+  setSyncUrl(url) {
+    this.settings.syncUrl = String(url || '').trim();
+    this.saveMeta();
+    this.emit('settings:updated', { settings: this.settings });
+  }
+
+  // Add custom category
+  addCategory(category) {
+    this.categories.add(category);
+    this.saveMeta();
   }
 
   // Get all categories
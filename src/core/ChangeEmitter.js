@@ -0,0 +1,40 @@
+/**
+ * Change Emitter
+ * Minimal typed event emitter the habit store uses to announce changes.
+ * Listeners receive a plain event object: { type, ...detail }. Listening to
+ * '*' receives every event.
+ */
+
+export class ChangeEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Subscribe to an event type; returns a function that unsubscribes
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, detail = {}) {
+    const event = { type, ...detail };
+
+    [type, '*'].forEach(key => {
+      // Copy so listeners can unsubscribe while being notified
+      Array.from(this.listeners.get(key) || []).forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in "${type}" listener:`, error);
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Date Keys
+ * Every day in the tracker is identified by a 'YYYY-MM-DD' key in the user's
+ * local calendar. Keys are fixed when a completion is logged, so streaks stay
+ * put across DST changes and when travelling between timezones; all calendar
+ * math afterwards runs on the keys themselves in UTC.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Hour (0-23) at which a new day begins, so a 1am check-in can count for the previous day
+let dayStartHour = 0;
+
+export function getDayStartHour() {
+  return dayStartHour;
+}
+
+export function setDayStartHour(hour) {
+  const parsed = parseInt(hour);
+  dayStartHour = parsed >= 0 && parsed <= 23 ? parsed : 0;
+  return dayStartHour;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatUTCDate(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+export function isDateKey(value) {
+  return typeof value === 'string' && DATE_KEY_PATTERN.test(value);
+}
+
+// Date key of the local day an instant belongs to; date keys pass through unchanged
+export function toDateKey(date = new Date()) {
+  if (isDateKey(date)) return date;
+
+  const instant = new Date(date);
+  // Shift on the local wall clock rather than by milliseconds, so DST days still start on time
+  const shifted = new Date(
+    instant.getFullYear(),
+    instant.getMonth(),
+    instant.getDate(),
+    instant.getHours() - dayStartHour,
+    instant.getMinutes()
+  );
+
+  return `${shifted.getFullYear()}-${pad(shifted.getMonth() + 1)}-${pad(shifted.getDate())}`;
+}
+
+export function todayKey() {
+  return toDateKey(new Date());
+}
+
+// An instant within the day a key names: now for today, midday (counted
+// from the day start) for any other day
+export function getInstantInDay(key) {
+  if (key === todayKey()) return new Date();
+
+  const date = parseDateKey(key);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), dayStartHour + 12);
+}
+
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatUTCDate(date);
+}
+
+export function addMonths(key, months) {
+  const date = parseDateKey(key);
+  date.setUTCMonth(date.getUTCMonth() + months, 1);
+  return formatUTCDate(date);
+}
+
+export function daysBetween(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / MS_PER_DAY);
+}
+
+// ISO weekday: 1 = Monday ... 7 = Sunday
+export function getIsoWeekday(key) {
+  return parseDateKey(key).getUTCDay() || 7;
+}
@@ -0,0 +1,172 @@
+/**
+ * Undo/Redo History
+ * Every HabitTracker mutation is recorded as the before/after values of the
+ * habit fields it changed (the whole habit for adds and deletions), so any of
+ * them can be reverted and replayed. Only those fields are put back, which
+ * leaves changes made outside the history, like an automatic resume, alone.
+ * Changes synced from another device drop the entries of the habits they
+ * touch instead. Mutations made inside `group()` form a single entry. The
+ * most recent entries are kept in localStorage so an accidental swipe can
+ * still be undone after a reload.
+ */
+
+const STORAGE_KEY = 'atomicHabitsHistory';
+const DEFAULT_LIMIT = 20;
+
+// The top-level fields that differ between two snapshots, as [before, after]
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changed = [{}, {}];
+  keys.forEach(key => {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+    changed[0][key] = before[key];
+    changed[1][key] = after[key];
+  });
+  return changed;
+}
+
+// Older entries held one whole-habit change each
+function normalizeEntry(entry) {
+  if (entry.changes) return entry;
+  const { habitId, before, after, ...rest } = entry;
+  return { ...rest, changes: [{ habitId, before, after, partial: false }] };
+}
+
+export class HabitHistory {
+  constructor(tracker, { limit = DEFAULT_LIMIT } = {}) {
+    this.tracker = tracker;
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroup = null;
+    this.load();
+  }
+
+  // Deep copy of a habit's stored form, or null if it doesn't exist
+  snapshot(habitId) {
+    const habit = this.tracker.getHabit(habitId);
+    return habit ? JSON.parse(JSON.stringify(habit.toJSON())) : null;
+  }
+
+  // Record a mutation, given the habit's snapshot from before it ran
+  record(label, habitId, before) {
+    const after = this.snapshot(habitId);
+    const partial = Boolean(before && after);
+    const [beforeFields, afterFields] = partial ? changedFields(before, after) : [before, after];
+    const change = { habitId, before: beforeFields, after: afterFields, partial };
+
+    if (this.openGroup) {
+      this.openGroup.changes.push(change);
+      return;
+    }
+    this.push({ label, changes: [change], timestamp: new Date() });
+  }
+
+  // Run `fn`, recording every mutation it makes as one entry
+  group(label, fn) {
+    if (this.openGroup) return fn();
+
+    const group = { label, changes: [], timestamp: new Date() };
+    this.openGroup = group;
+    try {
+      return fn();
+    } finally {
+      this.openGroup = null;
+      if (group.changes.length > 0) this.push(group);
+    }
+  }
+
+  // Add an entry; anything undone before it can no longer be redone
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.save();
+  }
+
+  // Drop every entry touching a habit that was changed elsewhere, since
+  // undoing them would roll that change back
+  forget(habitId) {
+    const touches = entry => entry.changes.some(change => change.habitId === habitId);
+    if (!this.undoStack.some(touches) && !this.redoStack.some(touches)) return;
+
+    this.undoStack = this.undoStack.filter(entry => !touches(entry));
+    this.redoStack = this.redoStack.filter(entry => !touches(entry));
+    this.save();
+  }
+
+  // Put one change's recorded side back: whole habits as they were, fields
+  // over the habit as it is now
+  apply(change, state) {
+    if (!change.partial) {
+      this.tracker.restoreHabit(change.habitId, state);
+      return;
+    }
+
+    const current = this.snapshot(change.habitId);
+    if (current) this.tracker.restoreHabit(change.habitId, { ...current, ...state });
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Revert the most recent mutation; returns its entry, or null if there is none
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    [...entry.changes].reverse().forEach(change => this.apply(change, change.before));
+    this.redoStack.push(entry);
+    this.save();
+    return entry;
+  }
+
+  // Replay the most recently undone mutation
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    entry.changes.forEach(change => this.apply(change, change.after));
+    this.undoStack.push(entry);
+    this.save();
+    return entry;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.save();
+  }
+
+  // Save to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        undo: this.undoStack.slice(-this.limit),
+        redo: this.redoStack.slice(-this.limit)
+      }));
+    } catch (error) {
+      console.error('Error saving undo history:', error);
+    }
+  }
+
+  // Load from localStorage
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      this.undoStack = (data.undo || []).map(normalizeEntry);
+      this.redoStack = (data.redo || []).map(normalizeEntry);
+    } catch (error) {
+      console.error('Error loading undo history:', error);
+      this.undoStack = [];
+      this.redoStack = [];
+    }
+  }
+}
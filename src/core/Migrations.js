@@ -0,0 +1,128 @@
+/**
+ * Storage Schema Migrations
+ * The persisted tracker blob carries a schema `version`. On load, every
+ * migration newer than the stored version runs in order, each upgrading the
+ * plain data by one version, before any Habit is built from it.
+ * To change the stored shape: bump SCHEMA_VERSION and append a migration.
+ */
+
+import { toDateKey } from './DateKeys.js';
+
+export const SCHEMA_VERSION = 4;
+
+export const DEFAULT_CATEGORIES = ['health', 'productivity', 'learning', 'social', 'creative', 'general'];
+
+// Collapse several entries for the same day into one, summing their counts
+// up to the habit's target
+function mergeSameDayCompletions(completions, targetCount) {
+  const byDate = new Map();
+
+  completions.forEach(completion => {
+    const existing = byDate.get(completion.date);
+    if (existing) {
+      existing.count = Math.min(existing.count + (completion.count || 1), targetCount);
+      existing.timestamp = completion.timestamp || existing.timestamp;
+    } else {
+      byDate.set(completion.date, { ...completion, count: completion.count || 1 });
+    }
+  });
+
+  return Array.from(byDate.values());
+}
+
+// Unversioned data keyed completions by the UTC date of their timestamp; only
+// entries that still follow that pattern are moved to the local day (after
+// dayStartHour). Any other date was chosen on purpose and is kept.
+function localDateKey(completion) {
+  const timestamp = new Date(completion.timestamp);
+  if (!completion.timestamp || Number.isNaN(timestamp.getTime())) return completion.date;
+  return completion.date === timestamp.toISOString().split('T')[0] ? toDateKey(timestamp) : completion.date;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Unversioned blob: add settings, explicit schedules and one completion per local day',
+    migrate(data) {
+      // Malformed entries are passed through for Habit.fromJSON to reject
+      const upgradeHabit = habit => {
+        const targetCount = habit.targetCount || 1;
+        return {
+          ...habit,
+          schedule: habit.schedule || { type: habit.frequency || 'daily' },
+          targetCount,
+          completions: Array.isArray(habit.completions)
+            ? mergeSameDayCompletions(habit.completions.map(completion => (
+              completion && typeof completion === 'object'
+                ? { ...completion, date: localDateKey(completion) }
+                : completion
+            )), targetCount)
+            : habit.completions ?? []
+        };
+      };
+
+      return {
+        ...data,
+        habits: (data.habits || []).map(entry =>
+          Array.isArray(entry) && entry[1] && typeof entry[1] === 'object'
+            ? [entry[0], upgradeHabit(entry[1])]
+            : entry
+        ),
+        categories: data.categories || DEFAULT_CATEGORIES,
+        settings: data.settings || {}
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Add routines (habit stacks)',
+    migrate(data) {
+      return {
+        ...data,
+        routines: Array.isArray(data.routines) ? data.routines : []
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Add habit contracts',
+    migrate(data) {
+      return {
+        ...data,
+        contracts: Array.isArray(data.contracts) ? data.contracts : []
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add identities',
+    migrate(data) {
+      return {
+        ...data,
+        identities: Array.isArray(data.identities) ? data.identities : []
+      };
+    }
+  }
+];
+
+// Upgrade stored data to the current schema; throws if it can't be read safely
+export function migrate(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Stored data is not an object');
+  }
+
+  const version = data.version || 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses schema version ${version}, newer than this app (${SCHEMA_VERSION})`);
+  }
+  if (data.habits !== undefined && !Array.isArray(data.habits)) {
+    throw new Error('Stored habits are not a list');
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((current, migration) => ({
+      ...migration.migrate(current),
+      version: migration.version
+    }), data);
+}
@@ -0,0 +1,197 @@
+/**
+ * Weekly Accountability Report
+ * A summary of the last seven days of a habit under contract, for sharing
+ * with accountability partners: which days were done (for a habit to
+ * break, which were clean), the completion rate and streak, breaches logged
+ * that week and the consequences agreed to.
+ * Comes as plain text for messages, or as a PNG card drawn on a canvas.
+ */
+
+import { toDateKey, todayKey, addDays, parseDateKey, getIsoWeekday } from '../core/DateKeys.js';
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_MARKS = { done: '✓', missed: '✗', open: '○', rest: '·' };
+
+const CARD_WIDTH = 640;
+const CARD_HEIGHT = 400;
+const CARD_COLORS = {
+  background: '#ffffff',
+  accent: '#667eea',
+  text: '#1e293b',
+  muted: '#64748b',
+  done: '#2ecc71',
+  missed: '#e74c3c',
+  open: '#cbd5e1'
+};
+
+function formatDay(key, options) {
+  return parseDateKey(key).toLocaleDateString([], { ...options, timeZone: 'UTC' });
+}
+
+// Report data for the seven days ending `today`
+export function buildWeeklyReport(habit, contract, { today = todayKey() } = {}) {
+  const from = addDays(today, -6);
+  const completedPeriods = habit.getCompletedPeriods();
+  const createdOn = toDateKey(habit.createdAt);
+
+  // A day not done is only missed once its period closed unmet; until then
+  // a weekly or monthly habit is still open. A slip spoils its day at once.
+  const days = Array.from({ length: 7 }, (_, index) => {
+    const date = addDays(from, index);
+    const period = habit.schedule.getPeriodStart(date);
+    const closesToday = habit.schedule.getNextPeriodStart(period) === addDays(date, 1);
+    let status;
+    if (date < createdOn) {
+      status = 'rest';
+    } else if (habit.isKeptToday(date)) {
+      status = 'done';
+    } else if (!habit.schedule.isScheduled(period) || completedPeriods.has(period) || habit.isExcusedPeriod(period)) {
+      status = 'rest';
+    } else {
+      status = habit.isAvoidance() || (closesToday && date < today) ? 'missed' : 'open';
+    }
+    return { date, weekday: WEEKDAY_NAMES[getIsoWeekday(date) - 1], status };
+  });
+
+  return {
+    habitName: habit.name,
+    avoidance: habit.isAvoidance(),
+    commitment: contract.commitment,
+    consequences: contract.consequences,
+    signature: contract.signature,
+    partners: contract.partners.map(partner => partner.name),
+    from,
+    to: today,
+    days,
+    daysDone: days.filter(day => day.status === 'done').length,
+    completionRate: Math.round(habit.getCompletionRate(7)),
+    streak: habit.streak,
+    breaches: contract.breaches.filter(breach => breach.period >= from && breach.period <= today)
+  };
+}
+
+function describeRange(report) {
+  return `${formatDay(report.from, { month: 'short', day: 'numeric' })} – ` +
+    formatDay(report.to, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function describeProgress(report) {
+  return report.avoidance
+    ? `Clean ${report.daysDone} of 7 days · ${report.completionRate}% · 🔥 ${report.streak} day${report.streak === 1 ? '' : 's'} clean`
+    : `Done ${report.daysDone} of 7 days · ${report.completionRate}% · 🔥 ${report.streak} streak`;
+}
+
+function describeBreaches(report) {
+  if (report.breaches.length === 0) return 'No breaches this week';
+  const periods = report.breaches.map(breach => formatDay(breach.period, { weekday: 'short', month: 'short', day: 'numeric' }));
+  return `${report.breaches.length} breach${report.breaches.length === 1 ? '' : 'es'}: ${periods.join(', ')}`;
+}
+
+// Plain-text report, e.g. for a chat message or email
+export function formatReportText(report) {
+  const lines = [
+    `📜 Habit contract: ${report.habitName}`,
+    describeRange(report),
+    '',
+    report.days.map(day => `${day.weekday} ${DAY_MARKS[day.status]}`).join('  '),
+    describeProgress(report),
+    describeBreaches(report)
+  ];
+
+  if (report.commitment) lines.push('', `Commitment: ${report.commitment}`);
+  if (report.consequences) lines.push(`Consequence of a breach: ${report.consequences}`);
+  if (report.signature) {
+    const witnesses = report.partners.length > 0 ? `, witnessed by ${report.partners.join(', ')}` : '';
+    lines.push(`Signed by ${report.signature}${witnesses}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Shorten text to fit a width, with an ellipsis
+function fitText(context, text, width) {
+  if (context.measureText(text).width <= width) return text;
+  let fitted = text;
+  while (fitted && context.measureText(`${fitted}…`).width > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+// Report card as a PNG image; resolves to a Blob
+export function renderReportPNG(report) {
+  const scale = 2; // sharp on high-density screens
+  const canvas = document.createElement('canvas');
+  canvas.width = CARD_WIDTH * scale;
+  canvas.height = CARD_HEIGHT * scale;
+
+  const context = canvas.getContext('2d');
+  context.scale(scale, scale);
+  const font = (weight, size) => `${weight} ${size}px Inter, -apple-system, sans-serif`;
+  const padding = 36;
+  const textWidth = CARD_WIDTH - padding * 2;
+
+  context.fillStyle = CARD_COLORS.background;
+  context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+  context.fillStyle = CARD_COLORS.accent;
+  context.fillRect(0, 0, CARD_WIDTH, 8);
+
+  context.textBaseline = 'alphabetic';
+  context.fillStyle = CARD_COLORS.muted;
+  context.font = font(600, 14);
+  context.fillText('HABIT CONTRACT · WEEKLY REPORT', padding, 52);
+
+  context.fillStyle = CARD_COLORS.text;
+  context.font = font(700, 28);
+  context.fillText(fitText(context, report.habitName, textWidth), padding, 90);
+
+  context.fillStyle = CARD_COLORS.muted;
+  context.font = font(400, 15);
+  context.fillText(describeRange(report), padding, 116);
+
+  // One circle per day, filled when done
+  const slot = textWidth / 7;
+  report.days.forEach((day, index) => {
+    const x = padding + slot * index + slot / 2;
+    context.beginPath();
+    context.arc(x, 170, 20, 0, Math.PI * 2);
+    if (day.status === 'rest') {
+      context.strokeStyle = CARD_COLORS.open;
+      context.setLineDash([4, 4]);
+      context.lineWidth = 2;
+      context.stroke();
+      context.setLineDash([]);
+    } else {
+      context.fillStyle = CARD_COLORS[day.status];
+      context.fill();
+    }
+
+    context.fillStyle = CARD_COLORS.muted;
+    context.font = font(500, 13);
+    context.textAlign = 'center';
+    context.fillText(day.weekday, x, 214);
+    context.textAlign = 'left';
+  });
+
+  context.fillStyle = CARD_COLORS.text;
+  context.font = font(600, 18);
+  context.fillText(describeProgress(report), padding, 262);
+
+  context.fillStyle = report.breaches.length > 0 ? CARD_COLORS.missed : CARD_COLORS.done;
+  context.font = font(500, 15);
+  context.fillText(fitText(context, describeBreaches(report), textWidth), padding, 290);
+
+  context.fillStyle = CARD_COLORS.muted;
+  context.font = font(400, 14);
+  if (report.consequences) {
+    context.fillText(fitText(context, `Consequence: ${report.consequences}`, textWidth), padding, 330);
+  }
+  if (report.signature) {
+    const witnesses = report.partners.length > 0 ? ` · witnessed by ${report.partners.join(', ')}` : '';
+    context.fillText(fitText(context, `Signed by ${report.signature}${witnesses}`, textWidth), padding, 356);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("The report card couldn't be drawn"))), 'image/png');
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * CSV Export
+ * Completion history in two spreadsheet-friendly shapes:
+ * - long: one row per logged day (habit, description, category, date, count, timestamp)
+ * - wide: one row per day and one column per habit, holding that day's count
+ * Both can be limited to a date range (inclusive date keys) and a category.
+ * Values are quoted per RFC 4180 when they contain commas, quotes or newlines.
+ * Text a spreadsheet would run as a formula gets a leading apostrophe.
+ */
+
+import { todayKey, addDays } from '../core/DateKeys.js';
+
+export const CSV_FORMATS = ['long', 'wide'];
+
+// Leading characters that make a spreadsheet treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value if a spreadsheet would otherwise split or misread it, and
+// defuse text that would run as a formula
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  // CRLF line endings, as spreadsheets expect
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function inRange(date, from, to) {
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+// Habits in the chosen category, in a stable order
+function selectHabits(tracker, category) {
+  return Array.from(tracker.habits.values())
+    .filter(habit => !category || habit.category === category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function longRows(habits, from, to) {
+  const rows = [['habit', 'description', 'category', 'date', 'count', 'timestamp']];
+
+  habits.forEach(habit => {
+    habit.completions
+      .filter(completion => inRange(completion.date, from, to))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach(completion => {
+        rows.push([
+          habit.name,
+          habit.description,
+          habit.category,
+          completion.date,
+          completion.count || 1,
+          completion.timestamp
+        ]);
+      });
+  });
+
+  return rows;
+}
+
+// Every day of the range, so gaps show up as empty cells. Without a start
+// date the range begins at the earliest logged day.
+function wideRows(habits, from, to) {
+  const counts = habits.map(habit => new Map(
+    habit.completions.map(completion => [completion.date, completion.count || 1])
+  ));
+
+  const end = to || todayKey();
+  const start = from || habits
+    .flatMap(habit => habit.completions.map(completion => completion.date))
+    .reduce((earliest, date) => (date < earliest ? date : earliest), end);
+
+  const rows = [['date', ...habits.map(habit => habit.name)]];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    rows.push([date, ...counts.map(byDate => byDate.get(date) ?? '')]);
+  }
+
+  return rows;
+}
+
+// Build the CSV text for the tracker's completion history
+export function exportCompletionsCSV(tracker, {
+  format = 'long',
+  from = null,
+  to = null,
+  category = null
+} = {}) {
+  if (!CSV_FORMATS.includes(format)) {
+    throw new Error(`Unknown CSV format "${format}"`);
+  }
+  if (from && to && from > to) {
+    throw new Error('The start date is after the end date');
+  }
+
+  const habits = selectHabits(tracker, category);
+  return toCsv(format === 'wide' ? wideRows(habits, from, to) : longRows(habits, from, to));
+}
@@ -0,0 +1,158 @@
+/**
+ * iCalendar Export
+ * Turns each active habit into a recurring VEVENT at a time the user picks,
+ * so habits show up in their calendar. The RRULE follows the habit's
+ * schedule; habits that may be done on any days of the week (timesPerWeek)
+ * get that many days spread over the week. The cue and response go in the
+ * description and a VALARM reminds at or before the event.
+ *
+ * UIDs are derived from habit ids, so importing a newer export updates the
+ * existing events instead of adding duplicates. Times are floating (no
+ * timezone), i.e. the picked time in whatever zone the calendar is in.
+ */
+
+import { todayKey, addDays, getIsoWeekday } from '../core/DateKeys.js';
+
+const PRODUCT_ID = '-//Atomic Habits//Habit Tracker//EN';
+const UID_DOMAIN = 'atomic-habits.app';
+const ICS_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_LINE_BYTES = 75;
+
+// Escape TEXT values (RFC 5545 3.3.11)
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets onto continuation lines starting with a space
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatLocalDateTime(key, time) {
+  return `${key.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function formatUTCDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Weekdays (ISO numbers) spread evenly over the week, e.g. 3 → Mon, Wed, Fri
+function spreadWeekdays(count) {
+  return Array.from({ length: count }, (_, i) => Math.floor((i * 7) / count) + 1);
+}
+
+// First day and recurrence rule for a schedule, starting from `today`
+export function getRecurrence(schedule, today = todayKey()) {
+  switch (schedule.type) {
+    case 'weekdays': {
+      let start = today;
+      while (!schedule.weekdays.includes(getIsoWeekday(start))) {
+        start = addDays(start, 1);
+      }
+      const days = schedule.weekdays.map(day => ICS_WEEKDAYS[day - 1]).join(',');
+      return { start, rule: `FREQ=WEEKLY;BYDAY=${days}` };
+    }
+    case 'timesPerWeek': {
+      const days = spreadWeekdays(schedule.timesPerWeek).map(day => ICS_WEEKDAYS[day - 1]).join(',');
+      return { start: schedule.getPeriodStart(today), rule: `FREQ=WEEKLY;BYDAY=${days}` };
+    }
+    case 'weekly':
+      return { start: schedule.getPeriodStart(today), rule: 'FREQ=WEEKLY' };
+    case 'monthly':
+      return { start: schedule.getPeriodStart(today), rule: 'FREQ=MONTHLY;BYMONTHDAY=1' };
+    case 'interval':
+      // Start on the current block so the series stays aligned with the anchor
+      return { start: schedule.getPeriodStart(today), rule: `FREQ=DAILY;INTERVAL=${schedule.interval}` };
+    default:
+      return { start: today, rule: 'FREQ=DAILY' };
+  }
+}
+
+function describeHabit(habit) {
+  const lines = [];
+  if (habit.cue) lines.push(`Cue: ${habit.cue}`);
+  if (habit.response) lines.push(`Response: ${habit.response}`);
+  if (habit.targetCount > 1) lines.push(`Goal: ${habit.targetCount} times`);
+  if (habit.description) lines.push('', habit.description);
+  return lines.join('\n');
+}
+
+function habitEvent(habit, { time, durationMinutes, alarmMinutesBefore, now }) {
+  const { start, rule } = getRecurrence(habit.schedule);
+  const alarmTrigger = alarmMinutesBefore > 0 ? `-PT${alarmMinutesBefore}M` : 'PT0M';
+  const description = describeHabit(habit);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${habit.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUTCDateTime(now)}`,
+    `LAST-MODIFIED:${formatUTCDateTime(habit.updatedAt)}`,
+    // Minutes since the epoch only grow, so an edit raises the sequence
+    // while staying within the 32-bit integers calendars expect
+    `SEQUENCE:${Math.floor(new Date(habit.updatedAt).getTime() / 60000)}`,
+    `DTSTART:${formatLocalDateTime(start, time)}`,
+    `DURATION:PT${durationMinutes}M`,
+    `RRULE:${rule}`,
+    `SUMMARY:${escapeIcsText(habit.name)}`,
+    ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+    `CATEGORIES:${escapeIcsText(habit.category)}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:${alarmTrigger}`,
+    `DESCRIPTION:${escapeIcsText(habit.cue || habit.name)}`,
+    'END:VALARM',
+    'END:VEVENT'
+  ];
+}
+
+// Build an .ics calendar for the tracker's active habits. Habits to break
+// are left out: an event would remind the user to do them. `time` is 'HH:MM'.
+export function exportHabitsICS(tracker, {
+  time = '08:00',
+  durationMinutes = 15,
+  alarmMinutesBefore = 0
+} = {}) {
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    throw new Error(`"${time}" isn't a valid time`);
+  }
+
+  const now = new Date();
+  const habits = Array.from(tracker.habits.values())
+    .filter(habit => habit.isActive && !habit.isAvoidance());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Atomic Habits',
+    ...habits.flatMap(habit => habitEvent(habit, { time, durationMinutes, alarmMinutesBefore, now })),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,215 @@
+/**
+ * JSON Export / Import
+ * An export is the stored tracker blob (schema version, habits with their
+ * completions, categories, routines, contracts, identities) tagged with the app name and export time, so an
+ * import can run it through the same migrations as data loaded from storage.
+ *
+ * Imports either replace every habit or merge into the current ones:
+ * - habits only on one side are kept as they are
+ * - completions of the same habit are unioned by day, keeping the higher count
+ * - fields edited differently on both sides are reported as conflicts; each
+ *   defaults to the side edited most recently and can be overridden
+ * - routines, contracts and identities are added unless one with the same id exists
+ */
+
+import { Habit, Routine, Contract, Identity, Schedule, EDITABLE_FIELDS, formatIntention, formatBundle, formatPause } from '../core/AtomicHabits.js';
+import { migrate } from '../core/Migrations.js';
+import { todayKey } from '../core/DateKeys.js';
+
+export const EXPORT_APP = 'atomic-habits';
+
+// Fields compared when merging a habit that exists on both sides
+const MERGE_FIELDS = [...EDITABLE_FIELDS, 'schedule', 'freezes', 'pauses', 'status'];
+
+// Fields that go along with a merged field's chosen side
+const FOLLOWING_FIELDS = { status: ['resumeOn', 'statusHistory'] };
+
+const FIELD_LABELS = {
+  intention: 'Implementation intention',
+  bundle: 'Temptation bundle',
+  targetCount: 'Times per day',
+  status: 'Status',
+  streakPolicy: 'Streak policy',
+  graceDays: 'Grace days per month',
+  freezes: 'Grace days used'
+};
+
+// Serialize the whole tracker for download
+export function exportTrackerJSON(tracker) {
+  const data = {
+    app: EXPORT_APP,
+    exportedAt: new Date().toISOString(),
+    ...tracker.toStorageData()
+  };
+  delete data.settings; // device preferences, not habit data
+  return JSON.stringify(data, null, 2);
+}
+
+export function getExportFilename(extension = 'json') {
+  return `atomic-habits-${todayKey()}.${extension}`;
+}
+
+// Read an export into Habit instances. Habits that fail validation are
+// skipped and reported; a file that isn't an export at all throws.
+export function parseTrackerJSON(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON");
+  }
+
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.habits)) {
+    throw new Error("This file doesn't contain any habits");
+  }
+
+  const data = migrate(raw);
+  const habits = [];
+  const errors = [];
+
+  data.habits.forEach(entry => {
+    try {
+      // Accept both stored [id, habit] pairs and bare habit objects
+      const habit = Habit.fromJSON(Array.isArray(entry) ? entry[1] : entry);
+      habit.recalculateStreaks();
+      habits.push(habit);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  // Routines, contracts and identities that can't be read are reported like habits
+  const readAll = (items, fromJSON) => items.flatMap(item => {
+    try {
+      return [fromJSON(item)];
+    } catch (error) {
+      errors.push(error.message);
+      return [];
+    }
+  });
+  const routines = readAll(data.routines, Routine.fromJSON);
+  const contracts = readAll(data.contracts, Contract.fromJSON);
+  const identities = readAll(data.identities, Identity.fromJSON);
+
+  return {
+    habits,
+    categories: Array.isArray(data.categories) ? data.categories : [],
+    routines,
+    contracts,
+    identities,
+    errors
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function fieldValue(habit, field) {
+  return field === 'schedule' ? habit.schedule.toJSON() : habit[field];
+}
+
+function describeField(field) {
+  return FIELD_LABELS[field] || field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+// Human-readable value for the conflict list
+function describeFieldValue(field, value) {
+  if (field === 'schedule') return Schedule.fromJSON(value).describe();
+  if (field === 'status') return value.charAt(0).toUpperCase() + value.slice(1);
+  if (field === 'intention') return formatIntention(value) || '(empty)';
+  if (field === 'bundle') return formatBundle(value) || '(empty)';
+  if (field === 'streakPolicy') return value === 'neverMissTwice' ? 'Never miss twice' : 'Strict';
+  if (field === 'pauses') return value.length > 0 ? value.map(formatPause).join('; ') : '(none)';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  if (value === '' || value === null || value === undefined) return '(empty)';
+  return String(value);
+}
+
+// Compare an import with the tracker without changing anything
+export function planMerge(tracker, imported) {
+  const added = [];
+  const merged = [];
+  const conflicts = [];
+
+  imported.habits.forEach(incoming => {
+    const local = tracker.habits.get(incoming.id);
+    if (!local) {
+      added.push(incoming);
+      return;
+    }
+
+    const incomingIsNewer = new Date(incoming.updatedAt) > new Date(local.updatedAt);
+    MERGE_FIELDS.forEach(field => {
+      const localValue = fieldValue(local, field);
+      const incomingValue = fieldValue(incoming, field);
+      if (sameValue(localValue, incomingValue)) return;
+
+      conflicts.push({
+        key: `${local.id}:${field}`,
+        habitId: local.id,
+        habitName: local.name,
+        field,
+        fieldLabel: describeField(field),
+        local: localValue,
+        incoming: incomingValue,
+        localLabel: describeFieldValue(field, localValue),
+        incomingLabel: describeFieldValue(field, incomingValue),
+        resolution: incomingIsNewer ? 'incoming' : 'local'
+      });
+    });
+
+    merged.push({ local, incoming });
+  });
+
+  return { added, merged, conflicts };
+}
+
+// Union completions by day, keeping the higher count for days on both sides
+function mergeCompletions(local, incoming) {
+  const byDate = new Map(local.map(completion => [completion.date, { ...completion }]));
+
+  incoming.forEach(completion => {
+    const existing = byDate.get(completion.date);
+    if (!existing || (completion.count || 1) > (existing.count || 1)) {
+      byDate.set(completion.date, { ...completion });
+    }
+  });
+
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Build the habits a merge produces. `resolutions` maps conflict keys to
+// 'local' or 'incoming' and overrides the plan's defaults.
+export function resolveMerge(plan, resolutions = {}) {
+  const chosen = new Map(plan.conflicts.map(conflict => [
+    conflict.key,
+    resolutions[conflict.key] || conflict.resolution
+  ]));
+
+  const merged = plan.merged.map(({ local, incoming }) => {
+    const data = local.toJSON();
+
+    MERGE_FIELDS.forEach(field => {
+      if (chosen.get(`${local.id}:${field}`) === 'incoming') {
+        data[field] = fieldValue(incoming, field);
+        (FOLLOWING_FIELDS[field] || []).forEach(following => {
+          data[following] = incoming[following];
+        });
+      }
+    });
+
+    data.completions = mergeCompletions(local.completions, incoming.completions);
+    data.longestStreak = Math.max(local.longestStreak, incoming.longestStreak);
+    data.createdAt = new Date(local.createdAt) < new Date(incoming.createdAt)
+      ? local.createdAt
+      : incoming.createdAt;
+
+    const habit = Habit.fromJSON(data);
+    habit.updatedAt = new Date();
+    habit.recalculateStreaks();
+    return habit;
+  });
+
+  return [...plan.added, ...merged];
+}
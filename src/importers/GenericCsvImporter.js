@@ -0,0 +1,100 @@
+/**
+ * Generic CSV Importer
+ * Reads "date,habit,value" rows as exported by HabitBull and most
+ * spreadsheets. A header row is optional; when present, columns are found by
+ * name (date / habit or name / value or count), otherwise taken in that order.
+ * Dates may be written YYYY-MM-DD or YYYY/MM/DD. Values on the same day add
+ * up; a missing value counts as 1 and zero or negative values are ignored.
+ */
+
+import { isDateKey } from '../core/DateKeys.js';
+
+const COLUMN_PATTERNS = {
+  date: /^(date|day)$/i,
+  habit: /^(habit|habit ?name|name)$/i,
+  value: /^(value|count|amount)$/i
+};
+
+function normalizeDate(value) {
+  const key = value.trim().replace(/\//g, '-')
+    .replace(/^(\d{4})-(\d{1,2})-(\d{1,2})$/, (match, year, month, day) =>
+      `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+  return isDateKey(key) ? key : null;
+}
+
+function findColumns(header) {
+  const columns = {};
+  Object.entries(COLUMN_PATTERNS).forEach(([column, pattern]) => {
+    columns[column] = header.findIndex(cell => pattern.test(cell.trim()));
+  });
+  return columns;
+}
+
+// The daily amount logged most often, taken as the habit's target
+function inferTargetCount(counts) {
+  const frequency = new Map();
+  counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+
+  let target = 1;
+  let seen = 0;
+  frequency.forEach((times, count) => {
+    if (times > seen || (times === seen && count > target)) {
+      target = count;
+      seen = times;
+    }
+  });
+  return Math.min(50, target);
+}
+
+export function isGenericCsvFile(rows) {
+  const header = rows[0] || [];
+  const columns = findColumns(header);
+  return (columns.date >= 0 && columns.habit >= 0) ||
+    (header.length >= 2 && normalizeDate(header[0]) !== null);
+}
+
+export function importGenericCsv(rows) {
+  const warnings = [];
+  let columns = findColumns(rows[0]);
+  let body = rows.slice(1);
+  let firstLine = 2;
+
+  if (columns.date < 0 || columns.habit < 0) {
+    columns = { date: 0, habit: 1, value: 2 };
+    body = rows;
+    firstLine = 1;
+  }
+
+  const byHabit = new Map();
+  body.forEach((row, index) => {
+    const date = normalizeDate(row[columns.date] || '');
+    const name = (row[columns.habit] || '').trim();
+    if (!date || !name) {
+      warnings.push(`Line ${index + firstLine}: skipped, needs a date and a habit name`);
+      return;
+    }
+
+    const raw = columns.value >= 0 ? (row[columns.value] || '').trim() : '';
+    const value = raw === '' ? 1 : Math.round(parseFloat(raw));
+    if (!(value > 0)) return;
+
+    if (!byHabit.has(name)) byHabit.set(name, new Map());
+    const days = byHabit.get(name);
+    days.set(date, (days.get(date) || 0) + value);
+  });
+
+  const drafts = Array.from(byHabit.entries()).map(([name, days]) => {
+    const targetCount = inferTargetCount(Array.from(days.values()));
+    return {
+      name,
+      description: '',
+      schedule: { type: 'daily' },
+      targetCount,
+      isActive: true,
+      completions: Array.from(days.entries())
+        .map(([date, count]) => ({ date, count: Math.min(count, targetCount) }))
+    };
+  });
+
+  return { source: 'CSV', drafts, warnings };
+}
@@ -0,0 +1,116 @@
+/**
+ * Loop Habit Tracker Importer
+ * Reads the CSV files from Loop's "Export as CSV" archive:
+ * - Habits.csv: one row per habit with its name, description, frequency
+ *   (numerator/denominator, or NumRepetitions/Interval in older versions),
+ *   numeric target and archived flag. Optional.
+ * - Checkmarks.csv: one row per date and one column per habit.
+ * Yes/no habits count only explicit checks (2); Loop's implicit checks,
+ * skips and unknowns are left out. Numeric habits store values × 1000.
+ */
+
+import { isDateKey } from '../core/DateKeys.js';
+
+const CHECKED_MANUALLY = 2;
+const NUMERIC_TYPE = '1';
+const NUMERIC_SCALE = 1000;
+
+export function isLoopHabitsFile(rows) {
+  const header = rows[0] || [];
+  return header[0] === 'Position' && header.includes('Name');
+}
+
+export function isLoopCheckmarksFile(rows) {
+  const header = rows[0] || [];
+  return header[0] === 'Date' && header.length > 1 && isDateKey(rows[1]?.[0]);
+}
+
+// Closest schedule to "numerator times every denominator days"
+export function scheduleFromLoopFrequency(numerator, denominator) {
+  const times = Math.max(1, parseInt(numerator) || 1);
+  const days = Math.max(1, parseInt(denominator) || 1);
+
+  if (times >= days) return { type: 'daily' };
+  if (days === 7) return times === 1 ? { type: 'weekly' } : { type: 'timesPerWeek', timesPerWeek: times };
+  if (times === 1 && days >= 28 && days <= 31) return { type: 'monthly' };
+  return { type: 'interval', interval: Math.max(2, Math.round(days / times)) };
+}
+
+// Habit details from Habits.csv, keyed by name
+function readHabitDetails(rows) {
+  const header = rows[0];
+  const column = name => header.indexOf(name);
+  const get = (row, ...names) => {
+    const index = names.map(column).find(i => i >= 0);
+    return index === undefined ? '' : (row[index] ?? '');
+  };
+
+  const details = new Map();
+  rows.slice(1).forEach(row => {
+    const name = get(row, 'Name').trim();
+    if (!name) return;
+
+    const numeric = get(row, 'Type') === NUMERIC_TYPE;
+    details.set(name, {
+      name,
+      description: get(row, 'Description') || get(row, 'Question'),
+      schedule: scheduleFromLoopFrequency(
+        get(row, 'FrequencyNumerator', 'NumRepetitions'),
+        get(row, 'FrequencyDenominator', 'Interval')
+      ),
+      numeric,
+      targetCount: numeric ? Math.max(1, Math.round(parseFloat(get(row, 'Target Value')) || 1)) : 1,
+      isActive: get(row, 'Archived?').toLowerCase() !== 'true'
+    });
+  });
+
+  return details;
+}
+
+// Turn Loop files (already split into rows) into habit drafts
+export function importLoopHabits({ habitRows = null, checkmarkRows }) {
+  const details = habitRows ? readHabitDetails(habitRows) : new Map();
+  const warnings = [];
+  const names = checkmarkRows[0].slice(1).map(name => name.trim());
+
+  const drafts = names.map(name => ({
+    name,
+    description: '',
+    schedule: { type: 'daily' },
+    numeric: false,
+    targetCount: 1,
+    isActive: true,
+    ...details.get(name),
+    completions: []
+  }));
+
+  checkmarkRows.slice(1).forEach((row, index) => {
+    const date = row[0];
+    if (!isDateKey(date)) {
+      warnings.push(`Row ${index + 2}: "${date}" isn't a date`);
+      return;
+    }
+
+    drafts.forEach((draft, column) => {
+      const value = parseInt(row[column + 1]);
+      if (!(value > 0)) return;
+
+      if (draft.numeric) {
+        const count = Math.round(value / NUMERIC_SCALE);
+        if (count > 0) draft.completions.push({ date, count });
+      } else if (value === CHECKED_MANUALLY) {
+        draft.completions.push({ date, count: 1 });
+      }
+    });
+  });
+
+  if (!habitRows) {
+    warnings.push('Habits.csv wasn\'t included, so every habit is imported as daily');
+  }
+
+  return {
+    source: 'Loop Habit Tracker',
+    drafts: drafts.map(({ numeric, ...draft }) => draft),
+    warnings
+  };
+}
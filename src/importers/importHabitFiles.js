@@ -0,0 +1,78 @@
+/**
+ * Habit Importers
+ * Entry point for bringing history in from other trackers. Files are
+ * recognised by their contents rather than their names, turned into habit
+ * drafts (plain data the user can review and assign categories to), and
+ * only become Habit instances once the user commits the import.
+ */
+
+import { Habit } from '../core/AtomicHabits.js';
+import { parseDateKey } from '../core/DateKeys.js';
+import { parseCsv } from './parseCsv.js';
+import { isLoopHabitsFile, isLoopCheckmarksFile, importLoopHabits } from './LoopHabitImporter.js';
+import { isGenericCsvFile, importGenericCsv } from './GenericCsvImporter.js';
+
+// Read the chosen files into drafts. `files` are { name, text } pairs; Loop
+// exports need Checkmarks.csv and may include Habits.csv alongside it.
+export function readHabitFiles(files) {
+  const parsed = files.map(file => ({ name: file.name, rows: parseCsv(file.text) }))
+    .filter(file => file.rows.length > 0);
+
+  const loopHabits = parsed.find(file => isLoopHabitsFile(file.rows));
+  // A "Date,Habit,Value" header would pass for Loop's too
+  const loopCheckmarks = parsed.find(file =>
+    isLoopCheckmarksFile(file.rows) && !isGenericCsvFile(file.rows));
+
+  if (loopCheckmarks) {
+    return importLoopHabits({
+      habitRows: loopHabits?.rows || null,
+      checkmarkRows: loopCheckmarks.rows
+    });
+  }
+  if (loopHabits) {
+    throw new Error('Choose Checkmarks.csv together with Habits.csv to import from Loop');
+  }
+
+  const generic = parsed.filter(file => isGenericCsvFile(file.rows));
+  if (generic.length === 0) {
+    throw new Error("These files don't look like a habit export");
+  }
+
+  const results = generic.map(file => importGenericCsv(file.rows));
+  return {
+    source: 'CSV',
+    drafts: results.flatMap(result => result.drafts),
+    warnings: results.flatMap(result => result.warnings)
+  };
+}
+
+// Noon local time on a date key, so the day survives any day-start offset
+function localNoon(key) {
+  const date = parseDateKey(key);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 12);
+}
+
+// Build the habit a draft describes, starting on its first logged day
+export function createHabitFromDraft(draft, { category = 'general' } = {}) {
+  const completions = [...draft.completions].sort((a, b) => a.date.localeCompare(b.date));
+  const firstDay = completions[0]?.date;
+  const createdAt = firstDay ? localNoon(firstDay) : new Date();
+
+  const habit = new Habit({
+    name: draft.name,
+    description: draft.description,
+    category,
+    schedule: { ...draft.schedule, anchor: firstDay || null },
+    targetCount: draft.targetCount,
+    isActive: draft.isActive,
+    completions: completions.map(({ date, count }) => ({
+      date,
+      timestamp: localNoon(date),
+      count
+    })),
+    createdAt
+  });
+
+  habit.updateStreak();
+  return habit;
+}
@@ -0,0 +1,52 @@
+/**
+ * CSV Parsing
+ * Splits RFC 4180 text into rows of strings: quoted fields may hold commas,
+ * doubled quotes and line breaks; CRLF and LF line endings are both accepted.
+ * Blank lines are dropped.
+ */
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+
+  // Strip a byte order mark left by spreadsheet exports
+  const source = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
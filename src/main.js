@@ -5,23 +5,33 @@
 
 import './style.css'
 import { HabitTrackingInterface } from './HabitTrackingInterface.js'
+import { HabitTracker } from './core/AtomicHabits.js'
+import { registerServiceWorker } from './registerServiceWorker.js'
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-  // Create the main interface
-  const habitTracker = new HabitTrackingInterface();
+document.addEventListener('DOMContentLoaded', async () => {
+  const habitTracker = new HabitTracker();
+  await habitTracker.ready;
 
-  // Add some demo habits if none exist
-  if (habitTracker.habitTracker.getAllHabits().length === 0) {
-    addDemoHabits(habitTracker.habitTracker);
+  // Add some demo habits if none exist (and none are waiting to be recovered)
+  if (habitTracker.getAllHabits().length === 0 && !habitTracker.loadError) {
+    addDemoHabits(habitTracker);
+    // Seeding isn't something the user should be able to undo
+    habitTracker.history.clear();
   }
 
-  // Add service worker for offline support (if available)
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('/sw.js').catch(() => {
-      // Service worker registration failed, but app still works
-    });
-  }
+  // Create the main interface
+  const app = new HabitTrackingInterface(habitTracker);
+
+  // Offline support, and a prompt when a new version is ready
+  registerServiceWorker({
+    onUpdateReady: (activate) => {
+      app.showSuccessMessage('A new version is ready', {
+        label: 'Reload',
+        onClick: activate
+      }, { persist: true });
+    }
+  });
 });
 
 // Add demo habits for first-time users
@@ -0,0 +1,261 @@
+/**
+ * Reminder Scheduler
+ * Prompts the user at each habit's reminder times ("Make it Obvious").
+ * While the app is open it checks every half minute and delivers due
+ * reminders itself: as an in-app toast when the page is visible, as a system
+ * notification otherwise. For when the app is closed, the reminders still to
+ * come are handed to the service worker (src/sw.js, built by the plugin in
+ * vite.config.js), which delivers them on periodic background sync where the
+ * browser supports it.
+ *
+ * A reminder is skipped once its habit is completed for the day, during the
+ * daily quiet hours, and when it was missed by more than a few minutes.
+ * Habits to break never remind: that would prompt the thing being avoided.
+ * Fired reminders and snoozes are kept in localStorage for the current day so
+ * a reload doesn't repeat them.
+ */
+
+import { todayKey, addDays, parseDateKey } from '../core/DateKeys.js';
+
+const STATE_KEY = 'atomicHabitsReminders';
+const CHECK_INTERVAL_MS = 30 * 1000;
+const GRACE_MINUTES = 15; // reminders missed by longer, e.g. while asleep, are dropped
+const MS_PER_MINUTE = 60 * 1000;
+
+export const REMINDER_SYNC_TAG = 'habit-reminders';
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Whether an 'HH:MM' time falls in the quiet window, which may span midnight
+export function isQuietTime(time, { quietStart, quietEnd }) {
+  const minutes = minutesOf(time);
+  const start = minutesOf(quietStart);
+  const end = minutesOf(quietEnd);
+
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// The instant a reminder time falls at on a given day
+function reminderInstant(dateKey, time) {
+  const day = parseDateKey(dateKey);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+}
+
+// Notification content, shared with the service worker
+function describeReminder(habit, at) {
+  return {
+    habitId: habit.id,
+    title: habit.name,
+    body: habit.cue || habit.response || 'Time for your habit',
+    at: at.getTime()
+  };
+}
+
+export class ReminderScheduler {
+  constructor(tracker, { onReminder }) {
+    this.tracker = tracker;
+    this.onReminder = onReminder;
+    this.timer = null;
+    this.unsubscribe = null;
+    this.state = this.loadState();
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+  }
+
+  get settings() {
+    return this.tracker.settings.reminders;
+  }
+
+  static isSupported() {
+    return 'Notification' in window;
+  }
+
+  // Ask for permission to notify; resolves true once granted
+  static async requestPermission() {
+    if (!ReminderScheduler.isSupported()) return false;
+    if (Notification.permission === 'granted') return true;
+    return (await Notification.requestPermission()) === 'granted';
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.check();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+
+    // Completions, edits and setting changes change what's left to remind about
+    this.unsubscribe = this.tracker.on('*', () => this.syncServiceWorker());
+    navigator.serviceWorker?.addEventListener('message', this.handleWorkerMessage);
+    this.syncServiceWorker();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    navigator.serviceWorker?.removeEventListener('message', this.handleWorkerMessage);
+  }
+
+  loadState() {
+    try {
+      const state = JSON.parse(localStorage.getItem(STATE_KEY));
+      if (state && state.date === todayKey()) return state;
+    } catch (error) {
+      console.warn('Discarding unreadable reminder state:', error);
+    }
+    return { date: todayKey(), fired: [], snoozed: {} };
+  }
+
+  saveState() {
+    localStorage.setItem(STATE_KEY, JSON.stringify(this.state));
+  }
+
+  // Deliver reminders that have come due: scheduled times passed within the
+  // grace period, and snoozes that ran out. Returns what was delivered.
+  check(now = new Date()) {
+    if (!this.settings.enabled) return [];
+
+    if (this.state.date !== todayKey()) {
+      this.state = { date: todayKey(), fired: [], snoozed: {} };
+    }
+
+    const time = formatTime(now);
+    const quiet = isQuietTime(time, this.settings);
+    const due = [];
+
+    this.tracker.getTodaysHabits().forEach(habit => {
+      if (habit.isAvoidance() || habit.isCompletedToday()) return;
+
+      habit.reminders.forEach(reminderTime => {
+        const key = `${habit.id}@${reminderTime}`;
+        const minutesLate = minutesOf(time) - minutesOf(reminderTime);
+        if (minutesLate < 0 || this.state.fired.includes(key)) return;
+
+        this.state.fired.push(key);
+        if (minutesLate <= GRACE_MINUTES && !quiet) {
+          due.push({ habit, time: reminderTime, snoozed: false });
+        }
+      });
+
+      const snoozedUntil = this.state.snoozed[habit.id];
+      if (snoozedUntil && snoozedUntil <= now.getTime()) {
+        delete this.state.snoozed[habit.id];
+        if (!quiet) due.push({ habit, time, snoozed: true });
+      }
+    });
+
+    this.saveState();
+    due.forEach(reminder => this.deliver(reminder));
+    return due;
+  }
+
+  deliver(reminder) {
+    if (document.visibilityState === 'visible') {
+      this.onReminder(reminder);
+    } else {
+      this.showNotification(reminder.habit);
+    }
+  }
+
+  // System notification; through the service worker when there is one, as
+  // only its notifications can carry a snooze action
+  async showNotification(habit) {
+    if (!ReminderScheduler.isSupported() || Notification.permission !== 'granted') return;
+
+    const { title, body, habitId } = describeReminder(habit, new Date());
+    const options = { body, tag: `reminder:${habitId}`, icon: '/vite.svg', data: { habitId, title, body } };
+
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      if (registration) {
+        await registration.showNotification(title, {
+          ...options,
+          actions: [{ action: 'snooze', title: `Snooze ${this.settings.snoozeMinutes} min` }]
+        });
+      } else {
+        new Notification(title, options);
+      }
+    } catch (error) {
+      console.error('Error showing reminder:', error);
+    }
+  }
+
+  // Remind again after the snooze interval
+  snooze(habitId) {
+    this.state.snoozed[habitId] = Date.now() + this.settings.snoozeMinutes * MS_PER_MINUTE;
+    this.saveState();
+    this.syncServiceWorker();
+  }
+
+  // Reminders still to come today and tomorrow, for delivery while the app is closed
+  getUpcomingReminders(now = new Date()) {
+    const today = todayKey();
+    const upcoming = [];
+
+    [today, addDays(today, 1)].forEach(date => {
+      this.tracker.getActiveHabits().forEach(habit => {
+        if (habit.isAvoidance() || !habit.isDueToday(date) || habit.isCompletedToday(date)) return;
+
+        habit.reminders.forEach(time => {
+          const at = reminderInstant(date, time);
+          if (at > now && !isQuietTime(time, this.settings)) {
+            upcoming.push(describeReminder(habit, at));
+          }
+        });
+      });
+    });
+
+    Object.entries(this.state.snoozed).forEach(([habitId, until]) => {
+      const habit = this.tracker.habits.get(habitId);
+      if (habit && !habit.isCompletedToday() && until > now.getTime()) {
+        upcoming.push(describeReminder(habit, new Date(until)));
+      }
+    });
+
+    return upcoming.sort((a, b) => a.at - b.at);
+  }
+
+  // Hand the upcoming reminders to the service worker, or clear them there
+  // when reminders are off
+  async syncServiceWorker() {
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      if (!registration?.active) return;
+
+      const enabled = this.settings.enabled &&
+        ReminderScheduler.isSupported() && Notification.permission === 'granted';
+
+      registration.active.postMessage({
+        type: 'reminders:schedule',
+        reminders: enabled ? this.getUpcomingReminders() : [],
+        snoozeMinutes: this.settings.snoozeMinutes
+      });
+
+      if (enabled && registration.periodicSync) {
+        await registration.periodicSync.register(REMINDER_SYNC_TAG, {
+          minInterval: GRACE_MINUTES * MS_PER_MINUTE
+        });
+      }
+    } catch (error) {
+      // Background delivery is best effort; in-app reminders still work
+      console.warn('Could not schedule background reminders:', error);
+    }
+  }
+
+  handleWorkerMessage(event) {
+    if (event.data?.type === 'reminder:snooze') {
+      this.snooze(event.data.habitId);
+    }
+  }
+}
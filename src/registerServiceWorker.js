@@ -0,0 +1,44 @@
+/**
+ * Service Worker Registration
+ * Registers /sw.js (built from src/sw.js) and watches for new versions. A
+ * new version installs in the background and waits; `onUpdateReady` gets a
+ * function that activates it and reloads the page into it.
+ */
+
+export function registerServiceWorker({ onUpdateReady }) {
+  if (!('serviceWorker' in navigator)) return;
+
+  // Reload once the new version takes over, but not on the first install
+  let reloading = false;
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const offerUpdate = (worker) => {
+    onUpdateReady(() => worker.postMessage({ type: 'sw:activate' }));
+  };
+
+  navigator.serviceWorker.register('/sw.js')
+    .then(registration => {
+      // A version that finished installing while the app was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            offerUpdate(worker);
+          }
+        });
+      });
+    })
+    .catch(error => {
+      // The app still works without offline support
+      console.warn('Service worker registration failed:', error);
+    });
+}
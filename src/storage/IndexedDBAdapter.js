@@ -0,0 +1,135 @@
+/**
+ * IndexedDB Storage Adapter
+ * Stores each habit as its own record, so a completion rewrites one habit
+ * instead of the whole tracker, and isn't bound by localStorage's quota.
+ * Object stores:
+ * - habits: habit JSON keyed by id
+ * - meta: 'tracker' → { version, categories, routines, contracts, identities, settings }, 'backup' → raw text
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+const DB_NAME = 'atomicHabits';
+const DB_VERSION = 1;
+const META_KEY = 'tracker';
+const BACKUP_KEY = 'backup';
+
+// Resolve an IDBRequest
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class IndexedDBAdapter extends StorageAdapter {
+  constructor({ name = DB_NAME } = {}) {
+    super();
+    this.name = name;
+    this.db = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    const request = indexedDB.open(this.name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('habits')) {
+        db.createObjectStore('habits', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta');
+      }
+    };
+
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  // Run `work` in a transaction over the stores and resolve once it commits
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+    const stores = storeNames.map(name => tx.objectStore(name));
+    const result = work(...stores);
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  async hasData() {
+    const [habitCount, meta] = await Promise.all([
+      this.transaction(['habits'], 'readonly', habits => habits.count()),
+      this.transaction(['meta'], 'readonly', meta => meta.get(META_KEY))
+    ]);
+    return habitCount > 0 || Boolean(meta);
+  }
+
+  async load() {
+    let habitsRequest;
+    let metaRequest;
+
+    await this.transaction(['habits', 'meta'], 'readonly', (habits, meta) => {
+      habitsRequest = habits.getAll();
+      metaRequest = meta.get(META_KEY);
+    });
+
+    const habits = habitsRequest.result;
+    const meta = metaRequest.result;
+    if (!meta && habits.length === 0) return null;
+
+    return {
+      ...meta,
+      habits: habits.map(habit => [habit.id, habit])
+    };
+  }
+
+  async save({ habits = [], ...meta }) {
+    await this.transaction(['habits', 'meta'], 'readwrite', (habitStore, metaStore) => {
+      habitStore.clear();
+      habits.forEach(([id, habit]) => habitStore.put({ ...habit, id }));
+      metaStore.put(meta, META_KEY);
+    });
+  }
+
+  async upsertHabit(habit) {
+    await this.transaction(['habits'], 'readwrite', habits => habits.put(habit));
+  }
+
+  async deleteHabit(id) {
+    await this.transaction(['habits'], 'readwrite', habits => habits.delete(id));
+  }
+
+  async saveMeta(meta) {
+    await this.transaction(['meta'], 'readwrite', store => {
+      const request = store.get(META_KEY);
+      request.onsuccess = () => store.put({ ...request.result, ...meta }, META_KEY);
+    });
+  }
+
+  async saveBackup(raw) {
+    await this.transaction(['meta'], 'readwrite', meta => meta.put(raw, BACKUP_KEY));
+  }
+
+  async loadBackup() {
+    return this.transaction(['meta'], 'readonly', meta => meta.get(BACKUP_KEY));
+  }
+
+  // The backup lives in the meta store too, so it's left in place
+  async clear() {
+    await this.transaction(['habits', 'meta'], 'readwrite', (habits, meta) => {
+      habits.clear();
+      meta.delete(META_KEY);
+    });
+  }
+}
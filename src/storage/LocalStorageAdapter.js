@@ -0,0 +1,76 @@
+/**
+ * localStorage Storage Adapter
+ * Keeps the whole tracker in one JSON blob, the format the app has always
+ * used. localStorage can only write whole values, so per-habit writes still
+ * re-serialize the blob; prefer IndexedDBAdapter where it's available.
+ */
+
+import { StorageAdapter, StorageReadError } from './StorageAdapter.js';
+
+export const STORAGE_KEY = 'atomicHabitsTracker';
+export const BACKUP_KEY = 'atomicHabitsTracker.backup';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  constructor({ key = STORAGE_KEY, backupKey = BACKUP_KEY } = {}) {
+    super();
+    this.key = key;
+    this.backupKey = backupKey;
+  }
+
+  static isAvailable() {
+    return typeof localStorage !== 'undefined';
+  }
+
+  async load() {
+    const raw = localStorage.getItem(this.key);
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new StorageReadError(error.message, raw);
+    }
+  }
+
+  async save(data) {
+    localStorage.setItem(this.key, JSON.stringify(data));
+  }
+
+  // Stored data to build an incremental write on; throws StorageReadError
+  // rather than writing next to data that can't be read
+  async loadForUpdate() {
+    try {
+      return (await this.load()) || { habits: [] };
+    } catch (error) {
+      throw new StorageReadError(`Not writing over unreadable data: ${error.message}`, error.raw);
+    }
+  }
+
+  async upsertHabit(habit) {
+    const data = await this.loadForUpdate();
+    const habits = (data.habits || []).filter(([id]) => id !== habit.id);
+    await this.save({ ...data, habits: [...habits, [habit.id, habit]] });
+  }
+
+  async deleteHabit(id) {
+    const data = await this.loadForUpdate();
+    await this.save({ ...data, habits: (data.habits || []).filter(([habitId]) => habitId !== id) });
+  }
+
+  async saveMeta(meta) {
+    const data = await this.loadForUpdate();
+    await this.save({ ...data, ...meta });
+  }
+
+  async saveBackup(raw) {
+    localStorage.setItem(this.backupKey, raw);
+  }
+
+  async loadBackup() {
+    return localStorage.getItem(this.backupKey);
+  }
+
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+}
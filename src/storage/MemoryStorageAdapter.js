@@ -0,0 +1,68 @@
+/**
+ * In-Memory Storage Adapter
+ * Nothing survives a reload. Meant for tests and for running the tracker
+ * where no browser storage exists.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+// Stored values are copied in and out, as a real backend would
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor(initialData = null) {
+    super();
+    this.habits = new Map();
+    this.meta = null;
+    this.backup = null;
+
+    if (initialData) {
+      this.write(initialData);
+    }
+  }
+
+  write({ habits = [], ...meta }) {
+    this.habits = new Map(habits.map(([id, habit]) => [id, clone(habit)]));
+    this.meta = clone(meta);
+  }
+
+  async load() {
+    if (!this.meta && this.habits.size === 0) return null;
+
+    return {
+      ...clone(this.meta),
+      habits: Array.from(this.habits, ([id, habit]) => [id, clone(habit)])
+    };
+  }
+
+  async save(data) {
+    this.write(data);
+  }
+
+  async upsertHabit(habit) {
+    this.habits.set(habit.id, clone(habit));
+  }
+
+  async deleteHabit(id) {
+    this.habits.delete(id);
+  }
+
+  async saveMeta(meta) {
+    this.meta = { ...this.meta, ...clone(meta) };
+  }
+
+  async saveBackup(raw) {
+    this.backup = raw;
+  }
+
+  async loadBackup() {
+    return this.backup;
+  }
+
+  async clear() {
+    this.habits = new Map();
+    this.meta = null;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Storage Adapter Interface
+ * HabitTracker persists through an adapter so the backend can change without
+ * touching the model. Every method is async. Stored data has the shape
+ * { version, habits: [[id, habitJSON], ...], categories, routines, contracts, identities, settings }.
+ *
+ * - load(): the stored data, or null when nothing has been saved yet.
+ *   Throws StorageReadError (carrying the raw text) when it can't be parsed.
+ * - save(data): replace everything with `data`
+ * - upsertHabit(habitJSON) / deleteHabit(id): write a single habit
+ * - saveMeta({ version, categories, routines, contracts, identities, settings }): write everything but habits
+ * - saveBackup(raw) / loadBackup(): keep unreadable data aside for recovery
+ * - clear(): drop everything but the backup, so data that failed to load
+ *   doesn't linger under new writes
+ *
+ * Incremental writes (upsertHabit, deleteHabit, saveMeta) build on what's
+ * stored, so they must not run over data that failed to load: adapters that
+ * read stored data for them throw StorageReadError instead.
+ */
+
+export class StorageReadError extends Error {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'StorageReadError';
+    this.raw = raw;
+  }
+}
+
+export class StorageAdapter {
+  async load() {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  async save(data) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  async upsertHabit(habit) {
+    throw new Error(`${this.constructor.name} does not implement upsertHabit()`);
+  }
+
+  async deleteHabit(id) {
+    throw new Error(`${this.constructor.name} does not implement deleteHabit()`);
+  }
+
+  async saveMeta(meta) {
+    throw new Error(`${this.constructor.name} does not implement saveMeta()`);
+  }
+
+  async saveBackup(raw) {
+    throw new Error(`${this.constructor.name} does not implement saveBackup()`);
+  }
+
+  async loadBackup() {
+    throw new Error(`${this.constructor.name} does not implement loadBackup()`);
+  }
+
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Storage Backend Selection
+ * Picks IndexedDB when the browser has it, moving any data the app kept in
+ * localStorage over the first time; otherwise falls back to localStorage,
+ * and to memory where neither exists.
+ */
+
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { LocalStorageAdapter, STORAGE_KEY } from './LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+
+// The localStorage blob is kept under this key once copied, as a safety net
+const MIGRATED_KEY = 'atomicHabitsTracker.migrated';
+
+// Copy the legacy localStorage blob into IndexedDB. Returns false when the
+// blob can't be copied as-is, so the regular load-and-recover path handles it.
+async function migrateLocalStorage(indexedDBAdapter) {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return true;
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return false;
+  }
+
+  const habits = data?.habits ?? [];
+  const isCopyable = Array.isArray(habits) && habits.every(entry =>
+    Array.isArray(entry) && entry[1] && typeof entry[1] === 'object'
+  );
+  if (!isCopyable) return false;
+
+  await indexedDBAdapter.save(data);
+  localStorage.setItem(MIGRATED_KEY, raw);
+  localStorage.removeItem(STORAGE_KEY);
+  return true;
+}
+
+export async function createStorageAdapter() {
+  const hasLocalStorage = LocalStorageAdapter.isAvailable();
+
+  if (IndexedDBAdapter.isAvailable()) {
+    try {
+      const adapter = new IndexedDBAdapter();
+      await adapter.open();
+
+      if (await adapter.hasData() || !hasLocalStorage || await migrateLocalStorage(adapter)) {
+        return adapter;
+      }
+    } catch (error) {
+      // Private browsing modes can refuse IndexedDB; fall back below
+      console.warn('IndexedDB unavailable, using localStorage:', error);
+    }
+  }
+
+  return hasLocalStorage ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+}
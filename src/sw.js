@@ -0,0 +1,202 @@
+/**
+ * Service Worker
+ * Built to /sw.js by the plugin in vite.config.js, which replaces the
+ * precache manifest placeholder with the build's files and version.
+ *
+ * Offline: every file of the build is cached on install, in a cache named
+ * after the version, and served cache-first; page loads get the cached app
+ * shell. The Inter font is fetched and cached at install too, on a best
+ * effort basis. A new build installs next to the running one and waits;
+ * the app offers a reload, which posts `sw:activate`, and old caches are
+ * dropped once the new version activates.
+ *
+ * Reminders: the app posts the reminders still to come (see
+ * src/notifications/ReminderScheduler.js); they are kept in the Cache API,
+ * since workers have no localStorage, and shown when the browser wakes the
+ * worker for periodic background sync. While a window is open the app
+ * delivers reminders itself.
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST__ || { version: 'dev', urls: [] };
+const SHELL_CACHE_PREFIX = 'atomic-habits-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + PRECACHE.version;
+const FONT_CACHE = 'atomic-habits-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const FONT_STYLESHEET = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
+
+const REMINDER_CACHE = 'atomic-habits-reminders';
+const SCHEDULE_URL = '/__reminders__/schedule.json';
+const REMINDER_SYNC_TAG = 'habit-reminders';
+const LATE_LIMIT_MS = 60 * 60 * 1000; // background sync is coarse; drop reminders over an hour late
+const MS_PER_MINUTE = 60 * 1000;
+
+// Cache the font stylesheet and the font files it points to. Best effort:
+// the app falls back to system fonts without them.
+async function precacheFont() {
+  try {
+    const cache = await caches.open(FONT_CACHE);
+    const response = await fetch(FONT_STYLESHEET);
+    if (!response.ok) return;
+
+    const css = await response.clone().text();
+    const fontUrls = [...css.matchAll(/url\((https:[^)]+)\)/g)].map(match => match[1]);
+    await cache.put(FONT_STYLESHEET, response);
+    await cache.addAll(fontUrls);
+  } catch (error) {
+    console.warn('Could not cache the Inter font:', error);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    // Bypass the HTTP cache so a new version doesn't pick up old files
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(
+      PRECACHE.urls.map(url => new Request(url, { cache: 'reload' }))
+    )),
+    precacheFont()
+  ]));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Serve from cache, falling back to the network and storing what it returns
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+    return;
+  }
+
+  // Nothing is cached in dev
+  if (url.origin !== self.location.origin || PRECACHE.urls.length === 0) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('/', { cacheName: SHELL_CACHE })
+      .then(cached => cached || fetch(request)));
+    return;
+  }
+
+  if (PRECACHE.urls.includes(url.pathname)) {
+    event.respondWith(caches.match(url.pathname, { cacheName: SHELL_CACHE })
+      .then(cached => cached || fetch(request)));
+  }
+});
+
+async function readSchedule() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(SCHEDULE_URL);
+  return response ? response.json() : { reminders: [], snoozeMinutes: 10 };
+}
+
+async function writeSchedule(schedule) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(SCHEDULE_URL, new Response(JSON.stringify(schedule), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+function showReminder({ habitId, title, body }, snoozeMinutes) {
+  return self.registration.showNotification(title, {
+    body,
+    tag: `reminder:${habitId}`,
+    icon: '/vite.svg',
+    data: { habitId, title, body },
+    actions: [{ action: 'snooze', title: `Snooze ${snoozeMinutes} min` }]
+  });
+}
+
+function getWindows() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+}
+
+// Show reminders that have come due since the last wake-up
+async function deliverDueReminders() {
+  if ((await getWindows()).length > 0) return;
+
+  const schedule = await readSchedule();
+  const now = Date.now();
+  const due = schedule.reminders.filter(reminder => reminder.at <= now);
+  if (due.length === 0) return;
+
+  // One notification per habit, for its latest reminder
+  const latest = new Map();
+  due.filter(reminder => now - reminder.at <= LATE_LIMIT_MS)
+    .forEach(reminder => latest.set(reminder.habitId, reminder));
+  await Promise.all(Array.from(latest.values())
+    .map(reminder => showReminder(reminder, schedule.snoozeMinutes)));
+
+  schedule.reminders = schedule.reminders.filter(reminder => reminder.at > now);
+  await writeSchedule(schedule);
+}
+
+// An open app tracks snoozes itself; otherwise remember it for the next wake-up
+async function snoozeReminder(data) {
+  const windows = await getWindows();
+  if (windows.length > 0) {
+    windows.forEach(client => client.postMessage({ type: 'reminder:snooze', habitId: data.habitId }));
+    return;
+  }
+
+  const schedule = await readSchedule();
+  schedule.reminders.push({ ...data, at: Date.now() + schedule.snoozeMinutes * MS_PER_MINUTE });
+  await writeSchedule(schedule);
+}
+
+async function focusApp() {
+  const windows = await getWindows();
+  if (windows.length > 0) return windows[0].focus();
+  return self.clients.openWindow('/');
+}
+
+self.addEventListener('message', (event) => {
+  // The user chose to reload into the waiting version
+  if (event.data?.type === 'sw:activate') {
+    self.skipWaiting();
+    return;
+  }
+
+  if (event.data?.type === 'reminders:schedule') {
+    const { reminders, snoozeMinutes } = event.data;
+    event.waitUntil(writeSchedule({ reminders, snoozeMinutes }));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(deliverDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  if (event.action === 'snooze') {
+    event.waitUntil(snoozeReminder(event.notification.data));
+  } else {
+    event.waitUntil(focusApp());
+  }
+});
@@ -0,0 +1,236 @@
+/**
+ * Sync Operation Log
+ * Turns HabitTracker changes into operations other devices can replay:
+ * - habit:set { habitId, fields } — fields given new values
+ * - habit:delete { habitId }
+ * - completion:set { habitId, date, count, level, timestamp } — a count of 0 removes the day
+ * Operations are found by diffing each changed habit against what the log
+ * last knew of it, so edits, completions, undo/redo and imports are all
+ * covered, and an edit only carries the fields it changed.
+ *
+ * Every operation gets a stamp, `<ISO time>#<device id>`, unique and
+ * increasing per device; stamps order operations for last-writer-wins. The
+ * log keeps, per habit field / completion day / deletion, the stamp of the
+ * write the local data reflects, so older writes can be ignored.
+ *
+ * Operations wait in `pending` until the server has them. Everything is
+ * kept in localStorage.
+ */
+
+import { EDITABLE_FIELDS } from '../core/AtomicHabits.js';
+
+const STORAGE_KEY = 'atomicHabitsSyncLog';
+
+export const SYNC_FIELDS = [
+  ...EDITABLE_FIELDS, 'schedule', 'polarity', 'freezes', 'pauses',
+  'status', 'resumeOn', 'statusHistory', 'createdAt'
+];
+
+// Clock keys for a habit field, a completion day and a habit's deletion
+export function fieldKey(habitId, field) {
+  return `f:${habitId}:${field}`;
+}
+
+export function completionKey(habitId, date) {
+  return `c:${habitId}:${date}`;
+}
+
+export function deletionKey(habitId) {
+  return `d:${habitId}`;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+const NO_COMPLETION = { count: 0, level: null };
+
+// Logs kept before levels were synced hold bare counts
+function knownCompletion(value) {
+  return typeof value === 'number' ? { count: value, level: null } : value || NO_COMPLETION;
+}
+
+// Synced fields and completion counts and levels of a habit, as plain data
+function describeHabit(habit) {
+  const data = habit.toJSON();
+  const fields = {};
+  SYNC_FIELDS.forEach(field => {
+    fields[field] = data[field];
+  });
+
+  const completions = {};
+  data.completions.forEach(completion => {
+    completions[completion.date] = { count: completion.count || 1, level: completion.level ?? null };
+  });
+
+  return { fields, completions, data };
+}
+
+export class OperationLog {
+  constructor() {
+    this.state = this.load();
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (state && state.deviceId) return state;
+    } catch (error) {
+      console.warn('Discarding unreadable sync log:', error);
+    }
+
+    return this.createState('device_' + Math.random().toString(36).slice(2, 11));
+  }
+
+  createState(deviceId) {
+    return {
+      deviceId,
+      lastTime: 0,
+      seeded: false, // whether existing habits have been logged once
+      pending: [],
+      clocks: {},
+      known: {} // habitId → { fields, completions } as last logged or applied
+    };
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+  }
+
+  // Start over, e.g. for a different server: everything is logged afresh
+  reset() {
+    this.state = { ...this.createState(this.state.deviceId), lastTime: this.state.lastTime };
+    this.save();
+  }
+
+  get deviceId() {
+    return this.state.deviceId;
+  }
+
+  get pending() {
+    return this.state.pending;
+  }
+
+  // A new stamp, later than any this device issued before
+  stamp() {
+    this.state.lastTime = Math.max(Date.now(), this.state.lastTime + 1);
+    return `${new Date(this.state.lastTime).toISOString()}#${this.state.deviceId}`;
+  }
+
+  // Whether a write stamped `stamp` beats the one behind the local data
+  isNewer(key, stamp) {
+    const current = this.state.clocks[key];
+    return !current || stamp > current;
+  }
+
+  advance(key, stamp) {
+    if (this.isNewer(key, stamp)) this.state.clocks[key] = stamp;
+  }
+
+  // Latest stamp among the clocks starting with a prefix
+  latest(prefix) {
+    return Object.keys(this.state.clocks)
+      .filter(key => key.startsWith(prefix))
+      .reduce((latest, key) => (this.state.clocks[key] > latest ? this.state.clocks[key] : latest), '');
+  }
+
+  getDeletionStamp(habitId) {
+    return this.state.clocks[deletionKey(habitId)] || '';
+  }
+
+  getLatestFieldStamp(habitId) {
+    return this.latest(`f:${habitId}:`);
+  }
+
+  record(operation) {
+    const stamped = { ...operation, stamp: this.stamp() };
+    this.state.pending.push(stamped);
+    return stamped;
+  }
+
+  // Log whatever changed in a habit since it was last logged or applied
+  recordHabit(habit) {
+    const { fields, completions, data } = describeHabit(habit);
+    const known = this.state.known[habit.id] || { fields: {}, completions: {} };
+
+    const changed = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!sameValue(known.fields[field], value)) changed[field] = value;
+    });
+    if (Object.keys(changed).length > 0) {
+      const { stamp } = this.record({ type: 'habit:set', habitId: habit.id, fields: changed });
+      Object.keys(changed).forEach(field => this.advance(fieldKey(habit.id, field), stamp));
+    }
+
+    const dates = new Set([...Object.keys(known.completions), ...Object.keys(completions)]);
+    dates.forEach(date => {
+      const { count, level } = completions[date] || NO_COMPLETION;
+      if (sameValue(knownCompletion(known.completions[date]), { count, level })) return;
+
+      const timestamp = data.completions.find(completion => completion.date === date)?.timestamp || null;
+      const { stamp } = this.record({ type: 'completion:set', habitId: habit.id, date, count, level, timestamp });
+      this.advance(completionKey(habit.id, date), stamp);
+    });
+
+    this.state.known[habit.id] = { fields, completions };
+    this.save();
+  }
+
+  recordDeletion(habitId) {
+    if (!this.state.known[habitId]) return;
+
+    const { stamp } = this.record({ type: 'habit:delete', habitId });
+    this.advance(deletionKey(habitId), stamp);
+    delete this.state.known[habitId];
+    this.save();
+  }
+
+  // Log the whole collection, e.g. after an import replaced it
+  recordAll(habits) {
+    const ids = new Set(habits.map(habit => habit.id));
+    Object.keys(this.state.known)
+      .filter(id => !ids.has(id))
+      .forEach(id => this.recordDeletion(id));
+    habits.forEach(habit => this.recordHabit(habit));
+
+    this.state.seeded = true;
+    this.save();
+  }
+
+  // Remember a habit as changed by another device, so it isn't logged again
+  remember(habit) {
+    const { fields, completions } = describeHabit(habit);
+    this.state.known[habit.id] = { fields, completions };
+  }
+
+  forget(habitId) {
+    delete this.state.known[habitId];
+  }
+
+  // Drop operations the server has accepted
+  acknowledge(operations) {
+    const stamps = new Set(operations.map(operation => operation.stamp));
+    this.state.pending = this.state.pending.filter(operation => !stamps.has(operation.stamp));
+    this.save();
+  }
+
+  // Record tracker changes as they happen; returns an unsubscribe function
+  attach(tracker) {
+    if (!this.state.seeded) {
+      this.recordAll(tracker.getAllHabits());
+    }
+
+    const unsubscribers = [
+      tracker.on('habit:added', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:updated', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:completed', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:uncompleted', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:slipped', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:resumed', ({ habit }) => this.recordHabit(habit)),
+      tracker.on('habit:deleted', ({ habit }) => this.recordDeletion(habit.id)),
+      tracker.on('habits:replaced', () => this.recordAll(tracker.getAllHabits()))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
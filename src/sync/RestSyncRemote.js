@@ -0,0 +1,35 @@
+/**
+ * REST Sync Remote
+ * Talks to a sync server over HTTP (see server/mockSyncServer.js):
+ * - POST {url}/operations  { operations }  → { accepted, cursor }
+ * - GET  {url}/operations?since=<cursor>   → { operations, cursor }
+ * The cursor is opaque to the client; it is only handed back to the server.
+ */
+
+export class RestSyncRemote {
+  constructor(url) {
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(this.url + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    if (!response.ok) {
+      throw new Error(`Sync server responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  push(operations) {
+    return this.request('/operations', {
+      method: 'POST',
+      body: JSON.stringify({ operations })
+    });
+  }
+
+  pull(cursor) {
+    return this.request(`/operations?since=${encodeURIComponent(cursor ?? '')}`);
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Sync Engine
+ * Keeps habits in step across devices through a remote that stores every
+ * device's operations (see OperationLog) in one ordered list:
+ * - push: send the operations waiting in the log
+ * - pull: fetch the operations added since the last pull and replay them
+ * Replaying resolves conflicts per piece of data: each habit field is
+ * last-writer-wins, completions are the union of every device's days with
+ * the latest write winning for a day logged on several, and a deletion
+ * wins over edits made before it.
+ *
+ * A remote has a `url` naming the server, `push(operations)`, and
+ * `pull(cursor)` resolving to `{ operations, cursor }`; RestSyncRemote
+ * talks to an HTTP server. Switching servers starts the log over, so
+ * everything is uploaded to the new one.
+ *
+ * Syncs shortly after each local change, every few minutes, and when the
+ * browser comes back online; failed syncs are retried with backoff.
+ * Emits `status` { status: 'idle' | 'syncing' | 'offline' | 'error', lastSyncedAt, error }.
+ */
+
+import { Habit } from '../core/AtomicHabits.js';
+import { ChangeEmitter } from '../core/ChangeEmitter.js';
+import { OperationLog, fieldKey, completionKey, deletionKey } from './OperationLog.js';
+
+const STORAGE_KEY = 'atomicHabitsSync';
+const CHANGE_DELAY_MS = 2000;
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_DELAYS_MS = [5000, 15000, 60000, 5 * 60 * 1000];
+
+export class SyncEngine extends ChangeEmitter {
+  constructor(tracker, { remote, log = new OperationLog() }) {
+    super();
+    this.tracker = tracker;
+    this.remote = remote;
+    this.log = log;
+    this.state = this.load();
+    this.status = 'idle';
+    this.running = null;
+    this.retries = 0;
+    this.timers = { change: null, retry: null, poll: null };
+    this.unsubscribers = [];
+    this.handleOnline = () => this.sync();
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (state) return state;
+    } catch (error) {
+      console.warn('Discarding unreadable sync state:', error);
+    }
+    return { url: null, cursor: null, lastSyncedAt: null };
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+  }
+
+  start() {
+    if (this.state.url !== this.remote.url) {
+      this.log.reset();
+      this.state = { url: this.remote.url, cursor: null, lastSyncedAt: null };
+      this.save();
+    }
+
+    this.unsubscribers = [
+      this.log.attach(this.tracker),
+      // Anything but our own replay is a local change worth pushing soon
+      this.tracker.on('*', (event) => {
+        if (event.type !== 'habits:synced') this.scheduleSync(CHANGE_DELAY_MS);
+      })
+    ];
+    window.addEventListener('online', this.handleOnline);
+    this.timers.poll = setInterval(() => this.sync(), POLL_INTERVAL_MS);
+    return this.sync();
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    window.removeEventListener('online', this.handleOnline);
+    clearInterval(this.timers.poll);
+    clearTimeout(this.timers.change);
+    clearTimeout(this.timers.retry);
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.emit('status', { status, lastSyncedAt: this.state.lastSyncedAt, error });
+  }
+
+  scheduleSync(delay) {
+    clearTimeout(this.timers.change);
+    this.timers.change = setTimeout(() => this.sync(), delay);
+  }
+
+  // Push, then pull. Concurrent calls share the sync in progress.
+  sync() {
+    if (!this.running) {
+      this.running = this.runSync().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runSync() {
+    if (!navigator.onLine) {
+      this.setStatus('offline');
+      return;
+    }
+
+    clearTimeout(this.timers.retry);
+    this.setStatus('syncing');
+
+    try {
+      const pending = [...this.log.pending];
+      if (pending.length > 0) {
+        await this.remote.push(pending);
+        this.log.acknowledge(pending);
+      }
+
+      const { operations, cursor } = await this.remote.pull(this.state.cursor);
+      this.applyOperations(operations);
+
+      this.state.cursor = cursor;
+      this.state.lastSyncedAt = new Date().toISOString();
+      this.save();
+      this.retries = 0;
+      this.setStatus('idle');
+    } catch (error) {
+      console.warn('Sync failed:', error);
+      this.setStatus(navigator.onLine ? 'error' : 'offline', error);
+      this.scheduleRetry();
+    }
+  }
+
+  // Back off while the remote keeps failing; `online` retries right away
+  scheduleRetry() {
+    const delay = RETRY_DELAYS_MS[Math.min(this.retries, RETRY_DELAYS_MS.length - 1)];
+    this.retries++;
+    this.timers.retry = setTimeout(() => this.sync(), delay);
+  }
+
+  // Replay operations from the remote onto the tracker, skipping any older
+  // than what the local data already reflects
+  applyOperations(operations) {
+    const log = this.log;
+    const working = new Map(); // habitId → habit data being rebuilt, or null once deleted
+
+    const getData = (habitId) => {
+      if (!working.has(habitId)) {
+        working.set(habitId, this.tracker.getHabit(habitId)?.toJSON() ?? null);
+      }
+      return working.get(habitId);
+    };
+
+    operations.forEach(operation => {
+      const { habitId, stamp } = operation;
+
+      switch (operation.type) {
+        case 'habit:set': {
+          if (log.getDeletionStamp(habitId) >= stamp) break;
+
+          const fields = Object.entries(operation.fields)
+            .filter(([field]) => log.isNewer(fieldKey(habitId, field), stamp));
+          if (fields.length === 0) break;
+
+          // A habit created elsewhere, or brought back after a deletion
+          const data = getData(habitId) || { id: habitId, completions: [] };
+          fields.forEach(([field, value]) => {
+            data[field] = value;
+            log.advance(fieldKey(habitId, field), stamp);
+          });
+          working.set(habitId, data);
+          break;
+        }
+
+        case 'habit:delete': {
+          log.advance(deletionKey(habitId), stamp);
+          if (log.getLatestFieldStamp(habitId) < stamp) {
+            working.set(habitId, null);
+          }
+          break;
+        }
+
+        case 'completion:set': {
+          const data = getData(habitId);
+          const key = completionKey(habitId, operation.date);
+          if (!data || !log.isNewer(key, stamp)) break;
+
+          data.completions = data.completions.filter(completion => completion.date !== operation.date);
+          if (operation.count > 0) {
+            data.completions.push({
+              date: operation.date,
+              timestamp: operation.timestamp,
+              count: operation.count,
+              ...(operation.level != null && { level: operation.level })
+            });
+          }
+          log.advance(key, stamp);
+          break;
+        }
+
+        default:
+          console.warn('Skipping unknown sync operation:', operation.type);
+      }
+    });
+
+    const upserts = [];
+    const deletes = [];
+
+    working.forEach((data, habitId) => {
+      if (!data) {
+        if (this.tracker.getHabit(habitId)) deletes.push(habitId);
+        log.forget(habitId);
+        return;
+      }
+
+      try {
+        const habit = Habit.fromJSON(data);
+        habit.recalculateStreaks();
+        upserts.push(habit);
+        log.remember(habit);
+      } catch (error) {
+        console.warn('Skipping unreadable synced habit:', error);
+      }
+    });
+
+    log.save();
+    if (upserts.length > 0 || deletes.length > 0) {
+      this.tracker.applySyncedChanges({ upserts, deletes });
+    }
+  }
+}
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit } from '../src/core/AtomicHabits.js';
+import { toDateKey } from '../src/core/DateKeys.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+function avoidance(fields = {}) {
+  return new Habit({ name: 'Snacking', polarity: 'break', createdAt: noonOn(daysAgo(10)), ...fields });
+}
+
+describe('habits to break', () => {
+  it('is judged every day, once, with no versions or reminders', () => {
+    const habit = avoidance({
+      schedule: { type: 'weekdays', weekdays: [1] },
+      targetCount: 3,
+      levels: ['One', 'Two'],
+      reminders: ['15:00']
+    });
+
+    assert.equal(habit.schedule.type, 'daily');
+    assert.equal(habit.targetCount, 1);
+    assert.deepEqual(habit.levels, []);
+    assert.deepEqual(habit.reminders, []);
+  });
+
+  it('falls back to building for an unknown polarity', () => {
+    assert.equal(new Habit({ name: 'Read', polarity: 'quit' }).isAvoidance(), false);
+  });
+
+  it('counts clean days and restarts on a slip', () => {
+    const habit = avoidance();
+    habit.updateStreak();
+    assert.equal(habit.streak, 11);
+
+    habit.logSlip(noonOn(daysAgo(3)));
+    assert.equal(habit.streak, 3);
+    assert.equal(habit.longestStreak, 7);
+    assert.equal(habit.isKeptToday(daysAgo(3)), false);
+    assert.equal(habit.isKeptToday(daysAgo(2)), true);
+  });
+
+  it('counts clean days over a long history without a lookup per day', () => {
+    const habit = avoidance({ createdAt: noonOn(daysAgo(3 * 365)) });
+    for (let offset = 1; offset <= 3 * 365; offset += 3) {
+      habit.completions.push({ date: daysAgo(offset), count: 1 });
+    }
+    habit.getCompletion = () => assert.fail('looked up a single day');
+
+    assert.equal(habit.getCleanDays().size, 3 * 365 + 1 - 365);
+  });
+
+  it('counts every slip of a day', () => {
+    const habit = avoidance();
+    habit.logSlip(daysAgo(1));
+    habit.logSlip(daysAgo(1));
+
+    assert.equal(habit.getCountForDate(daysAgo(1)), 2);
+    assert.equal(habit.getSlipAnalytics().totalSlips, 2);
+  });
+
+  it('stamps a backfilled slip with a time on that day', () => {
+    const habit = avoidance();
+    habit.logSlip(daysAgo(3));
+
+    const [slip] = habit.completions;
+    assert.equal(toDateKey(slip.timestamp), daysAgo(3));
+    assert.equal(toDateKey(habit.getSlipAnalytics().lastSlipAt), daysAgo(3));
+  });
+
+  it('only logs slips of habits to break', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    assert.equal(tracker.logSlip(habit.id), false);
+    assert.equal(habit.completions.length, 0);
+  });
+
+  it('undoes a slip and keeps slips across a reload', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Snacking', polarity: 'break', createdAt: noonOn(daysAgo(10)) });
+    tracker.logSlip(habit.id, daysAgo(2));
+    tracker.logSlip(habit.id, daysAgo(1));
+    tracker.undo();
+    assert.equal(tracker.getHabit(habit.id).hasSlipped(daysAgo(1)), false);
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.equal(reloaded.isAvoidance(), true);
+    assert.equal(reloaded.hasSlipped(daysAgo(2)), true);
+    assert.equal(reloaded.streak, 2);
+  });
+});
+
+describe('slip analytics', () => {
+  it('counts days since the last slip, or since creation without any', () => {
+    const habit = avoidance();
+    assert.equal(habit.getSlipAnalytics().daysSinceLastSlip, 10);
+    assert.equal(habit.getSlipAnalytics().lastSlipAt, null);
+
+    habit.logSlip(daysAgo(4));
+    assert.equal(habit.getSlipAnalytics().daysSinceLastSlip, 4);
+  });
+
+  it('compares recent weeks to earlier ones', () => {
+    const habit = avoidance({ createdAt: noonOn(daysAgo(60)) });
+    [50, 45, 40, 30].forEach(offset => habit.logSlip(daysAgo(offset)));
+
+    const { weekly, trend } = habit.getSlipAnalytics();
+    assert.equal(weekly.length, 8);
+    assert.equal(weekly.reduce((sum, week) => sum + week.count, 0), 4);
+    assert.equal(trend, 'fewer');
+
+    [5, 4, 3, 2, 1].forEach(offset => habit.logSlip(daysAgo(offset)));
+    assert.equal(habit.getSlipAnalytics().trend, 'more');
+  });
+
+  it('judges the inverted laws as free text', () => {
+    const habit = avoidance({ cue: 'Keep snacks out of sight in the pantry', craving: 'Ugly' });
+    const { laws } = habit.getLawCompleteness();
+    assert.equal(laws.cue, 'strong');
+    assert.equal(laws.craving, 'weak');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toDateKey, setDayStartHour } from '../src/core/DateKeys.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+describe('backfilling from the calendar', () => {
+  it('logs past days and counts them towards the streak', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read', createdAt: noonOn(daysAgo(10)) });
+
+    tracker.completeHabit(habit.id, daysAgo(2));
+    tracker.completeHabit(habit.id, daysAgo(1));
+    assert.deepEqual(habit.completions.map(completion => completion.date), [daysAgo(2), daysAgo(1)]);
+    assert.equal(habit.streak, 2);
+  });
+
+  it('removes a logged day', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(3));
+
+    assert.equal(tracker.uncompleteHabit(habit.id, daysAgo(3)), true);
+    assert.equal(habit.completions.length, 0);
+    assert.equal(tracker.uncompleteHabit(habit.id, daysAgo(3)), false);
+  });
+
+  it('keeps backfilled days across a reload', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(2));
+    tracker.completeHabit(habit.id, daysAgo(1));
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.deepEqual(reloaded.completions.map(completion => completion.date), [daysAgo(2), daysAgo(1)]);
+    assert.equal(reloaded.streak, 2);
+  });
+
+  it('stamps a backfilled day with a time on that day', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(3));
+
+    const [completion] = habit.completions;
+    assert.equal(toDateKey(completion.timestamp), daysAgo(3));
+  });
+
+  it('keeps the stamp on the day when the day starts late', async () => {
+    const tracker = await createTracker();
+    tracker.setDayStartHour(23);
+    try {
+      const habit = tracker.addHabit({ name: 'Read' });
+      tracker.completeHabit(habit.id, daysAgo(3));
+      assert.equal(toDateKey(habit.completions[0].timestamp), daysAgo(3));
+    } finally {
+      setDayStartHour(0);
+    }
+  });
+});
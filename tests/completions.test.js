@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit } from '../src/core/AtomicHabits.js';
+import { daysAgo, noonOn } from './helpers.js';
+
+describe('multi-count completions', () => {
+  it('only counts a day once its target is reached', () => {
+    const habit = new Habit({ name: 'Water', targetCount: 3, createdAt: noonOn(daysAgo(10)) });
+    habit.complete(daysAgo(1), 2);
+    assert.equal(habit.getCountForDate(daysAgo(1)), 2);
+    assert.equal(habit.isCompletedToday(daysAgo(1)), false);
+    assert.equal(habit.streak, 0);
+
+    habit.complete(daysAgo(1));
+    assert.equal(habit.isCompletedToday(daysAgo(1)), true);
+    assert.equal(habit.streak, 1);
+    assert.equal(habit.complete(daysAgo(1)), false);
+  });
+
+  it('caps a day at its target', () => {
+    const habit = new Habit({ name: 'Water', targetCount: 3 });
+    habit.complete(daysAgo(0), 5);
+    assert.equal(habit.getCountForDate(daysAgo(0)), 3);
+  });
+
+  it('takes logs back and drops the day at zero', () => {
+    const habit = new Habit({ name: 'Water', targetCount: 3 });
+    habit.complete(daysAgo(0), 2);
+
+    assert.equal(habit.decrement(daysAgo(0)), true);
+    assert.equal(habit.getCountForDate(daysAgo(0)), 1);
+    habit.decrement(daysAgo(0));
+    assert.equal(habit.completions.length, 0);
+    assert.equal(habit.decrement(daysAgo(0)), false);
+  });
+
+  it('counts days short of their target as missed in the rate', () => {
+    const habit = new Habit({ name: 'Water', targetCount: 2, createdAt: noonOn(daysAgo(10)) });
+    habit.complete(daysAgo(2), 2);
+    habit.complete(daysAgo(1), 1);
+    assert.equal(habit.getCompletionRate(3), 50);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildWeeklyReport, formatReportText } from '../src/data/AccountabilityReport.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+async function trackerWithContract() {
+  const tracker = await createTracker();
+  const habit = tracker.addHabit({ name: 'Run', createdAt: noonOn(daysAgo(10)) });
+  const contract = tracker.signContract({
+    habitId: habit.id,
+    commitment: 'I will run every day',
+    consequences: 'I pay Sam $20',
+    partners: [{ name: ' Sam ', contact: 'sam@example.com' }, { name: '', contact: 'nobody' }],
+    signature: 'Alex',
+    signedAt: noonOn(daysAgo(5))
+  });
+  return { tracker, habit, contract };
+}
+
+describe('habit contracts', () => {
+  it('keeps named partners only', async () => {
+    const { contract } = await trackerWithContract();
+    assert.deepEqual(contract.partners, [{ name: 'Sam', contact: 'sam@example.com' }]);
+  });
+
+  it('logs missed days once the grace day has passed, and only once', async () => {
+    const { tracker, habit, contract } = await trackerWithContract();
+    tracker.completeHabit(habit.id, daysAgo(4));
+    tracker.completeHabit(habit.id, daysAgo(2));
+
+    const [breach] = tracker.checkContracts();
+    assert.equal(breach.contract, contract);
+    assert.deepEqual(breach.breaches.map(({ period }) => period), [daysAgo(5), daysAgo(3)]);
+
+    assert.deepEqual(tracker.checkContracts(), []);
+    assert.equal(contract.breaches.length, 2);
+  });
+
+  it('replaces the contract in force when a new one is signed', async () => {
+    const { tracker, habit, contract } = await trackerWithContract();
+    const renewed = tracker.signContract({ habitId: habit.id, commitment: 'I will run on weekdays' });
+
+    assert.equal(contract.isActive(), false);
+    assert.equal(tracker.getContractForHabit(habit.id), renewed);
+    assert.equal(tracker.getAllContracts().length, 2);
+  });
+
+  it('stops logging breaches once ended', async () => {
+    const { tracker, contract } = await trackerWithContract();
+
+    assert.equal(tracker.endContract(contract.id), true);
+    assert.equal(tracker.endContract(contract.id), false);
+    assert.deepEqual(tracker.checkContracts(), []);
+  });
+
+  it('is kept, with its breaches, across a reload', async () => {
+    const { tracker, habit, contract } = await trackerWithContract();
+    tracker.checkContracts();
+
+    const reloaded = await reloadTracker(tracker);
+    const restored = reloaded.getContractForHabit(habit.id);
+    assert.equal(restored.id, contract.id);
+    assert.equal(restored.breaches.length, 4);
+  });
+});
+
+describe('weekly accountability report', () => {
+  it('sums up the last seven days', async () => {
+    const { tracker, habit, contract } = await trackerWithContract();
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.completeHabit(habit.id, daysAgo(0));
+    tracker.checkContracts();
+
+    const report = buildWeeklyReport(habit, contract);
+    assert.equal(report.from, daysAgo(6));
+    assert.deepEqual(report.days.map(day => day.status),
+      ['missed', 'missed', 'missed', 'missed', 'missed', 'done', 'done']);
+    assert.equal(report.daysDone, 2);
+    assert.equal(report.breaches.length, 4);
+
+    const text = formatReportText(report);
+    assert.match(text, /Done 2 of 7 days/);
+    assert.match(text, /4 breaches/);
+    assert.match(text, /Signed by Alex, witnessed by Sam/);
+  });
+});
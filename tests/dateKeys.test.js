@@ -0,0 +1,54 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Central Europe moves its clocks forward on 2024-03-31 at 2am
+process.env.TZ = 'Europe/Berlin';
+
+const { toDateKey, setDayStartHour, addDays, addMonths, daysBetween, getIsoWeekday } = await import('../src/core/DateKeys.js');
+const { createTracker } = await import('./helpers.js');
+
+describe('date keys', () => {
+  afterEach(() => setDayStartHour(0));
+
+  it('keys an instant by its local day', () => {
+    assert.equal(toDateKey(new Date(2024, 2, 10, 23, 30)), '2024-03-10');
+    assert.equal(toDateKey(new Date(2024, 2, 11, 0, 30)), '2024-03-11');
+    assert.equal(toDateKey('2024-03-10'), '2024-03-10');
+  });
+
+  it('counts the hours before the day start towards the previous day', () => {
+    setDayStartHour(4);
+    assert.equal(toDateKey(new Date(2024, 2, 11, 2, 0)), '2024-03-10');
+    assert.equal(toDateKey(new Date(2024, 2, 11, 4, 0)), '2024-03-11');
+  });
+
+  it('starts the day on time across a DST change', () => {
+    setDayStartHour(3);
+    assert.equal(toDateKey(new Date(2024, 2, 31, 1, 30)), '2024-03-30');
+    assert.equal(toDateKey(new Date(2024, 2, 31, 3, 30)), '2024-03-31');
+    assert.equal(toDateKey(new Date(2024, 3, 1, 2, 30)), '2024-03-31');
+    assert.equal(toDateKey(new Date(2024, 3, 1, 3, 0)), '2024-04-01');
+  });
+
+  it('ignores hours outside 0-23', () => {
+    assert.equal(setDayStartHour(24), 0);
+    assert.equal(setDayStartHour('x'), 0);
+    assert.equal(setDayStartHour('5'), 5);
+  });
+
+  it('does calendar math on the keys', () => {
+    assert.equal(addDays('2024-03-30', 2), '2024-04-01');
+    assert.equal(addMonths('2024-01-31', 1), '2024-02-01');
+    assert.equal(daysBetween('2024-03-30', '2024-04-01'), 2);
+    assert.equal(getIsoWeekday('2024-01-07'), 7);
+  });
+
+  it('logs a late-night check-in on the previous day', async () => {
+    const tracker = await createTracker();
+    tracker.setDayStartHour(4);
+    const habit = tracker.addHabit({ name: 'Journal' });
+    tracker.completeHabit(habit.id, new Date(2024, 2, 11, 1, 0));
+
+    assert.equal(habit.completions[0].date, '2024-03-10');
+  });
+});
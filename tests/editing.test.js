@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+describe('editing and deleting habits', () => {
+  it('applies edited fields and keeps the rest', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read', cue: 'After dinner' });
+
+    tracker.updateHabit(habit.id, { name: 'Read fiction', difficulty: '3', id: 'other' });
+    assert.equal(habit.name, 'Read fiction');
+    assert.equal(habit.difficulty, 3);
+    assert.equal(habit.cue, 'After dinner');
+    assert.notEqual(habit.id, 'other');
+  });
+
+  it('re-evaluates the history when the target changes', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Water', createdAt: noonOn(daysAgo(10)) });
+    tracker.completeHabit(habit.id, daysAgo(2));
+    tracker.completeHabit(habit.id, daysAgo(1));
+    assert.equal(habit.streak, 2);
+
+    tracker.updateHabit(habit.id, { targetCount: 2 });
+    assert.equal(habit.streak, 0);
+    assert.equal(habit.longestStreak, 0);
+  });
+
+  it('re-evaluates the history when the schedule changes', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Gym', createdAt: noonOn(daysAgo(30)) });
+    tracker.completeHabit(habit.id, daysAgo(7));
+
+    tracker.updateHabit(habit.id, { schedule: { type: 'weekly' } });
+    assert.equal(habit.frequency, 'weekly');
+    assert.equal(habit.streak, 1);
+  });
+
+  it('returns null for a habit that does not exist', async () => {
+    assert.equal((await createTracker()).updateHabit('missing', { name: 'x' }), null);
+  });
+
+  it('deletes a habit for good', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+
+    assert.equal(tracker.deleteHabit(habit.id), true);
+    assert.equal(tracker.deleteHabit(habit.id), false);
+    assert.equal((await reloadTracker(tracker)).getHabit(habit.id), undefined);
+  });
+});
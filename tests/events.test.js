@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ChangeEmitter } from '../src/core/ChangeEmitter.js';
+import { createTracker, daysAgo } from './helpers.js';
+
+describe('change events', () => {
+  it('announces each mutation', async () => {
+    const tracker = await createTracker();
+    const events = [];
+    tracker.on('*', event => events.push(event.type));
+
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.uncompleteHabit(habit.id, daysAgo(1));
+    tracker.updateHabit(habit.id, { name: 'Read more' });
+    tracker.setDayStartHour(4);
+    tracker.setDayStartHour(0);
+    tracker.deleteHabit(habit.id);
+
+    assert.deepEqual(events, [
+      'habit:added',
+      'habit:completed',
+      'habit:uncompleted',
+      'habit:updated',
+      'settings:updated',
+      'settings:updated',
+      'habit:deleted'
+    ]);
+  });
+
+  it('passes the date key of a completion', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    let completed = null;
+    tracker.on('habit:completed', event => { completed = event; });
+
+    tracker.completeHabit(habit.id, daysAgo(2));
+    assert.equal(completed.habit, habit);
+    assert.equal(completed.date, daysAgo(2));
+  });
+
+  it('marks undo and redo changes as restored', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    const events = [];
+    tracker.on('*', event => events.push(`${event.type} ${event.restored}`));
+
+    tracker.undo();
+    tracker.redo();
+    assert.deepEqual(events, ['habit:deleted true', 'habit:added true']);
+    assert.equal(tracker.getHabit(habit.id).name, 'Read');
+  });
+
+  it('stops notifying after unsubscribing', () => {
+    const emitter = new ChangeEmitter();
+    let calls = 0;
+    const unsubscribe = emitter.on('ping', () => calls++);
+
+    emitter.emit('ping');
+    unsubscribe();
+    emitter.emit('ping');
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Test Helpers
+ * Trackers backed by memory, and date keys relative to today so streaks and
+ * rates can be checked whatever day the tests run on.
+ */
+
+import { HabitTracker } from '../src/core/AtomicHabits.js';
+import { MemoryStorageAdapter } from '../src/storage/MemoryStorageAdapter.js';
+import { todayKey, addDays, addMonths } from '../src/core/DateKeys.js';
+
+// A loaded tracker over fresh memory storage, with no undo history left
+// over from an earlier test
+export async function createTracker(initialData = null) {
+  localStorage.clear();
+  const storage = new MemoryStorageAdapter(initialData);
+  const tracker = new HabitTracker({ storage });
+  await tracker.ready;
+  return tracker;
+}
+
+// A second tracker over the same storage, as after a page reload
+export async function reloadTracker(tracker) {
+  await tracker.flush();
+  const reloaded = new HabitTracker({ storage: tracker.storage });
+  await reloaded.ready;
+  return reloaded;
+}
+
+// Date key `offset` days before today
+export function daysAgo(offset) {
+  return addDays(todayKey(), -offset);
+}
+
+// Date key of the 1st of the month `offset` months before this one
+export function monthsAgo(offset) {
+  return addMonths(todayKey(), -offset);
+}
+
+// Noon local time on a date key
+export function noonOn(key) {
+  return new Date(`${key}T12:00:00`);
+}
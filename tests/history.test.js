@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit } from '../src/core/AtomicHabits.js';
+import { createTracker, reloadTracker, daysAgo } from './helpers.js';
+
+describe('undo history', () => {
+  it('undoes and redoes a completion', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+
+    assert.equal(tracker.undo().label, 'Logged "Read"');
+    assert.equal(tracker.getHabit(habit.id).completions.length, 0);
+    tracker.redo();
+    assert.equal(tracker.getHabit(habit.id).completions.length, 1);
+  });
+
+  it('removes an added habit and brings back a deleted one', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.deleteHabit(habit.id);
+
+    assert.equal(tracker.undo().label, 'Deleted "Read"');
+    assert.equal(tracker.getHabit(habit.id).completions.length, 1);
+    tracker.undo();
+    tracker.undo();
+    assert.equal(tracker.getHabit(habit.id), undefined);
+    assert.equal(tracker.undo(), null);
+  });
+
+  it('forgets undone entries after a new change', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.undo();
+    tracker.updateHabit(habit.id, { name: 'Read more' });
+
+    assert.equal(tracker.history.canRedo(), false);
+    assert.equal(tracker.redo(), null);
+  });
+
+  it('keeps only the most recent entries', async () => {
+    const tracker = await createTracker();
+    Array.from({ length: 25 }, (_, i) => tracker.addHabit({ name: `Habit ${i}` }));
+
+    assert.equal(tracker.history.undoStack.length, 20);
+    assert.equal(tracker.history.undoStack[0].label, 'Created "Habit 5"');
+  });
+
+  it('can still undo after a reload', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+
+    const reloaded = await reloadTracker(tracker);
+    assert.equal(reloaded.undo().label, 'Logged "Read"');
+    assert.equal(reloaded.getHabit(habit.id).completions.length, 0);
+  });
+
+  it('leaves changes made outside the history alone', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.setHabitStatus(habit.id, 'paused', { resumeOn: daysAgo(0) });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.resumeDueHabits();
+    tracker.dismissLevelSuggestion(habit.id);
+    const reviewedAt = tracker.getHabit(habit.id).levelReviewedAt;
+
+    tracker.undo();
+    const undone = tracker.getHabit(habit.id);
+    assert.equal(undone.completions.length, 0);
+    assert.equal(undone.status, 'active');
+    assert.equal(new Date(undone.levelReviewedAt).getTime(), new Date(reviewedAt).getTime());
+  });
+
+  it('drops entries for habits changed by sync', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+
+    const synced = Habit.fromJSON({ ...JSON.parse(JSON.stringify(habit.toJSON())), name: 'Read more' });
+    tracker.applySyncedChanges({ upserts: [synced] });
+
+    assert.equal(tracker.history.canUndo(), false);
+    assert.equal(tracker.undo(), null);
+    assert.equal(tracker.getHabit(habit.id).name, 'Read more');
+  });
+
+  it('undoes a grouped change in one step', async () => {
+    const tracker = await createTracker();
+    Array.from({ length: 25 }, (_, i) => tracker.addHabit({ name: `Habit ${i}` }));
+
+    tracker.groupChanges('Imported 3 habits', () => {
+      ['Run', 'Swim', 'Bike'].forEach(name => tracker.addHabit({ name }));
+    });
+    assert.equal(tracker.getAllHabits().length, 28);
+
+    assert.equal(tracker.undo().label, 'Imported 3 habits');
+    assert.equal(tracker.getAllHabits().length, 25);
+    // Earlier entries weren't pushed out by the import
+    assert.equal(tracker.undo().label, 'Created "Habit 24"');
+
+    tracker.redo();
+    tracker.redo();
+    assert.equal(tracker.getAllHabits().length, 28);
+  });
+
+  it('reads entries saved before changes were grouped', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    localStorage.setItem('atomicHabitsHistory', JSON.stringify({
+      undo: [{ label: 'Created "Read"', habitId: habit.id, before: null, after: habit.toJSON() }]
+    }));
+    tracker.history.load();
+
+    tracker.undo();
+    assert.equal(tracker.getHabit(habit.id), undefined);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Identity } from '../src/core/AtomicHabits.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+// A reader who reads and doesn't doomscroll, with a few days of each
+async function trackerWithIdentity() {
+  const tracker = await createTracker();
+  const read = tracker.addHabit({ name: 'Read', createdAt: noonOn(daysAgo(10)) });
+  const scrolling = tracker.addHabit({ name: 'Doomscrolling', polarity: 'break', createdAt: noonOn(daysAgo(2)) });
+  [3, 2, 1, 0].forEach(offset => tracker.completeHabit(read.id, daysAgo(offset)));
+  tracker.logSlip(scrolling.id, daysAgo(1));
+
+  const identity = tracker.addIdentity({
+    statement: 'I am a reader',
+    habitIds: [read.id, scrolling.id, read.id]
+  });
+  return { tracker, identity, read, scrolling };
+}
+
+describe('identities', () => {
+  it('links each habit once', async () => {
+    const { identity, read, scrolling } = await trackerWithIdentity();
+    assert.deepEqual(identity.habitIds, [read.id, scrolling.id]);
+  });
+
+  it('counts done days, and clean days of habits to break, as votes', async () => {
+    const { tracker, identity, read, scrolling } = await trackerWithIdentity();
+
+    assert.equal(identity.getVoteCount(tracker.habits), 6);
+    assert.deepEqual(identity.getContributions(tracker.habits).map(({ habit, votes, share }) => [habit, votes, share]), [
+      [read, 4, (4 / 6) * 100],
+      [scrolling, 2, (2 / 6) * 100]
+    ]);
+  });
+
+  it('tallies votes per week with a running total', async () => {
+    const { tracker, identity } = await trackerWithIdentity();
+    const tally = identity.getVoteTally(tracker.habits, 4);
+
+    assert.equal(tally.length, 4);
+    assert.equal(tally.at(-1).to, daysAgo(0));
+    assert.equal(tally.at(-1).total, 6);
+  });
+
+  it('drops votes of deleted habits and finds identities by habit', async () => {
+    const { tracker, identity, read, scrolling } = await trackerWithIdentity();
+
+    assert.deepEqual(tracker.getIdentitiesForHabit(read.id), [identity]);
+    tracker.deleteHabit(scrolling.id);
+    assert.equal(identity.getVoteCount(tracker.habits), 4);
+  });
+
+  it('is reworded, relinked and deleted without touching its habits', async () => {
+    const { tracker, identity, read } = await trackerWithIdentity();
+
+    tracker.updateIdentity(identity.id, { statement: 'I am a bookworm', habitIds: [read.id] });
+    assert.equal(identity.statement, 'I am a bookworm');
+    assert.deepEqual(identity.habitIds, [read.id]);
+
+    assert.equal(tracker.deleteIdentity(identity.id), true);
+    assert.equal(tracker.getAllIdentities().length, 0);
+    assert.ok(tracker.getHabit(read.id));
+  });
+
+  it('is kept across a reload', async () => {
+    const { tracker, identity } = await trackerWithIdentity();
+    const reloaded = await reloadTracker(tracker);
+
+    assert.equal(reloaded.getIdentity(identity.id).statement, 'I am a reader');
+    assert.equal(reloaded.getIdentity(identity.id).getVoteCount(reloaded.habits), 6);
+  });
+
+  it('refuses data without a statement', () => {
+    assert.throws(() => Identity.fromJSON({ statement: ' ' }), /no statement/);
+    assert.throws(() => Identity.fromJSON({ statement: 'I run', habitIds: 'run' }), /malformed habits/);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCsv } from '../src/importers/parseCsv.js';
+import { scheduleFromLoopFrequency } from '../src/importers/LoopHabitImporter.js';
+import { readHabitFiles, createHabitFromDraft } from '../src/importers/importHabitFiles.js';
+
+const LOOP_HABITS = [
+  'Position,Name,Type,Question,Description,FrequencyNumerator,FrequencyDenominator,Color,Unit,Target Type,Target Value,Archived?',
+  '001,Meditate,0,Did you meditate?,,1,1,#FF8F00,,,0,false',
+  '002,Pushups,1,How many?,,3,7,#FF8F00,reps,0,20,false',
+  '003,Journal,0,,Old habit,1,7,#FF8F00,,,0,true'
+].join('\n');
+
+const LOOP_CHECKMARKS = [
+  'Date,Meditate,Pushups,Journal',
+  '2024-03-03,2,20000,1',
+  '2024-03-02,1,0,2',
+  '2024-03-01,2,15000,-1'
+].join('\n');
+
+describe('parseCsv', () => {
+  it('handles quoted fields, line breaks and a byte order mark', () => {
+    assert.deepEqual(parseCsv('﻿a,"b, ""c"""\r\n"line\nbreak",d\n\n'), [
+      ['a', 'b, "c"'],
+      ['line\nbreak', 'd']
+    ]);
+  });
+});
+
+describe('Loop Habit Tracker import', () => {
+  it('reads habits with their schedules and explicit checks', () => {
+    const { source, drafts, warnings } = readHabitFiles([
+      { name: 'Checkmarks.csv', text: LOOP_CHECKMARKS },
+      { name: 'Habits.csv', text: LOOP_HABITS }
+    ]);
+    const byName = new Map(drafts.map(draft => [draft.name, draft]));
+
+    assert.equal(source, 'Loop Habit Tracker');
+    assert.deepEqual(warnings, []);
+    // Implicit checks (1) and skips are left out
+    assert.deepEqual(byName.get('Meditate').completions.map(completion => completion.date), ['2024-03-03', '2024-03-01']);
+    assert.deepEqual(byName.get('Pushups').schedule, { type: 'timesPerWeek', timesPerWeek: 3 });
+    assert.equal(byName.get('Pushups').targetCount, 20);
+    assert.deepEqual(byName.get('Pushups').completions.map(completion => completion.count), [20, 15]);
+    assert.equal(byName.get('Journal').isActive, false);
+  });
+
+  it('imports daily habits when Habits.csv is missing', () => {
+    const { drafts, warnings } = readHabitFiles([{ name: 'Checkmarks.csv', text: LOOP_CHECKMARKS }]);
+    assert.ok(drafts.every(draft => draft.schedule.type === 'daily'));
+    assert.equal(warnings.length, 1);
+  });
+
+  it('needs Checkmarks.csv', () => {
+    assert.throws(() => readHabitFiles([{ name: 'Habits.csv', text: LOOP_HABITS }]), /Checkmarks\.csv/);
+  });
+
+  it('maps frequencies to the closest schedule', () => {
+    assert.deepEqual(scheduleFromLoopFrequency('1', '1'), { type: 'daily' });
+    assert.deepEqual(scheduleFromLoopFrequency('1', '7'), { type: 'weekly' });
+    assert.deepEqual(scheduleFromLoopFrequency('1', '30'), { type: 'monthly' });
+    assert.deepEqual(scheduleFromLoopFrequency('1', '3'), { type: 'interval', interval: 3 });
+  });
+});
+
+describe('date,habit,value CSV import', () => {
+  it('adds up values per day and infers the target', () => {
+    const { drafts, warnings } = readHabitFiles([{
+      name: 'export.csv',
+      text: 'Date,Habit,Value\n2024/3/1,Water,4\n2024-03-01,Water,4\n2024-03-02,Water,8\n2024-03-02,Read,\nnot a date,Read,1\n2024-03-03,Read,0\n'
+    }]);
+    const byName = new Map(drafts.map(draft => [draft.name, draft]));
+
+    assert.equal(byName.get('Water').targetCount, 8);
+    assert.deepEqual(byName.get('Water').completions, [{ date: '2024-03-01', count: 8 }, { date: '2024-03-02', count: 8 }]);
+    assert.deepEqual(byName.get('Read').completions, [{ date: '2024-03-02', count: 1 }]);
+    assert.deepEqual(warnings, ['Line 6: skipped, needs a date and a habit name']);
+  });
+
+  it('reads rows without a header', () => {
+    const { drafts } = readHabitFiles([{ name: 'log.csv', text: '2024-03-01,Run\n2024-03-02,Run\n' }]);
+    assert.deepEqual(drafts.map(draft => [draft.name, draft.completions.length]), [['Run', 2]]);
+  });
+
+  it('refuses files that are not habit exports', () => {
+    assert.throws(() => readHabitFiles([{ name: 'notes.csv', text: 'title,body\nhello,world\n' }]), /don't look like a habit export/);
+  });
+});
+
+describe('createHabitFromDraft', () => {
+  it('starts the habit on its first logged day', () => {
+    const habit = createHabitFromDraft({
+      name: 'Run',
+      description: '',
+      schedule: { type: 'interval', interval: 2 },
+      targetCount: 1,
+      isActive: true,
+      completions: [{ date: '2024-03-03', count: 1 }, { date: '2024-03-01', count: 1 }]
+    }, { category: 'health' });
+
+    assert.equal(habit.category, 'health');
+    assert.equal(habit.schedule.anchor, '2024-03-01');
+    assert.deepEqual(habit.completions.map(completion => completion.date), ['2024-03-01', '2024-03-03']);
+  });
+});
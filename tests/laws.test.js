@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit, formatIntention, formatBundle } from '../src/core/AtomicHabits.js';
+import { createTracker, reloadTracker } from './helpers.js';
+
+describe('implementation intentions and temptation bundles', () => {
+  it('reads back as sentences from whichever parts are filled', () => {
+    assert.equal(formatIntention({ behavior: 'read', time: '9pm', location: 'bed' }), 'I will read at 9pm in bed');
+    assert.equal(formatIntention({ behavior: 'read', location: 'bed' }), 'I will read in bed');
+    assert.equal(formatIntention({ time: '9pm' }), '');
+    assert.equal(formatBundle({ need: 'I stretch', want: 'check my phone' }), 'After I stretch, I will check my phone');
+    assert.equal(formatBundle({ need: 'I stretch' }), '');
+  });
+
+  it('keeps only known, trimmed parts', () => {
+    const habit = new Habit({ name: 'Read', intention: { behavior: ' read ', time: 9, extra: 'x' } });
+    assert.deepEqual(habit.intention, { behavior: 'read', time: '9', location: '' });
+    assert.deepEqual(habit.bundle, { need: '', want: '' });
+  });
+
+  it('is kept across a reload', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.updateHabit(habit.id, { bundle: { need: 'I read', want: 'have tea' } });
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.equal(formatBundle(reloaded.bundle), 'After I read, I will have tea');
+  });
+});
+
+describe('law completeness', () => {
+  it('scores missing laws as zero', () => {
+    const { laws, score } = new Habit({ name: 'Read' }).getLawCompleteness();
+    assert.deepEqual(laws, { cue: 'missing', craving: 'missing', response: 'missing', reward: 'missing' });
+    assert.equal(score, 0);
+  });
+
+  it('counts free text as weak and structured or specific answers as strong', () => {
+    const habit = new Habit({
+      name: 'Read',
+      cue: 'Evenings',
+      intention: { behavior: 'read', time: '9pm', location: 'bed' },
+      craving: 'Tea',
+      response: 'Two pages',
+      reward: 'Tick it off on the fridge'
+    });
+
+    const { laws, score } = habit.getLawCompleteness();
+    assert.deepEqual(laws, { cue: 'strong', craving: 'weak', response: 'weak', reward: 'strong' });
+    assert.equal(score, 75);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_LEVELS } from '../src/core/AtomicHabits.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+const LADDER = ['Put on running shoes', 'Walk around the block', 'Run 1 km', 'Run 5 km'];
+
+describe('version ladders', () => {
+  it('keeps the named versions and holds the level inside the ladder', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: [...LADDER, ' ', 'Run 10 km', 'Marathon'], difficulty: 9 });
+
+    assert.equal(habit.levels.length, MAX_LEVELS);
+    assert.equal(habit.difficulty, MAX_LEVELS);
+
+    tracker.setHabitLevel(habit.id, 0);
+    assert.equal(habit.difficulty, 1);
+    assert.equal(habit.getLevelName(), 'Put on running shoes');
+  });
+
+  it('records the level each day was done at', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: LADDER, difficulty: 2 });
+
+    tracker.completeHabit(habit.id, daysAgo(2));
+    tracker.logHabitLevel(habit.id, 3, daysAgo(1));
+    tracker.completeHabit(habit.id, daysAgo(0));
+    tracker.logHabitLevel(habit.id, 4, daysAgo(0));
+
+    assert.equal(habit.getLevelForDate(daysAgo(2)), 2);
+    assert.equal(habit.getLevelForDate(daysAgo(1)), 3);
+    assert.equal(habit.getLevelForDate(daysAgo(0)), 4);
+    assert.deepEqual(habit.getLevelAnalytics().map(level => level.days), [0, 1, 1, 1]);
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.equal(reloaded.getLevelForDate(daysAgo(1)), 3);
+  });
+
+  it('undoes a level change', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: LADDER, difficulty: 2 });
+
+    tracker.setHabitLevel(habit.id, 3);
+    tracker.undo();
+    assert.equal(tracker.getHabit(habit.id).difficulty, 2);
+  });
+
+  it('ignores levels on habits without a ladder', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+
+    assert.equal(tracker.logHabitLevel(habit.id, 2), false);
+    tracker.completeHabit(habit.id);
+    assert.equal(habit.getLevelForDate(), null);
+  });
+});
+
+describe('level suggestions', () => {
+  it('suggests stepping up after two steady weeks', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: LADDER, createdAt: noonOn(daysAgo(20)) });
+    for (let offset = 0; offset < 14; offset++) {
+      tracker.completeHabit(habit.id, daysAgo(offset));
+    }
+
+    assert.deepEqual(habit.getLevelSuggestion(), { direction: 'up', level: 2 });
+
+    tracker.dismissLevelSuggestion(habit.id);
+    assert.equal(habit.getLevelSuggestion(), null);
+  });
+
+  it('suggests stepping down after a week of misses', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: LADDER, difficulty: 3, createdAt: noonOn(daysAgo(20)) });
+    tracker.completeHabit(habit.id, daysAgo(1));
+
+    assert.deepEqual(habit.getLevelSuggestion(), { direction: 'down', level: 2 });
+  });
+
+  it('waits after a level change', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Run', levels: LADDER, difficulty: 3, createdAt: noonOn(daysAgo(20)) });
+
+    tracker.setHabitLevel(habit.id, 2);
+    assert.equal(habit.getLevelSuggestion(), null);
+  });
+});
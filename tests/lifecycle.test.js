@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit } from '../src/core/AtomicHabits.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+describe('habit lifecycle', () => {
+  it('reads older data by isActive', () => {
+    assert.equal(new Habit({ name: 'Read' }).status, 'active');
+    assert.equal(new Habit({ name: 'Read', isActive: false }).status, 'archived');
+    assert.equal(new Habit({ name: 'Read', status: 'paused', resumeOn: 'soon' }).resumeOn, null);
+  });
+
+  it('keeps paused and archived habits out of the active list', async () => {
+    const tracker = await createTracker();
+    const read = tracker.addHabit({ name: 'Read' });
+    const run = tracker.addHabit({ name: 'Run' });
+    tracker.addHabit({ name: 'Stretch' });
+
+    assert.equal(tracker.setHabitStatus(read.id, 'paused'), true);
+    assert.equal(tracker.setHabitStatus(read.id, 'paused'), false);
+    assert.equal(tracker.setHabitStatus(run.id, 'archived'), true);
+    assert.equal(tracker.setHabitStatus(run.id, 'retired'), false);
+
+    assert.deepEqual(tracker.getActiveHabits().map(habit => habit.name), ['Stretch']);
+    assert.equal(read.isActive, false);
+  });
+
+  it('excuses the days a habit was paused, up to its resume day', () => {
+    const habit = new Habit({ name: 'Read', createdAt: noonOn(daysAgo(30)) });
+    [9, 8, 7, 2, 1].forEach(offset => habit.complete(daysAgo(offset)));
+    assert.equal(habit.streak, 2);
+
+    habit.setStatus('paused', { resumeOn: daysAgo(2), at: noonOn(daysAgo(6)) });
+    assert.deepEqual(habit.getInactiveRanges(), [{ from: daysAgo(6), to: daysAgo(3), reason: 'paused' }]);
+
+    habit.setStatus('active', { at: noonOn(daysAgo(2)) });
+    assert.equal(habit.streak, 5);
+    assert.equal(habit.getPause(daysAgo(5)).reason, 'paused');
+    assert.equal(habit.getPause(daysAgo(2)), null);
+  });
+
+  it('resumes paused habits whose day has come', async () => {
+    const tracker = await createTracker();
+    const read = tracker.addHabit({ name: 'Read' });
+    const run = tracker.addHabit({ name: 'Run' });
+    tracker.setHabitStatus(read.id, 'paused', { resumeOn: daysAgo(0) });
+    tracker.setHabitStatus(run.id, 'paused', { resumeOn: daysAgo(-1) });
+
+    assert.deepEqual(tracker.resumeDueHabits(), [read]);
+    assert.equal(read.status, 'active');
+    assert.equal(run.status, 'paused');
+  });
+
+  it('restores an archived habit with its history, and keeps the status across a reload', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.setHabitStatus(habit.id, 'archived');
+    tracker.setHabitStatus(habit.id, 'active');
+
+    assert.equal(habit.completions.length, 1);
+    assert.deepEqual(habit.statusHistory.map(entry => entry.status), ['archived', 'active']);
+
+    tracker.undo();
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.equal(reloaded.status, 'archived');
+    assert.equal(reloaded.completions.length, 1);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Legacy completions were keyed by their UTC date; west of UTC an evening
+// log falls on the next UTC day
+process.env.TZ = 'America/New_York';
+
+const { migrate, SCHEMA_VERSION, DEFAULT_CATEGORIES } = await import('../src/core/Migrations.js');
+const { setDayStartHour } = await import('../src/core/DateKeys.js');
+const { HabitTracker } = await import('../src/core/AtomicHabits.js');
+const { LocalStorageAdapter } = await import('../src/storage/LocalStorageAdapter.js');
+
+// An unversioned blob as the first releases stored it
+function legacyBlob(completions, fields = {}) {
+  return {
+    habits: [['run', { id: 'run', name: 'Run', frequency: 'weekly', completions, ...fields }]]
+  };
+}
+
+// A tracker loading the given raw string from localStorage
+async function loadTracker(raw) {
+  localStorage.clear();
+  localStorage.setItem('atomicHabitsTracker', raw);
+  const tracker = new HabitTracker({ storage: new LocalStorageAdapter() });
+  await tracker.ready;
+  return tracker;
+}
+
+describe('migrate', () => {
+  it('upgrades an unversioned blob to the current schema', () => {
+    const data = migrate(legacyBlob([]));
+    const [, habit] = data.habits[0];
+
+    assert.equal(data.version, SCHEMA_VERSION);
+    assert.deepEqual(data.categories, DEFAULT_CATEGORIES);
+    assert.deepEqual(data.settings, {});
+    assert.deepEqual(data.routines, []);
+    assert.deepEqual(data.contracts, []);
+    assert.deepEqual(data.identities, []);
+    assert.deepEqual(habit.schedule, { type: 'weekly' });
+    assert.equal(habit.targetCount, 1);
+  });
+
+  it('re-keys legacy completions to the local day they were logged on', () => {
+    const data = migrate(legacyBlob([
+      // 9pm on March 10th in New York
+      { date: '2024-03-11', timestamp: '2024-03-11T01:00:00.000Z' },
+      { date: '2024-03-12', timestamp: '2024-03-12T14:00:00.000Z' }
+    ]));
+
+    assert.deepEqual(data.habits[0][1].completions.map(completion => completion.date), ['2024-03-10', '2024-03-12']);
+  });
+
+  it('applies the day start hour when re-keying', () => {
+    setDayStartHour(3);
+    // 1am local on March 12th still belongs to the 11th
+    const data = migrate(legacyBlob([{ date: '2024-03-12', timestamp: '2024-03-12T05:00:00.000Z' }]));
+    setDayStartHour(0);
+
+    assert.equal(data.habits[0][1].completions[0].date, '2024-03-11');
+  });
+
+  it('keeps dates that were not derived from the timestamp', () => {
+    // A past day logged at noon UTC on March 12th
+    const data = migrate(legacyBlob([{ date: '2024-03-08', timestamp: '2024-03-12T12:00:00.000Z' }]));
+    assert.equal(data.habits[0][1].completions[0].date, '2024-03-08');
+  });
+
+  it('merges completions that land on the same day', () => {
+    const data = migrate(legacyBlob([
+      { date: '2024-03-11', timestamp: '2024-03-11T01:00:00.000Z' },
+      { date: '2024-03-10', timestamp: '2024-03-10T13:00:00.000Z' },
+      { date: '2024-03-09' }
+    ], { targetCount: 3 }));
+
+    assert.deepEqual(
+      data.habits[0][1].completions.map(({ date, count }) => ({ date, count })),
+      [{ date: '2024-03-10', count: 2 }, { date: '2024-03-09', count: 1 }]
+    );
+  });
+
+  it('caps merged counts at the target', () => {
+    const data = migrate(legacyBlob([
+      { date: '2024-03-11', timestamp: '2024-03-11T01:00:00.000Z' },
+      { date: '2024-03-10', timestamp: '2024-03-10T13:00:00.000Z' }
+    ]));
+
+    assert.equal(data.habits[0][1].completions[0].count, 1);
+  });
+
+  it('leaves data at the current version alone', () => {
+    const data = { version: SCHEMA_VERSION, habits: [], categories: ['health'], settings: {}, routines: [], contracts: [], identities: [] };
+    assert.deepEqual(migrate(data), data);
+  });
+
+  it('refuses data it cannot read safely', () => {
+    assert.throws(() => migrate(null), /not an object/);
+    assert.throws(() => migrate([]), /not an object/);
+    assert.throws(() => migrate({ habits: {} }), /not a list/);
+    assert.throws(() => migrate({ version: SCHEMA_VERSION + 1, habits: [] }), /newer than this app/);
+  });
+
+  it('is applied when the tracker loads legacy data', async () => {
+    const tracker = await loadTracker(JSON.stringify(legacyBlob([{ date: '2024-03-10' }])));
+    const habit = tracker.getHabit('run');
+
+    assert.equal(tracker.loadError, null);
+    assert.equal(habit.schedule.type, 'weekly');
+    assert.equal(habit.completions[0].date, '2024-03-10');
+  });
+});
+
+describe('unreadable storage', () => {
+  it('keeps the raw data as a backup instead of discarding it', async () => {
+    const tracker = await loadTracker('{"habits": [');
+
+    assert.equal(tracker.getAllHabits().length, 0);
+        assert.equal(await tracker.getStorageBackup(), '{"habits": [');
+  });
+
+  it('sets the unreadable data aside so new habits are stored cleanly', async () => {
+    const tracker = await loadTracker('{"habits": [');
+    tracker.addHabit({ name: 'Walk' });
+    await tracker.flush();
+
+    assert.equal(JSON.parse(localStorage.getItem('atomicHabitsTracker')).habits.length, 1);
+    assert.equal(await tracker.getStorageBackup(), '{"habits": [');
+  });
+
+  it('rejects a habit with malformed completions', async () => {
+    const tracker = await loadTracker(JSON.stringify(legacyBlob([{ date: 'yesterday' }])));
+    assert.match(tracker.loadError.message, /malformed completions/);
+  });
+
+  it('restores the readable habits from the backup', async () => {
+    const tracker = await loadTracker(JSON.stringify({
+      version: SCHEMA_VERSION,
+      habits: [
+        ['run', { id: 'run', name: 'Run', completions: [{ date: '2024-03-10', count: 1 }] }],
+        ['nameless', { id: 'nameless', completions: [] }]
+      ]
+    }));
+    assert.notEqual(tracker.loadError, null);
+    const walk = tracker.addHabit({ name: 'Walk' });
+
+    assert.deepEqual(await tracker.restoreFromBackup(), { restored: 1, skipped: 1 });
+    assert.equal(tracker.loadError, null);
+    assert.equal(tracker.getHabit(walk.id).name, 'Walk');
+    await tracker.flush();
+    const reloaded = new HabitTracker({ storage: new LocalStorageAdapter() });
+    await reloaded.ready;
+    assert.equal(reloaded.getHabit('run').completions.length, 1);
+  });
+});
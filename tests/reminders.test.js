@@ -0,0 +1,100 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReminderScheduler, isQuietTime } from '../src/notifications/ReminderScheduler.js';
+import { todayKey, addDays } from '../src/core/DateKeys.js';
+import { createTracker } from './helpers.js';
+
+// Reminders that come due are shown in the app while the page is visible
+globalThis.document = { visibilityState: 'visible' };
+
+// Today at an 'HH:MM' time
+function todayAt(time) {
+  return new Date(`${todayKey()}T${time}:00`);
+}
+
+// A tracker with reminders on outside the given quiet hours, and a scheduler
+// that collects what it delivers
+async function setup(quiet = { quietStart: '22:00', quietEnd: '07:00' }) {
+  const tracker = await createTracker();
+  tracker.setReminderSettings({ enabled: true, ...quiet });
+  const delivered = [];
+  const scheduler = new ReminderScheduler(tracker, { onReminder: reminder => delivered.push(reminder) });
+  return { tracker, scheduler, delivered };
+}
+
+describe('reminders', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('delivers a reminder once it comes due, and only once', async () => {
+    const { tracker, scheduler, delivered } = await setup();
+    tracker.addHabit({ name: 'Stretch', reminders: ['08:00', 'bad', '08:00'] });
+
+    assert.deepEqual(scheduler.check(todayAt('07:59')), []);
+    assert.equal(scheduler.check(todayAt('08:05')).length, 1);
+    assert.deepEqual(scheduler.check(todayAt('08:06')), []);
+    assert.deepEqual(delivered.map(reminder => reminder.habit.name), ['Stretch']);
+  });
+
+  it('drops reminders missed by more than the grace period', async () => {
+    const { tracker, scheduler } = await setup();
+    tracker.addHabit({ name: 'Stretch', reminders: ['08:00'] });
+
+    assert.deepEqual(scheduler.check(todayAt('08:30')), []);
+  });
+
+  it('skips habits already done today and quiet hours', async () => {
+    const { tracker, scheduler } = await setup({ quietStart: '12:00', quietEnd: '14:00' });
+    const done = tracker.addHabit({ name: 'Stretch', reminders: ['09:00'] });
+    tracker.completeHabit(done.id);
+    tracker.addHabit({ name: 'Walk', reminders: ['12:30'] });
+
+    assert.deepEqual(scheduler.check(todayAt('09:01')), []);
+    assert.deepEqual(scheduler.check(todayAt('12:31')), []);
+  });
+
+  it('reminds again after a snooze', async () => {
+    const { tracker, scheduler } = await setup();
+    const habit = tracker.addHabit({ name: 'Stretch' });
+    scheduler.snooze(habit.id);
+
+    const until = scheduler.state.snoozed[habit.id];
+    assert.deepEqual(scheduler.check(new Date(until - 1000)), []);
+    assert.equal(scheduler.check(new Date(until))[0].snoozed, true);
+  });
+
+  it('lists the reminders to hand to the service worker', async () => {
+    const { tracker, scheduler } = await setup();
+    tracker.addHabit({ name: 'Stretch', reminders: ['08:00', '23:00'] });
+
+    const upcoming = scheduler.getUpcomingReminders(todayAt('09:00'));
+    // Today's 8:00 has passed and 23:00 is in quiet hours, so only tomorrow's 8:00 is left
+    assert.deepEqual(upcoming.map(reminder => new Date(reminder.at)), [new Date(`${addDays(todayKey(), 1)}T08:00:00`)]);
+  });
+
+  it('does nothing while reminders are off', async () => {
+    const { tracker, scheduler } = await setup();
+    tracker.setReminderSettings({ enabled: false });
+    tracker.addHabit({ name: 'Stretch', reminders: ['08:00'] });
+
+    assert.deepEqual(scheduler.check(todayAt('08:01')), []);
+  });
+});
+
+describe('reminder settings', () => {
+  it('treats quiet hours as a window that may span midnight', () => {
+    const overnight = { quietStart: '22:00', quietEnd: '07:00' };
+    assert.equal(isQuietTime('23:30', overnight), true);
+    assert.equal(isQuietTime('06:59', overnight), true);
+    assert.equal(isQuietTime('07:00', overnight), false);
+    assert.equal(isQuietTime('12:00', { quietStart: '12:00', quietEnd: '12:00' }), false);
+  });
+
+  it('falls back to defaults for invalid values', async () => {
+    const tracker = await createTracker();
+    tracker.setReminderSettings({ quietStart: '25:00', snoozeMinutes: 'soon' });
+
+    assert.equal(tracker.settings.reminders.quietStart, '22:00');
+    assert.equal(tracker.settings.reminders.snoozeMinutes, 10);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getIsoWeekday } from '../src/core/DateKeys.js';
+import { createTracker, reloadTracker, daysAgo, noonOn } from './helpers.js';
+
+// A morning routine of three daily habits, all started 10 days ago
+async function morningRoutine() {
+  const tracker = await createTracker();
+  const [coffee, stretch, journal] = ['Coffee', 'Stretch', 'Journal'].map(name =>
+    tracker.addHabit({ name, createdAt: noonOn(daysAgo(10)) })
+  );
+  const routine = tracker.addRoutine({
+    name: 'Morning',
+    anchorCue: 'After I get up',
+    habitIds: [coffee.id, stretch.id, journal.id, coffee.id]
+  });
+  return { tracker, routine, steps: [coffee, stretch, journal] };
+}
+
+// Complete every step on the given days
+function completeAll(tracker, steps, days) {
+  days.forEach(day => steps.forEach(step => tracker.completeHabit(step.id, day)));
+}
+
+describe('routines', () => {
+  it('walks through its steps in order', async () => {
+    const { tracker, routine, steps: [coffee, stretch, journal] } = await morningRoutine();
+    assert.deepEqual(routine.habitIds, [coffee.id, stretch.id, journal.id]);
+    assert.equal(routine.getNextStep(tracker.habits), coffee);
+
+    tracker.completeHabit(coffee.id);
+    tracker.completeHabit(journal.id);
+    assert.equal(routine.getNextStep(tracker.habits), stretch);
+    assert.deepEqual(routine.getProgress(tracker.habits), { done: 2, total: 3 });
+
+    tracker.completeHabit(stretch.id);
+    assert.equal(routine.getNextStep(tracker.habits), null);
+    assert.equal(routine.isCompleteOn(tracker.habits), true);
+  });
+
+  it('counts fully done days from the steps history', async () => {
+    const { tracker, routine, steps } = await morningRoutine();
+    completeAll(tracker, steps, [6, 5, 4, 2, 1].map(daysAgo));
+    // Day 3 was only partly done
+    tracker.completeHabit(steps[0].id, daysAgo(3));
+
+    assert.equal(routine.getStreak(tracker.habits), 2);
+    assert.equal(routine.getLongestStreak(tracker.habits), 3);
+    assert.equal(Math.round(routine.getCompletionRate(tracker.habits, 7)), 83);
+  });
+
+  it('only asks for the steps due on the day', async () => {
+    const { tracker, routine, steps: [coffee, stretch, journal] } = await morningRoutine();
+    // Stretching only on the weekday three days ago
+    tracker.updateHabit(stretch.id, { schedule: { type: 'weekdays', weekdays: [getIsoWeekday(daysAgo(3))] } });
+    completeAll(tracker, [coffee, journal], [daysAgo(1)]);
+
+    assert.equal(routine.isCompleteOn(tracker.habits, daysAgo(1)), true);
+    assert.equal(routine.isCompleteOn(tracker.habits, daysAgo(3)), false);
+  });
+
+  it('drops paused and deleted habits from its steps', async () => {
+    const { tracker, routine, steps: [coffee, stretch, journal] } = await morningRoutine();
+    tracker.setHabitStatus(stretch.id, 'paused');
+    tracker.deleteHabit(journal.id);
+    assert.deepEqual(routine.getSteps(tracker.habits), [coffee]);
+
+    tracker.undo();
+    assert.deepEqual(routine.getSteps(tracker.habits).map(habit => habit.name), ['Coffee', 'Journal']);
+  });
+
+  it('is due on days one of its steps is', async () => {
+    const tracker = await createTracker();
+    const weekly = tracker.addHabit({ name: 'Plan', schedule: { type: 'weekdays', weekdays: [getIsoWeekday(daysAgo(0))] } });
+    tracker.addRoutine({ name: 'Sunday reset', habitIds: [weekly.id] });
+    assert.equal(tracker.getTodaysRoutines().length, 1);
+
+    tracker.updateHabit(weekly.id, { schedule: { type: 'weekdays', weekdays: [getIsoWeekday(daysAgo(1))] } });
+    assert.equal(tracker.getTodaysRoutines().length, 0);
+  });
+
+  it('keeps routines across a reload and deletes them without their habits', async () => {
+    const { tracker, routine } = await morningRoutine();
+    tracker.updateRoutine(routine.id, { name: 'Wake up' });
+
+    const reloaded = await reloadTracker(tracker);
+    assert.equal(reloaded.getRoutine(routine.id).name, 'Wake up');
+
+    assert.equal(reloaded.deleteRoutine(routine.id), true);
+    assert.equal(reloaded.getAllRoutines().length, 0);
+    assert.equal(reloaded.getAllHabits().length, 3);
+  });
+});
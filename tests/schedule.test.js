@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Schedule, Habit } from '../src/core/AtomicHabits.js';
+
+// 2024-01-01 is a Monday
+describe('Schedule', () => {
+  it('gives every day its own period on a daily schedule', () => {
+    const schedule = new Schedule();
+    assert.equal(schedule.getPeriodStart('2024-01-03'), '2024-01-03');
+    assert.equal(schedule.getNextPeriodStart('2024-01-31'), '2024-02-01');
+    assert.equal(schedule.describe(), 'Every day');
+  });
+
+  it('starts weekly periods on Monday and monthly ones on the 1st', () => {
+    const weekly = new Schedule({ type: 'weekly' });
+    assert.equal(weekly.getPeriodStart('2024-01-07'), '2024-01-01');
+    assert.equal(weekly.getPeriodStart('2024-01-08'), '2024-01-08');
+    assert.equal(weekly.getNextPeriodStart('2024-01-01'), '2024-01-08');
+
+    const monthly = new Schedule({ type: 'monthly' });
+    assert.equal(monthly.getPeriodStart('2024-02-29'), '2024-02-01');
+    assert.equal(monthly.getNextPeriodStart('2024-12-01'), '2025-01-01');
+  });
+
+  it('only schedules the listed weekdays', () => {
+    const schedule = new Schedule({ type: 'weekdays', weekdays: [5, 1, 3, 3, 9] });
+    assert.deepEqual(schedule.weekdays, [1, 3, 5]);
+    assert.equal(schedule.isScheduled('2024-01-01'), true);
+    assert.equal(schedule.isScheduled('2024-01-02'), false);
+    assert.equal(schedule.describe(), 'Mon, Wed, Fri');
+  });
+
+  it('falls back to daily for a weekday schedule without days', () => {
+    assert.equal(new Schedule({ type: 'weekdays', weekdays: [] }).type, 'daily');
+  });
+
+  it('counts interval blocks from the anchor', () => {
+    const schedule = new Schedule({ type: 'interval', interval: 3, anchor: '2024-01-01' });
+    assert.equal(schedule.getPeriodStart('2024-01-03'), '2024-01-01');
+    assert.equal(schedule.getPeriodStart('2024-01-04'), '2024-01-04');
+    assert.equal(schedule.getPeriodStart('2023-12-31'), '2023-12-29');
+    assert.equal(schedule.describe(), 'Every 3 days');
+  });
+
+  it('needs several days a week on a times-per-week schedule', () => {
+    const schedule = new Schedule({ type: 'timesPerWeek', timesPerWeek: 3 });
+    assert.equal(schedule.getRequiredDays(), 3);
+    assert.equal(schedule.getPeriodStart('2024-01-05'), '2024-01-01');
+    assert.equal(new Schedule({ type: 'timesPerWeek', timesPerWeek: 12 }).timesPerWeek, 7);
+  });
+
+  it('is built from legacy frequencies and maps back to them', () => {
+    assert.equal(Schedule.fromFrequency('weekly').type, 'weekly');
+    assert.equal(Schedule.fromFrequency('hourly').type, 'daily');
+    assert.equal(new Schedule({ type: 'timesPerWeek', timesPerWeek: 2 }).getFrequency(), 'weekly');
+    assert.equal(new Schedule({ type: 'interval', interval: 2 }).getFrequency(), 'daily');
+  });
+
+  it('survives a JSON round-trip', () => {
+    const schedule = new Schedule({ type: 'weekdays', weekdays: [2, 4] });
+    assert.deepEqual(Schedule.fromJSON(JSON.parse(JSON.stringify(schedule))), schedule);
+  });
+});
+
+describe('Habit periods', () => {
+  it('completes a times-per-week period once enough days are logged', () => {
+    const habit = new Habit({ name: 'Gym', schedule: { type: 'timesPerWeek', timesPerWeek: 2 } });
+    habit.complete('2024-01-01');
+    assert.equal(habit.getCompletedPeriods().has('2024-01-01'), false);
+
+    habit.complete('2024-01-04');
+    assert.equal(habit.getCompletedPeriods().has('2024-01-01'), true);
+  });
+
+  it('is only due on scheduled days', () => {
+    const habit = new Habit({ name: 'Run', schedule: { type: 'weekdays', weekdays: [1, 3, 5] } });
+    assert.equal(habit.isDueToday('2024-01-01'), true);
+    assert.equal(habit.isDueToday('2024-01-02'), false);
+  });
+
+  it('keeps the legacy frequency in step with its schedule', () => {
+    const habit = new Habit({ name: 'Run', createdAt: new Date(2024, 0, 1, 12) });
+    habit.setSchedule({ type: 'interval', interval: 2 });
+    assert.equal(habit.frequency, 'daily');
+    assert.equal(habit.schedule.anchor, '2024-01-01');
+
+    habit.setSchedule({ type: 'timesPerWeek', timesPerWeek: 3 });
+    assert.equal(habit.frequency, 'weekly');
+  });
+});
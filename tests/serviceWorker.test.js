@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import config from '../vite.config.js';
+
+const plugin = config.plugins.find(candidate => candidate.name === 'atomic-habits-service-worker');
+
+// Run the plugin over a bundle and return the precache manifest baked into /sw.js
+function buildManifest(bundle) {
+  const emitted = [];
+  plugin.configResolved({ publicDir: 'public' });
+  plugin.generateBundle.call({ emitFile: file => emitted.push(file) }, {}, bundle);
+
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0].fileName, 'sw.js');
+  const [, manifest] = emitted[0].source.match(/const PRECACHE = (\{.*?\}) \|\|/);
+  return JSON.parse(manifest);
+}
+
+const bundle = (script = 'console.log(1)') => ({
+  'index.html': { source: '<!doctype html>' },
+  'assets/index-abc123.js': { code: script }
+});
+
+describe('service worker build', () => {
+  it('precaches the app shell, the bundle and the public files', () => {
+    const { urls } = buildManifest(bundle());
+
+    assert.equal(urls[0], '/');
+    assert.ok(urls.includes('/assets/index-abc123.js'));
+    assert.ok(urls.includes('/manifest.webmanifest'));
+    assert.ok(!urls.includes('/index.html'));
+  });
+
+  it('changes the version whenever the build changes', () => {
+    assert.equal(buildManifest(bundle()).version, buildManifest(bundle()).version);
+    assert.notEqual(buildManifest(bundle()).version, buildManifest(bundle('console.log(2)')).version);
+  });
+});
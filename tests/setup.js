@@ -0,0 +1,20 @@
+/**
+ * Test Environment
+ * Loaded before every test file (see the `test` script). Node has no
+ * localStorage, navigator or window, which the tracker and the sync engine
+ * use, so in-memory stand-ins are installed here.
+ */
+
+const items = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: key => items.delete(key),
+  clear: () => items.clear()
+};
+
+globalThis.navigator ??= { onLine: true };
+
+// Only events are needed, e.g. `online` for the sync engine
+globalThis.window ??= new EventTarget();
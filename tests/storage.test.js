@@ -0,0 +1,129 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HabitTracker } from '../src/core/AtomicHabits.js';
+import { SCHEMA_VERSION } from '../src/core/Migrations.js';
+import { StorageReadError } from '../src/storage/StorageAdapter.js';
+import { LocalStorageAdapter } from '../src/storage/LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from '../src/storage/MemoryStorageAdapter.js';
+import { createStorageAdapter } from '../src/storage/createStorageAdapter.js';
+import { createTracker, reloadTracker, daysAgo } from './helpers.js';
+
+const habitData = (id, name) => ({ id, name, completions: [] });
+
+// Run the same checks against each adapter that works outside a browser
+[
+  ['MemoryStorageAdapter', () => new MemoryStorageAdapter()],
+  ['LocalStorageAdapter', () => new LocalStorageAdapter()]
+].forEach(([name, createAdapter]) => {
+  describe(name, () => {
+    beforeEach(() => localStorage.clear());
+
+    it('has nothing to load before the first save', async () => {
+      assert.equal(await createAdapter().load(), null);
+    });
+
+    it('writes single habits and metadata', async () => {
+      const adapter = createAdapter();
+      await adapter.save({ version: 1, habits: [['a', habitData('a', 'Read')]], categories: ['health'], settings: {} });
+      await adapter.upsertHabit(habitData('b', 'Run'));
+      await adapter.upsertHabit(habitData('a', 'Read more'));
+      await adapter.deleteHabit('b');
+      await adapter.saveMeta({ settings: { dayStartHour: 4 } });
+
+      const data = await adapter.load();
+      assert.deepEqual(data.habits, [['a', habitData('a', 'Read more')]]);
+      assert.deepEqual(data.categories, ['health']);
+      assert.deepEqual(data.settings, { dayStartHour: 4 });
+    });
+
+    it('keeps a backup aside, even when cleared', async () => {
+      const adapter = createAdapter();
+      assert.equal(await adapter.loadBackup(), null);
+      await adapter.saveBackup('{"habits": [');
+      await adapter.upsertHabit(habitData('a', 'Read'));
+      await adapter.clear();
+
+      assert.equal(await adapter.load(), null);
+      assert.equal(await adapter.loadBackup(), '{"habits": [');
+    });
+  });
+});
+
+describe('storage', () => {
+  it('reports unparseable localStorage data with its raw text', async () => {
+    localStorage.clear();
+    localStorage.setItem('atomicHabitsTracker', '{"habits": [');
+
+    await assert.rejects(new LocalStorageAdapter().load(), error =>
+      error instanceof StorageReadError && error.raw === '{"habits": ['
+    );
+  });
+
+  it('refuses incremental writes over unparseable localStorage data', async () => {
+    localStorage.clear();
+    localStorage.setItem('atomicHabitsTracker', '{"habits": [');
+
+    await assert.rejects(new LocalStorageAdapter().upsertHabit(habitData('a', 'Read')), StorageReadError);
+    assert.equal(localStorage.getItem('atomicHabitsTracker'), '{"habits": [');
+  });
+
+  it('falls back to localStorage where IndexedDB is missing', async () => {
+    assert.ok(await createStorageAdapter() instanceof LocalStorageAdapter);
+  });
+
+  it('stores writes in the order they were made', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(1));
+    tracker.updateHabit(habit.id, { name: 'Read more' });
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.equal(reloaded.name, 'Read more');
+    assert.equal(reloaded.completions.length, 1);
+  });
+});
+
+describe('schema version', () => {
+  // A tracker over an adapter, loaded
+  async function trackerOver(storage) {
+    const tracker = new HabitTracker({ storage });
+    await tracker.ready;
+    return tracker;
+  }
+
+  it('is stored with the first habit written to a new store', async () => {
+    localStorage.clear();
+    const tracker = await trackerOver(new LocalStorageAdapter());
+    tracker.addHabit({ name: 'Read' });
+    await tracker.flush();
+
+    assert.equal(JSON.parse(localStorage.getItem('atomicHabitsTracker')).version, SCHEMA_VERSION);
+  });
+
+  it('is stored once unreadable data has been set aside', async () => {
+    localStorage.clear();
+    localStorage.setItem('atomicHabitsTracker', '{"habits": [');
+    const tracker = await trackerOver(new LocalStorageAdapter());
+    tracker.addHabit({ name: 'Read' });
+    await tracker.flush();
+
+    assert.equal(JSON.parse(localStorage.getItem('atomicHabitsTracker')).version, SCHEMA_VERSION);
+  });
+
+  it('keeps backfilled days apart across a reload', async () => {
+    localStorage.clear();
+    const storage = new LocalStorageAdapter();
+    const tracker = await trackerOver(storage);
+    const habit = tracker.addHabit({ name: 'Read' });
+    tracker.completeHabit(habit.id, daysAgo(2));
+    tracker.completeHabit(habit.id, daysAgo(1));
+    await tracker.flush();
+
+    const reloaded = (await trackerOver(storage)).getHabit(habit.id);
+    assert.deepEqual(
+      reloaded.completions.map(({ date, count }) => ({ date, count })),
+      [{ date: daysAgo(2), count: 1 }, { date: daysAgo(1), count: 1 }]
+    );
+  });
+});
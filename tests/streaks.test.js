@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Habit } from '../src/core/AtomicHabits.js';
+import { getIsoWeekday } from '../src/core/DateKeys.js';
+import { createTracker, reloadTracker, daysAgo, monthsAgo, noonOn } from './helpers.js';
+
+// A habit logged on the given days
+function habitLoggedOn(dates, fields = {}) {
+  const habit = new Habit({ name: 'Read', createdAt: noonOn(daysAgo(90)), ...fields });
+  dates.forEach(date => habit.complete(date));
+  return habit;
+}
+
+describe('streaks', () => {
+  it('counts consecutive days and leaves today open', () => {
+    const habit = habitLoggedOn([3, 2, 1].map(daysAgo));
+    assert.equal(habit.streak, 3);
+
+    habit.complete(daysAgo(0));
+    assert.equal(habit.streak, 4);
+  });
+
+  it('restarts after a missed day', () => {
+    const habit = habitLoggedOn([9, 8, 7, 6, 2, 1].map(daysAgo));
+    assert.equal(habit.streak, 2);
+  });
+
+  it('counts weeks for a weekly habit', () => {
+    const habit = habitLoggedOn([21, 14, 7].map(daysAgo), { frequency: 'weekly' });
+    assert.equal(habit.streak, 3);
+
+    // Logging twice in the current week counts once
+    habit.complete(daysAgo(0));
+    assert.equal(habit.isPeriodComplete(daysAgo(0)), true);
+    assert.equal(habit.streak, 4);
+  });
+
+  it('breaks a weekly streak on a week without a log', () => {
+    const habit = habitLoggedOn([28, 14, 7].map(daysAgo), { frequency: 'weekly' });
+    assert.equal(habit.streak, 2);
+  });
+
+  it('counts months for a monthly habit', () => {
+    const habit = habitLoggedOn([3, 2, 1].map(monthsAgo), { frequency: 'monthly' });
+    assert.equal(habit.streak, 3);
+
+    habit.complete(monthsAgo(0));
+    assert.equal(habit.streak, 4);
+  });
+});
+
+describe('completion rate', () => {
+  it('is the share of days logged', () => {
+    const habit = habitLoggedOn([6, 4, 2].map(daysAgo));
+    // Six closed days, three logged; today is still open
+    assert.equal(habit.getCompletionRate(7), 50);
+  });
+
+  it('counts weeks rather than days for a weekly habit', () => {
+    const habit = habitLoggedOn([14, 7].map(daysAgo), { frequency: 'weekly' });
+    // The window reaches into the week three weeks back, which wasn't logged
+    assert.equal(Math.round(habit.getCompletionRate(22)), 67);
+  });
+
+  it('leaves out the days before the habit was created', () => {
+    const habit = habitLoggedOn([2, 1].map(daysAgo), { createdAt: noonOn(daysAgo(2)) });
+    assert.equal(habit.getCompletionRate(30), 100);
+  });
+});
+
+describe('streaks on custom schedules', () => {
+  it('skips rest days of a weekday schedule', () => {
+    // Logged on each of its days, and only those, for the last two weeks
+    const days = Array.from({ length: 14 }, (_, offset) => daysAgo(offset + 1))
+      .filter(key => [1, 3, 5].includes(getIsoWeekday(key)));
+    const habit = habitLoggedOn(days, { schedule: { type: 'weekdays', weekdays: [1, 3, 5] } });
+    assert.equal(habit.streak, days.length);
+  });
+
+  it('needs enough days in each week on a times-per-week schedule', () => {
+    const habit = habitLoggedOn([], { schedule: { type: 'timesPerWeek', timesPerWeek: 2 } });
+    const lastWeek = daysAgo(7);
+    habit.complete(lastWeek);
+    assert.equal(habit.isPeriodComplete(lastWeek), false);
+  });
+});
+
+// A daily habit created a month ago, logged on the given days ago
+function habitLoggedDaysAgo(offsets, fields = {}) {
+  return habitLoggedOn(offsets.map(daysAgo), { createdAt: noonOn(daysAgo(30)), ...fields });
+}
+
+describe('streak policies', () => {
+  it('resets on a single miss by default', () => {
+    const habit = habitLoggedDaysAgo([5, 4, 3, 1]);
+    assert.equal(habit.streakPolicy, 'strict');
+    assert.equal(habit.streak, 1);
+  });
+
+  it('forgives one miss between completions when never missing twice', () => {
+    const habit = habitLoggedDaysAgo([5, 4, 3, 1], { streakPolicy: 'neverMissTwice' });
+    const history = habit.getStreakHistory();
+    assert.equal(habit.streak, 4);
+    assert.deepEqual(history.forgivenMisses, [daysAgo(2)]);
+    assert.equal(history.atRisk, false);
+  });
+
+  it('puts the streak at risk after yesterday was missed', () => {
+    const habit = habitLoggedDaysAgo([3, 2], { streakPolicy: 'neverMissTwice' });
+    assert.equal(habit.streak, 2);
+    assert.equal(habit.getStreakHistory().atRisk, true);
+  });
+
+  it('resets on two misses in a row', () => {
+    const habit = habitLoggedDaysAgo([6, 5, 4, 1], { streakPolicy: 'neverMissTwice' });
+    assert.equal(habit.streak, 1);
+  });
+
+  it('falls back to strict for an unknown policy', () => {
+    assert.equal(new Habit({ name: 'Read', streakPolicy: 'lenient' }).streakPolicy, 'strict');
+  });
+});
+
+describe('excused days', () => {
+  it('leaves paused days out of the streak', () => {
+    const habit = habitLoggedDaysAgo([5, 4, 1]);
+    assert.equal(habit.streak, 1);
+
+    habit.addPause({ from: daysAgo(3), to: daysAgo(2), reason: 'sick' });
+    assert.equal(habit.streak, 3);
+    assert.equal(habit.getMissedPeriods(7).includes(daysAgo(3)), false);
+
+    habit.removePause(0);
+    assert.equal(habit.streak, 1);
+  });
+
+  it('spends a grace day on a missed day, once', () => {
+    const habit = habitLoggedDaysAgo([3, 1], { graceDays: 1 });
+    assert.equal(habit.streak, 1);
+
+    assert.equal(habit.useGraceDay(daysAgo(2)), true);
+    assert.equal(habit.streak, 2);
+    assert.equal(habit.useGraceDay(daysAgo(2)), false);
+
+    assert.equal(habit.returnGraceDay(daysAgo(2)), true);
+    assert.equal(habit.streak, 1);
+  });
+
+  it('refuses a grace day on a day that was kept', () => {
+    const habit = habitLoggedDaysAgo([2, 1], { graceDays: 1 });
+    assert.equal(habit.useGraceDay(daysAgo(1)), false);
+  });
+
+  it('keeps pauses and spent grace days across a reload, and undoes them', async () => {
+    const tracker = await createTracker();
+    const habit = tracker.addHabit({ name: 'Read', graceDays: 2, createdAt: noonOn(daysAgo(30)) });
+    [5, 3, 1].forEach(offset => tracker.completeHabit(habit.id, daysAgo(offset)));
+
+    tracker.addHabitPause(habit.id, { from: daysAgo(4), reason: 'vacation' });
+    tracker.useGraceDay(habit.id, daysAgo(2));
+    assert.equal(habit.streak, 3);
+
+    const reloaded = (await reloadTracker(tracker)).getHabit(habit.id);
+    assert.deepEqual(reloaded.pauses, [{ from: daysAgo(4), to: daysAgo(4), reason: 'vacation' }]);
+    assert.equal(reloaded.streak, 3);
+
+    tracker.undo();
+    assert.equal(tracker.getHabit(habit.id).streak, 1);
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OperationLog } from '../src/sync/OperationLog.js';
+import { SyncEngine } from '../src/sync/SyncEngine.js';
+import { createTracker, daysAgo } from './helpers.js';
+
+// Keeps operations like server/mockSyncServer.js: one ordered list, the
+// cursor counting the operations a client has seen, and pushes of stamps it
+// already has ignored. `failures` makes the next requests throw.
+class MemorySyncRemote {
+  constructor() {
+    this.url = 'memory://sync';
+    this.operations = [];
+    this.failures = 0;
+  }
+
+  fail() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('Sync server responded with 503');
+    }
+  }
+
+  async push(operations) {
+    this.fail();
+    const stamps = new Set(this.operations.map(operation => operation.stamp));
+    const accepted = operations.filter(operation => !stamps.has(operation.stamp));
+    this.operations.push(...JSON.parse(JSON.stringify(accepted)));
+    return { accepted: accepted.length, cursor: this.operations.length };
+  }
+
+  async pull(cursor) {
+    this.fail();
+    const since = cursor || 0;
+    return { operations: JSON.parse(JSON.stringify(this.operations.slice(since))), cursor: this.operations.length };
+  }
+}
+
+const engines = [];
+
+// A device with its own tracker, log and engine. Devices share the one
+// localStorage, which is only read when they are created, so it is cleared
+// first to give each its own device id.
+async function createDevice(remote) {
+  const tracker = await createTracker();
+  const engine = new SyncEngine(tracker, { remote, log: new OperationLog() });
+  engines.push(engine);
+  await engine.start();
+  return { tracker, engine };
+}
+
+// Stamps carry the time in milliseconds; wait so the next write is later
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+describe('SyncEngine', () => {
+  afterEach(() => {
+    engines.splice(0).forEach(engine => engine.stop());
+    navigator.onLine = true;
+  });
+
+  it('sends a new habit to other devices', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+
+    const habit = a.tracker.addHabit({ name: 'Read', category: 'learning' });
+    await a.engine.sync();
+    await b.engine.sync();
+
+    const copy = b.tracker.getHabit(habit.id);
+    assert.equal(copy.name, 'Read');
+    assert.equal(copy.category, 'learning');
+    assert.equal(b.engine.status, 'idle');
+  });
+
+  it('keeps the latest edit of a field, whichever device pushes last', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+    const habit = a.tracker.addHabit({ name: 'Read' });
+    await a.engine.sync();
+    await b.engine.sync();
+
+    b.tracker.updateHabit(habit.id, { name: 'Read on the bus', cue: 'On the bus' });
+    await nextTick();
+    a.tracker.updateHabit(habit.id, { name: 'Read in bed' });
+
+    // The older edit reaches the server last
+    await a.engine.sync();
+    await b.engine.sync();
+    await a.engine.sync();
+
+    [a, b].forEach(({ tracker }) => {
+      assert.equal(tracker.getHabit(habit.id).name, 'Read in bed');
+      assert.equal(tracker.getHabit(habit.id).cue, 'On the bus');
+    });
+  });
+
+  it('unions completions logged on different devices', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+    const habit = a.tracker.addHabit({ name: 'Water', targetCount: 3 });
+    await a.engine.sync();
+    await b.engine.sync();
+
+    a.tracker.completeHabit(habit.id, daysAgo(2));
+    a.tracker.completeHabit(habit.id, daysAgo(1));
+    b.tracker.completeHabit(habit.id, daysAgo(3));
+    await nextTick();
+    b.tracker.completeHabit(habit.id, daysAgo(1), 3);
+
+    await a.engine.sync();
+    await b.engine.sync();
+    await a.engine.sync();
+
+    [a, b].forEach(({ tracker }) => {
+      const logged = tracker.getHabit(habit.id).completions
+        .map(({ date, count }) => [date, count])
+        .sort(([x], [y]) => x.localeCompare(y));
+      // The day logged on both takes the later write
+      assert.deepEqual(logged, [[daysAgo(3), 1], [daysAgo(2), 1], [daysAgo(1), 3]]);
+    });
+  });
+
+  it('lets a deletion win over earlier edits', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+    const habit = a.tracker.addHabit({ name: 'Read' });
+    await a.engine.sync();
+    await b.engine.sync();
+
+    b.tracker.updateHabit(habit.id, { name: 'Read more' });
+    await nextTick();
+    a.tracker.deleteHabit(habit.id);
+
+    await a.engine.sync();
+    await b.engine.sync();
+    await a.engine.sync();
+
+    assert.equal(a.tracker.getHabit(habit.id), undefined);
+    assert.equal(b.tracker.getHabit(habit.id), undefined);
+  });
+
+  it('keeps a habit edited after it was deleted elsewhere', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+    const habit = a.tracker.addHabit({ name: 'Read' });
+    await a.engine.sync();
+    await b.engine.sync();
+
+    a.tracker.deleteHabit(habit.id);
+    await nextTick();
+    b.tracker.updateHabit(habit.id, { name: 'Read more' });
+
+    await a.engine.sync();
+    await b.engine.sync();
+    await a.engine.sync();
+
+    assert.equal(b.tracker.getHabit(habit.id).name, 'Read more');
+    assert.equal(a.tracker.getHabit(habit.id).name, 'Read more');
+  });
+
+  it('waits while offline and sends its changes once back online', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+
+    navigator.onLine = false;
+    a.tracker.addHabit({ name: 'Stretch' });
+    await a.engine.sync();
+    assert.equal(a.engine.status, 'offline');
+    assert.equal(remote.operations.length, 0);
+
+    navigator.onLine = true;
+    window.dispatchEvent(new Event('online'));
+    await a.engine.running;
+
+    assert.equal(a.engine.status, 'idle');
+    assert.equal(a.engine.log.pending.length, 0);
+    assert.ok(remote.operations.some(operation => operation.fields?.name === 'Stretch'));
+  });
+
+  it('keeps operations pending after a failed sync and sends them once on retry', async () => {
+    const remote = new MemorySyncRemote();
+    const a = await createDevice(remote);
+    const b = await createDevice(remote);
+
+    remote.failures = 1;
+    const habit = a.tracker.addHabit({ name: 'Journal' });
+    await a.engine.sync();
+    assert.equal(a.engine.status, 'error');
+    assert.ok(a.engine.log.pending.length > 0);
+    assert.ok(a.engine.timers.retry);
+
+    await a.engine.sync();
+    // Pushing again what the server already has changes nothing
+    await remote.push(remote.operations);
+    await b.engine.sync();
+
+    assert.equal(a.engine.status, 'idle');
+    assert.equal(a.engine.log.pending.length, 0);
+    assert.equal(new Set(remote.operations.map(operation => operation.stamp)).size, remote.operations.length);
+    assert.equal(b.tracker.getHabit(habit.id).name, 'Journal');
+  });
+});
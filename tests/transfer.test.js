@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { exportCompletionsCSV, escapeCsvValue } from '../src/data/CsvExport.js';
+import { exportHabitsICS, escapeIcsText, getRecurrence } from '../src/data/IcsExport.js';
+import { exportTrackerJSON, parseTrackerJSON, planMerge, resolveMerge } from '../src/data/JsonTransfer.js';
+import { readHabitFiles } from '../src/importers/importHabitFiles.js';
+import { Schedule } from '../src/core/AtomicHabits.js';
+import { createTracker, daysAgo, noonOn } from './helpers.js';
+
+// A tracker with a few habits and some history
+async function sampleTracker() {
+  const tracker = await createTracker();
+  const read = tracker.addHabit({
+    name: 'Read, then "reflect"',
+    description: 'Ten pages\nbefore bed',
+    category: 'learning',
+    cue: 'After dinner',
+    createdAt: noonOn(daysAgo(10))
+  });
+  const water = tracker.addHabit({ name: 'Water', category: 'health', targetCount: 3, createdAt: noonOn(daysAgo(10)) });
+  tracker.addHabit({ name: 'Snacking', polarity: 'break', createdAt: noonOn(daysAgo(10)) });
+
+  [5, 4, 2].forEach(offset => tracker.completeHabit(read.id, daysAgo(offset)));
+  tracker.completeHabit(water.id, daysAgo(3));
+  tracker.completeHabit(water.id, daysAgo(3));
+  return tracker;
+}
+
+// Unfold continuation lines and split an .ics file into its content lines
+function icsLines(text) {
+  return text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+describe('CSV export', () => {
+  it('writes one row per logged day', async () => {
+    const tracker = await sampleTracker();
+    const rows = exportCompletionsCSV(tracker).split('\r\n');
+
+    assert.equal(rows[0], 'habit,description,category,date,count,timestamp');
+    assert.ok(rows[1].startsWith(`"Read, then ""reflect""","Ten pages\nbefore bed",learning,${daysAgo(5)},1,`));
+    assert.ok(rows[4].startsWith(`Water,,health,${daysAgo(3)},2,`));
+    assert.equal(rows.length, 6);
+  });
+
+  it('round-trips completions through the CSV importer', async () => {
+    const tracker = await sampleTracker();
+    const csv = exportCompletionsCSV(tracker);
+    const { drafts } = readHabitFiles([{ name: 'export.csv', text: csv }]);
+
+    const logged = habit => Object.fromEntries(habit.completions.map(({ date, count }) => [date, count]));
+    const byName = new Map(drafts.map(draft => [draft.name, draft]));
+    ['Read, then "reflect"', 'Water'].forEach(name => {
+      const habit = tracker.getAllHabits().find(candidate => candidate.name === name);
+      assert.deepEqual(logged(byName.get(name)), logged(habit));
+    });
+  });
+
+  it('limits rows to a date range and category', async () => {
+    const tracker = await sampleTracker();
+    const rows = exportCompletionsCSV(tracker, { from: daysAgo(4), to: daysAgo(2), category: 'learning' })
+      .trim().split('\r\n');
+
+    assert.equal(rows.length, 3);
+    assert.ok(rows.slice(1).every(row => row.includes(',learning,')));
+  });
+
+  it('writes one column per habit in the wide format', async () => {
+    const tracker = await sampleTracker();
+    const rows = exportCompletionsCSV(tracker, { format: 'wide', from: daysAgo(3), to: daysAgo(2) })
+      .trim().split('\r\n');
+
+    assert.equal(rows[0], 'date,"Read, then ""reflect""",Snacking,Water');
+    assert.equal(rows[1], `${daysAgo(3)},,,2`);
+    assert.equal(rows[2], `${daysAgo(2)},1,,`);
+  });
+
+  it('rejects unknown formats and reversed ranges', async () => {
+    const tracker = await sampleTracker();
+    assert.throws(() => exportCompletionsCSV(tracker, { format: 'xml' }), /Unknown CSV format/);
+    assert.throws(() => exportCompletionsCSV(tracker, { from: daysAgo(1), to: daysAgo(2) }), /after the end date/);
+  });
+
+  it('quotes separators and defuses formulas', () => {
+    assert.equal(escapeCsvValue('a,b'), '"a,b"');
+    assert.equal(escapeCsvValue('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.equal(escapeCsvValue('@cmd'), "'@cmd");
+    assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsvValue(-1), '-1');
+    assert.equal(escapeCsvValue(null), '');
+  });
+});
+
+describe('iCalendar export', () => {
+  it('writes one event per active habit to build', async () => {
+    const tracker = await sampleTracker();
+    const paused = tracker.addHabit({ name: 'Stretch' });
+    tracker.setHabitStatus(paused.id, 'paused');
+
+    const lines = icsLines(exportHabitsICS(tracker, { time: '07:30', alarmMinutesBefore: 10 }));
+    const summaries = lines.filter(line => line.startsWith('SUMMARY:'));
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-1), 'END:VCALENDAR');
+    assert.deepEqual(summaries.sort(), ['SUMMARY:Read\\, then "reflect"', 'SUMMARY:Water']);
+    assert.ok(lines.includes('TRIGGER:-PT10M'));
+    assert.ok(lines.some(line => /^DTSTART:\d{8}T073000$/.test(line)));
+  });
+
+  it('keeps folded lines within 75 octets and unfolds them back', async () => {
+    const tracker = await createTracker();
+    const name = 'Meditate ☀️ '.repeat(12).trim();
+    tracker.addHabit({ name });
+
+    const text = exportHabitsICS(tracker);
+    const encoder = new TextEncoder();
+    assert.ok(text.split('\r\n').every(line => encoder.encode(line).length <= 75));
+    assert.ok(icsLines(text).includes(`SUMMARY:${escapeIcsText(name)}`));
+  });
+
+  it('turns schedules into recurrence rules', () => {
+    // 2024-01-03 is a Wednesday
+    const today = '2024-01-03';
+    assert.deepEqual(getRecurrence(new Schedule(), today), { start: today, rule: 'FREQ=DAILY' });
+    assert.deepEqual(
+      getRecurrence(new Schedule({ type: 'weekdays', weekdays: [1, 5] }), today),
+      { start: '2024-01-05', rule: 'FREQ=WEEKLY;BYDAY=MO,FR' }
+    );
+    assert.deepEqual(
+      getRecurrence(new Schedule({ type: 'timesPerWeek', timesPerWeek: 3 }), today),
+      { start: '2024-01-01', rule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' }
+    );
+    assert.deepEqual(
+      getRecurrence(new Schedule({ type: 'monthly' }), today),
+      { start: '2024-01-01', rule: 'FREQ=MONTHLY;BYMONTHDAY=1' }
+    );
+    assert.deepEqual(
+      getRecurrence(new Schedule({ type: 'interval', interval: 3, anchor: '2024-01-01' }), today),
+      { start: '2024-01-01', rule: 'FREQ=DAILY;INTERVAL=3' }
+    );
+  });
+
+  it('rejects an invalid time', async () => {
+    const tracker = await sampleTracker();
+    assert.throws(() => exportHabitsICS(tracker, { time: '25:00' }), /valid time/);
+  });
+});
+
+describe('JSON export', () => {
+  it('round-trips every habit through an export and import', async () => {
+    const tracker = await sampleTracker();
+    const imported = parseTrackerJSON(exportTrackerJSON(tracker));
+    assert.deepEqual(imported.errors, []);
+
+    const restored = await createTracker();
+    restored.replaceHabits(imported.habits, imported.categories);
+
+    // Streaks are recomputed on import, so only the stored history is compared
+    const stored = t => JSON.parse(JSON.stringify(t.getAllHabits().map(habit => {
+      const { streak, longestStreak, ...data } = habit.toJSON();
+      return data;
+    })));
+    assert.deepEqual(stored(restored), stored(tracker));
+    assert.deepEqual(restored.getCategories(), tracker.getCategories());
+  });
+
+  it('refuses files that are not an export', () => {
+    assert.throws(() => parseTrackerJSON('not json'), /isn't valid JSON/);
+    assert.throws(() => parseTrackerJSON('{"name":"x"}'), /doesn't contain any habits/);
+  });
+
+  it('reports habits it cannot read and keeps the rest', async () => {
+    const data = JSON.parse(exportTrackerJSON(await sampleTracker()));
+    data.habits.push(['broken', 'not a habit']);
+
+    const imported = parseTrackerJSON(JSON.stringify(data));
+    assert.equal(imported.habits.length, 3);
+    assert.equal(imported.errors.length, 1);
+  });
+
+  it('merges completions by day and defaults conflicts to the newer side', async () => {
+    const tracker = await sampleTracker();
+    const read = tracker.getAllHabits().find(habit => habit.category === 'learning');
+    const imported = parseTrackerJSON(exportTrackerJSON(tracker));
+
+    const incoming = imported.habits.find(habit => habit.id === read.id);
+    incoming.complete(daysAgo(1));
+    incoming.name = 'Read';
+    incoming.updatedAt = new Date(Date.now() + 1000);
+    tracker.completeHabit(read.id, daysAgo(7));
+
+    const plan = planMerge(tracker, imported);
+    assert.deepEqual(plan.conflicts.map(conflict => [conflict.field, conflict.resolution]), [['name', 'incoming']]);
+
+    const merged = resolveMerge(plan).find(habit => habit.id === read.id);
+    assert.equal(merged.name, 'Read');
+    assert.deepEqual(merged.completions.map(completion => completion.date), [7, 5, 4, 2, 1].map(daysAgo));
+
+    const kept = resolveMerge(plan, { [`${read.id}:name`]: 'local' }).find(habit => habit.id === read.id);
+    assert.equal(kept.name, 'Read, then "reflect"');
+  });
+
+  it('keeps habits that are only on this device when merging', async () => {
+    const tracker = await sampleTracker();
+    const imported = parseTrackerJSON(exportTrackerJSON(await sampleTracker()));
+    tracker.importHabits(resolveMerge(planMerge(tracker, imported)), imported.categories);
+
+    assert.equal(tracker.getAllHabits().length, 6);
+    assert.equal(tracker.history.canUndo(), false);
+  });
+});
@@ -0,0 +1,68 @@
+import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+
+const SERVICE_WORKER_SOURCE = resolve('src/sw.js');
+const MANIFEST_PLACEHOLDER = 'self.__PRECACHE_MANIFEST__';
+
+// Files under a directory, as URL paths relative to it
+function listFiles(dir, root = dir) {
+  return readdirSync(dir).flatMap(name => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory()
+      ? listFiles(path, root)
+      : ['/' + relative(root, path).split('\\').join('/')];
+  });
+}
+
+/**
+ * Emits src/sw.js as /sw.js with the list of files to precache baked in.
+ * The version is a hash of everything precached, so every build that
+ * changes the app also changes the worker's bytes and the browser installs
+ * it as an update. In dev the worker is served as-is and caches nothing.
+ */
+function serviceWorker() {
+  let publicDir;
+
+  return {
+    name: 'atomic-habits-service-worker',
+    // Run after Vite has added index.html to the bundle
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    configureServer(server) {
+      server.middlewares.use('/sw.js', (req, res) => {
+        res.setHeader('Content-Type', 'text/javascript');
+        res.end(readFileSync(SERVICE_WORKER_SOURCE, 'utf8'));
+      });
+    },
+
+    generateBundle(options, bundle) {
+      const hash = createHash('sha256');
+      Object.values(bundle).forEach(file => hash.update(file.code ?? file.source));
+
+      const publicFiles = listFiles(publicDir);
+      publicFiles.forEach(url => hash.update(readFileSync(join(publicDir, url))));
+
+      // index.html is cached as '/', the URL the app is opened at
+      const urls = [
+        '/',
+        ...Object.keys(bundle).filter(file => file !== 'index.html').map(file => '/' + file),
+        ...publicFiles
+      ];
+      const version = hash.digest('hex').slice(0, 12);
+      const source = readFileSync(SERVICE_WORKER_SOURCE, 'utf8')
+        .replace(MANIFEST_PLACEHOLDER, JSON.stringify({ version, urls }));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+export default defineConfig({
+  plugins: [serviceWorker()]
+});